@@ -4,16 +4,27 @@ const path = require('path');
 const connectDB = require('./src/config/db');
 require('dotenv').config();
 const Role = require('./src/models/Role'); 
+const User = require('./src/models/User');
+const { PERMISOS_POR_ROL } = require('./src/config/permissions');
+const { watchImportJobs } = require('./src/utils/importJobs');
 const productRoutes = require('./src/routes/productRoutes');
 const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const catalogRoutes = require('./src/routes/catalogRoutes');
+const cartRoutes = require('./src/routes/cartRoutes');
+const orderRoutes = require('./src/routes/orderRoutes');
 
 connectDB();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Detrás de un proxy (ej: el del hosting), req.ip debe leerse de X-Forwarded-For; lo usa el bloqueo de inicio de sesión por IP.
+// TRUST_PROXY indica cuántos proxies hay delante del servidor.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
 app.use(cors());
 app.use(express.json());
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -22,6 +33,8 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/api/products', productRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
 app.use('/api', catalogRoutes);
 
 app.get('/', (req, res) => {
@@ -29,22 +42,38 @@ app.get('/', (req, res) => {
 });
 
 
+// Crea los roles si no existen y les añade los permisos por defecto que les falten.
+// Los permisos extra asignados a mano en la BD se conservan.
 async function createInitialRoles() {
   try {
-    const count = await Role.countDocuments();
-    if (count > 0) return; 
-
-    await Promise.all([
-      new Role({ nombre: 'admin' }).save(),
-      new Role({ nombre: 'cliente' }).save(),
-    ]);
-    console.log('Roles "admin" y "cliente" creados en la BD.');
+    await Promise.all(Object.entries(PERMISOS_POR_ROL).map(([nombre, permisos]) =>
+      Role.updateOne(
+        { nombre },
+        { $addToSet: { permisos: { $each: permisos } } },
+        { upsert: true }
+      )
+    ));
+    console.log('Roles "admin" y "cliente" sincronizados con sus permisos.');
   } catch (error) {
     console.error('Error al crear roles iniciales:', error);
   }
 }
 
+// Las cuentas creadas antes de existir la verificación de email se consideran verificadas.
+async function markLegacyUsersVerified() {
+  try {
+    const result = await User.updateMany({ emailVerificado: { $exists: false } }, { $set: { emailVerificado: true } });
+    if (result.modifiedCount > 0) {
+      console.log(`${result.modifiedCount} usuario(s) existentes marcados como verificados.`);
+    }
+  } catch (error) {
+    console.error('Error al marcar usuarios existentes como verificados:', error);
+  }
+}
+
 app.listen(PORT, () => {
   console.log(`Servidor corriendo en el puerto ${PORT}`);
   createInitialRoles(); 
+  markLegacyUsersVerified();
+  watchImportJobs();
 });
\ No newline at end of file
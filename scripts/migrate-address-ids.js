@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migración que asigna un _id a cada dirección guardada en `User.direcciones`.
+ * Antes las direcciones no tenían _id (se referenciaban por posición); sin esta migración, Mongoose
+ * generaría un _id distinto cada vez que carga el usuario. También deja exactamente una dirección principal.
+ * Es seguro ejecutarla varias veces: solo procesa usuarios con direcciones sin _id.
+ *
+ * Uso: node scripts/migrate-address-ids.js
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+
+const run = async () => {
+    await connectDB();
+    try {
+        const users = await User.collection.find({ direcciones: { $elemMatch: { _id: { $exists: false } } } }).toArray();
+
+        for (const user of users) {
+            const direcciones = user.direcciones.map(d => ({ _id: d._id || new mongoose.Types.ObjectId(), ...d }));
+            // Conserva la primera marcada como principal; si no hay ninguna, la primera dirección.
+            const principal = direcciones.find(d => d.esPrincipal) || direcciones[0];
+            direcciones.forEach(d => { d.esPrincipal = d === principal; });
+            await User.collection.updateOne({ _id: user._id }, { $set: { direcciones } });
+        }
+        console.log(`${users.length} usuario(s) con direcciones migradas.`);
+    } catch (error) {
+        console.error('Error en la migración de direcciones:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
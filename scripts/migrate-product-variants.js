@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Migración de productos "planos" (un solo idTalla, idColor y stock) al esquema con variantes.
+ * Cada producto sin `variantes` pasa a tener una única variante con su talla, color y stock,
+ * y las líneas de carrito que lo referenciaban pasan a apuntar a esa variante.
+ * Con la opción `--agrupar`, los productos migrados que comparten nombre, marca y modelo
+ * se fusionan en uno solo (el más antiguo), que recibe las variantes de los demás.
+ * Es seguro ejecutarla varias veces: solo procesa productos que aún no tienen variantes.
+ *
+ * Uso: node scripts/migrate-product-variants.js [--agrupar]
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+
+/**
+ * Genera el SKU por defecto de una variante, igual que el modelo Product.
+ * @function defaultSku
+ * @param {mongoose.Types.ObjectId} varianteId - El _id de la variante.
+ * @returns {string} El SKU.
+ */
+const defaultSku = (varianteId) => `SKU-${String(varianteId).slice(-8).toUpperCase()}`;
+
+/**
+ * Convierte cada producto plano en un producto con una variante.
+ * @async
+ * @function convertFlatProducts
+ * @returns {Promise<Array<object>>} Los productos migrados (documentos crudos, ya con `variantes`).
+ */
+const convertFlatProducts = async () => {
+    const flatProducts = await Product.collection.find({ variantes: { $exists: false } }).sort({ createdAt: 1 }).toArray();
+    const migrated = [];
+
+    for (const product of flatProducts) {
+        const varianteId = new mongoose.Types.ObjectId();
+        const variante = {
+            _id: varianteId,
+            idTalla: product.idTalla || null,
+            idColor: product.idColor || null,
+            sku: defaultSku(varianteId),
+            stock: product.stock || 0,
+            precio: null
+        };
+        await Product.collection.updateOne(
+            { _id: product._id },
+            { $set: { variantes: [variante], stock: variante.stock }, $unset: { idTalla: '', idColor: '' } }
+        );
+        // Las líneas de carrito de este producto pasan a referenciar su única variante.
+        await Cart.collection.updateMany(
+            { 'items.producto': product._id },
+            { $set: { 'items.$[linea].variante': varianteId }, $unset: { 'items.$[linea].idTalla': '', 'items.$[linea].idColor': '' } },
+            { arrayFilters: [{ 'linea.producto': product._id }] }
+        );
+        migrated.push({ ...product, variantes: [variante] });
+    }
+    return migrated;
+};
+
+/**
+ * Fusiona los productos migrados que comparten nombre, marca y modelo en el más antiguo del grupo.
+ * Si dos variantes tienen la misma talla y color, suma su stock. Si el precio de un producto
+ * fusionado difiere del principal, queda como precio propio de su variante.
+ * @async
+ * @function groupProducts
+ * @param {Array<object>} migrated - Los productos devueltos por `convertFlatProducts`.
+ * @returns {Promise<number>} Cantidad de productos eliminados por la fusión.
+ */
+const groupProducts = async (migrated) => {
+    const groups = new Map();
+    migrated.forEach(product => {
+        const key = `${product.NombreProducto.trim().toLowerCase()}|${product.idMarca}|${product.idModelo || ''}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(product);
+    });
+
+    let removed = 0;
+    for (const [, products] of groups) {
+        if (products.length < 2) continue;
+        const [principal, ...others] = products;
+        const variantes = [...principal.variantes];
+
+        for (const other of others) {
+            for (const variante of other.variantes) {
+                const combo = `${variante.idTalla || ''}|${variante.idColor || ''}`;
+                const existing = variantes.find(v => `${v.idTalla || ''}|${v.idColor || ''}` === combo);
+                // Las líneas de carrito apuntarán a la variante que sobrevive.
+                const targetVariant = existing || variante;
+                if (existing) {
+                    existing.stock += variante.stock;
+                } else {
+                    variante.precio = other.PrecioVenta !== principal.PrecioVenta ? other.PrecioVenta : null;
+                    variantes.push(variante);
+                }
+                await Cart.collection.updateMany(
+                    { 'items.variante': variante._id },
+                    { $set: { 'items.$[linea].producto': principal._id, 'items.$[linea].variante': targetVariant._id } },
+                    { arrayFilters: [{ 'linea.variante': variante._id }] }
+                );
+            }
+        }
+
+        await Product.collection.updateOne(
+            { _id: principal._id },
+            {
+                $set: {
+                    variantes,
+                    stock: variantes.reduce((sum, v) => sum + v.stock, 0),
+                    imagen: principal.imagen || others.find(o => o.imagen)?.imagen || null
+                }
+            }
+        );
+        await Product.collection.deleteMany({ _id: { $in: others.map(o => o._id) } });
+        removed += others.length;
+        console.log(`"${principal.NombreProducto}": ${others.length + 1} productos fusionados en ${principal._id} (${variantes.length} variantes).`);
+    }
+    return removed;
+};
+
+const run = async () => {
+    await connectDB();
+    try {
+        const migrated = await convertFlatProducts();
+        console.log(`${migrated.length} producto(s) convertidos al esquema con variantes.`);
+
+        if (process.argv.includes('--agrupar')) {
+            const removed = await groupProducts(migrated);
+            console.log(`${removed} producto(s) duplicados fusionados.`);
+        }
+        // Crea los índices nuevos (ej: SKU único) una vez que los datos ya tienen variantes.
+        await Product.syncIndexes();
+    } catch (error) {
+        console.error('Error en la migración de variantes:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
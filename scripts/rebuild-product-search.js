@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Calcula los campos de búsqueda (`textoBusqueda` y `palabrasBusqueda`) de todos los productos
+ * y sincroniza los índices del modelo: crea el índice de texto y reemplaza los que cambiaron de opciones
+ * (p. ej., el antiguo índice único de `variantes.ean`). Necesaria una vez para los productos creados antes de la
+ * búsqueda por texto; después los campos se mantienen solos (al guardar un producto o renombrar una marca, modelo o color).
+ * Es seguro ejecutarla varias veces.
+ *
+ * Uso: node scripts/rebuild-product-search.js
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const Product = require('../src/models/Product');
+// Registra los catálogos que se populan al recalcular.
+require('../src/models/Marca');
+require('../src/models/Modelo');
+require('../src/models/Color');
+const { refreshProductSearch } = require('../src/utils/productSearch');
+
+const run = async () => {
+    await connectDB();
+    try {
+        await Product.syncIndexes();
+        const total = await refreshProductSearch({});
+        console.log(`${total} producto(s) con campos de búsqueda actualizados.`);
+    } catch (error) {
+        console.error('Error al reconstruir la búsqueda de productos:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run();
@@ -1,7 +1,8 @@
 /**
- * @fileoverview Configuración y función para enviar correos electrónicos usando Resend.
- * Específicamente, contiene la lógica para notificar a todos los administradores
- * cuando el precio de un producto cambia.
+ * @fileoverview Configuración y funciones para enviar correos electrónicos usando Resend.
+ * Contiene la lógica para notificar a todos los administradores cuando el precio de un producto cambia
+ * o cuando hay productos con stock bajo, para avisar a los clientes de cada cambio de estado de sus pedidos
+ * y para los correos de la cuenta (restablecer la contraseña, verificar el email, aviso de bloqueo, invitación de administradores).
  */
 
 // Importa la clase Resend desde la librería 'resend'.
@@ -10,12 +11,45 @@ const { Resend } = require('resend');
 const User = require('../models/User');
 // Importa el modelo 'Role' para encontrar el ID del rol de administrador.
 const Role = require('../models/Role');
+// Escapa los datos que se insertan en el HTML de los correos.
+const { escapeHtml } = require('../utils/text');
 // Importa y configura dotenv para cargar variables de entorno desde un archivo .env.
 require('dotenv').config();
 
 // Crea una instancia del cliente Resend utilizando la API Key
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+// URL del frontend, sin la barra final, para armar los enlaces de los correos.
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://frontend-qxupbs9cn-xaviers-projects-88fe9411.vercel.app').replace(/\/+$/, '');
+
+/**
+ * Busca los correos de todos los usuarios con el rol 'admin'.
+ * @async
+ * @function getAdminEmails
+ * @returns {Promise<Array<string>>} Los correos de los administradores (vacío si no hay o falta el rol).
+ */
+const getAdminEmails = async () => {
+    // Busca el documento del rol 'admin' en la base de datos para obtener su _id.
+    const adminRole = await Role.findOne({ nombre: 'admin' });
+    // Si el rol 'admin' no existe, es un error de configuración crítico. No se puede continuar.
+    if (!adminRole) {
+        console.error('Error: Rol "admin" no encontrado en la base de datos. No se puede enviar correo.');
+        return [];
+    }
+    // Busca todos los documentos de usuario que tengan el idRol correspondiente al rol 'admin'.
+    // .select('email') optimiza la consulta para traer solo el campo 'email'.
+    // Las cuentas desactivadas no reciben avisos.
+    const adminUsers = await User.find({ idRol: adminRole._id, activo: { $ne: false } }).select('email');
+    // Extrae las direcciones de correo de los documentos de usuario encontrados.
+    const adminEmails = adminUsers.map(user => user.email);
+
+    // Si no se encontraron usuarios admin.
+    if (adminEmails.length === 0) {
+        console.warn('Advertencia: No se encontraron usuarios administradores para notificar.');
+    }
+    return adminEmails;
+};
+
 /**
  * Función asíncrona para buscar a todos los administradores y enviarles
  * una notificación por correo electrónico sobre un cambio de precio de producto.
@@ -27,22 +61,8 @@ const resend = new Resend(process.env.RESEND_API_KEY);
 const sendPriceChangeEmail = async (product, oldPrice) => {
     try {
         // --- Buscar Administradores ---
-        // Busca el documento del rol 'admin' en la base de datos para obtener su _id.
-        const adminRole = await Role.findOne({ nombre: 'admin' });
-        // Si el rol 'admin' no existe, es un error de configuración crítico. No se puede continuar.
-        if (!adminRole) {
-            console.error('Error: Rol "admin" no encontrado en la base de datos. No se puede enviar correo.');
-            return; // Termina la ejecución de la función.
-        }
-        // Busca todos los documentos de usuario que tengan el idRol correspondiente al rol 'admin'.
-        // .select('email') optimiza la consulta para traer solo el campo 'email'.
-        const adminUsers = await User.find({ idRol: adminRole._id }).select('email');
-        // Extrae las direcciones de correo de los documentos de usuario encontrados.
-        const adminEmails = adminUsers.map(user => user.email);
-
-        // Si no se encontraron usuarios admin.
+        const adminEmails = await getAdminEmails();
         if (adminEmails.length === 0) {
-            console.warn('Advertencia: No se encontraron usuarios administradores para notificar.');
             return; // Termina la ejecución.
         }
 
@@ -101,5 +121,326 @@ const sendPriceChangeEmail = async (product, oldPrice) => {
     }
 };
 
-// Exporta la función sendPriceChangeEmail usando module.exports 
-module.exports = { sendPriceChangeEmail };
\ No newline at end of file
+/**
+ * Función asíncrona para avisar a todos los administradores de que uno o más productos
+ * alcanzaron su nivel mínimo de stock (umbral de reposición).
+ * @async
+ * @function sendLowStockEmail
+ * @param {Array<object>} products - Productos con stock bajo. Cada uno con `_id`, `NombreProducto`, `stock` y `umbral`.
+ */
+const sendLowStockEmail = async (products) => {
+    try {
+        if (!products.length) return;
+        const adminEmails = await getAdminEmails();
+        if (adminEmails.length === 0) {
+            return;
+        }
+
+        const filas = products.map(product => `
+                      <tr>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(product.NombreProducto)}</td>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center; color: ${product.stock === 0 ? '#d9534f' : '#333'};"><strong>${product.stock}</strong></td>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center;">${product.umbral}</td>
+                      </tr>`).join('');
+
+        const { data, error } = await resend.emails.send({
+            from: 'Inventario <onboarding@resend.dev>',
+            to: adminEmails,
+            subject: products.length === 1
+                ? `📉 Stock bajo: ${products[0].NombreProducto}`
+                : `📉 Stock bajo en ${products.length} productos`,
+            html: `
+              <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+                <div style="background-color: #f8f8f8; padding: 20px; text-align: center; border-bottom: 1px solid #ddd;">
+                  <h1 style="margin: 0; font-size: 24px; color: #4F46E5;">📉 Alerta de Stock Bajo</h1>
+                </div>
+                <div style="padding: 20px;">
+                  <p style="margin-bottom: 15px;">Los siguientes productos alcanzaron su nivel mínimo de stock y necesitan reposición:</p>
+                  <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 14px;">
+                    <tr>
+                      <th style="padding: 6px; text-align: left; border-bottom: 2px solid #ddd;">Producto</th>
+                      <th style="padding: 6px; border-bottom: 2px solid #ddd;">Stock</th>
+                      <th style="padding: 6px; border-bottom: 2px solid #ddd;">Mínimo</th>
+                    </tr>${filas}
+                  </table>
+                  <div style="text-align: center; margin-top: 25px;">
+                      <a href="${process.env.FRONTEND_URL || 'https://frontend-qxupbs9cn-xaviers-projects-88fe9411.vercel.app/'}/admin/products" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Ir al Panel de Admin</a>
+                  </div>
+                </div>
+                <div style="background-color: #f8f8f8; padding: 15px; text-align: center; border-top: 1px solid #ddd; font-size: 12px; color: #777;">
+                  <p style="margin: 0;">Este es un correo automático enviado desde XaviStore.</p>
+                </div>
+              </div>
+            `,
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de stock bajo con Resend:', error);
+            return;
+        }
+        console.log(`Correo de stock bajo (${products.length} producto(s)) enviado a ${adminEmails.length} admin(s) via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendLowStockEmail (Resend):', error);
+    }
+};
+
+// Textos del correo para cada estado del pedido.
+const PLANTILLAS_ESTADO_PEDIDO = {
+    pendiente: { asunto: 'Hemos recibido tu pedido', titulo: '🛒 Pedido recibido', mensaje: 'Recibimos tu pedido y está pendiente de pago.' },
+    pagado: { asunto: 'Pago confirmado', titulo: '💳 Pago confirmado', mensaje: 'Confirmamos el pago de tu pedido. Pronto empezaremos a prepararlo.' },
+    preparando: { asunto: 'Estamos preparando tu pedido', titulo: '📦 Preparando tu pedido', mensaje: 'Tu pedido se está preparando en nuestro almacén.' },
+    enviado: { asunto: 'Tu pedido está en camino', titulo: '🚚 Pedido enviado', mensaje: 'Tu pedido salió de nuestro almacén y va camino a tu dirección.' },
+    entregado: { asunto: 'Tu pedido fue entregado', titulo: '✅ Pedido entregado', mensaje: 'Tu pedido fue entregado. ¡Gracias por comprar con nosotros!' },
+    cancelado: { asunto: 'Tu pedido fue cancelado', titulo: '❌ Pedido cancelado', mensaje: 'Tu pedido fue cancelado.' },
+    reembolsado: { asunto: 'Tu pedido fue reembolsado', titulo: '💸 Pedido reembolsado', mensaje: 'Procesamos el reembolso de tu pedido.' }
+};
+
+/**
+ * Función asíncrona para avisar al cliente de que su pedido cambió de estado.
+ * Usa una plantilla distinta para cada estado e incluye el resumen de las líneas y la dirección de envío.
+ * Los datos del pedido, del cliente y la nota se escapan antes de insertarlos en el HTML.
+ * Los errores solo se registran en consola: un fallo de correo no debe revertir el cambio de estado.
+ * @async
+ * @function sendOrderStatusEmail
+ * @param {object} order - El pedido. Debe incluir `_id`, `estado`, `items`, `total` y `direccionEnvio`.
+ * @param {object} customer - El cliente dueño del pedido. Debe incluir `nombre` y `email`.
+ * @param {string} [nota] - Comentario opcional del cambio de estado (ej: número de seguimiento).
+ */
+const sendOrderStatusEmail = async (order, customer, nota) => {
+    try {
+        const plantilla = PLANTILLAS_ESTADO_PEDIDO[order.estado];
+        if (!plantilla || !customer?.email) {
+            console.warn(`Advertencia: No se envía correo del pedido ${order._id} (estado "${order.estado}").`);
+            return;
+        }
+
+        // Filas de la tabla con las líneas del pedido.
+        const filas = order.items.map(item => `
+                      <tr>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(item.NombreProducto)}${item.talla ? ` - Talla ${escapeHtml(item.talla)}` : ''}${item.color ? ` - ${escapeHtml(item.color)}` : ''}</td>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center;">${escapeHtml(item.cantidad)}</td>
+                        <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">S/ ${item.subtotal.toFixed(2)}</td>
+                      </tr>`).join('');
+        const direccion = order.direccionEnvio;
+
+        const { data, error } = await resend.emails.send({
+            from: 'Pedidos <onboarding@resend.dev>',
+            to: customer.email,
+            subject: `${plantilla.asunto} (#${String(order._id).slice(-6).toUpperCase()})`,
+            html: `
+              <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+                <div style="background-color: #f8f8f8; padding: 20px; text-align: center; border-bottom: 1px solid #ddd;">
+                  <h1 style="margin: 0; font-size: 24px; color: #4F46E5;">${plantilla.titulo}</h1>
+                </div>
+                <div style="padding: 20px;">
+                  <p style="margin-bottom: 15px;">Hola ${escapeHtml(customer.nombre)}, ${plantilla.mensaje}</p>
+                  ${nota ? `<p style="background-color: #f0f0f0; padding: 10px; border-radius: 4px;">${escapeHtml(nota)}</p>` : ''}
+                  <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 14px;">
+                    <tr>
+                      <th style="padding: 6px; text-align: left; border-bottom: 2px solid #ddd;">Producto</th>
+                      <th style="padding: 6px; border-bottom: 2px solid #ddd;">Cant.</th>
+                      <th style="padding: 6px; text-align: right; border-bottom: 2px solid #ddd;">Subtotal</th>
+                    </tr>${filas}
+                  </table>
+                  <p style="text-align: right; font-size: 16px; margin: 0 0 20px;">Total: <strong>S/ ${order.total.toFixed(2)}</strong></p>
+                  <p style="font-size: 13px; color: #555; margin: 0;">Envío a: ${escapeHtml(direccion.calle)}, ${escapeHtml(direccion.distrito)}, ${escapeHtml(direccion.ciudad)}</p>
+                  <div style="text-align: center; margin-top: 25px;">
+                      <a href="${process.env.FRONTEND_URL || 'https://frontend-qxupbs9cn-xaviers-projects-88fe9411.vercel.app/'}/orders/${order._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Ver mi pedido</a>
+                  </div>
+                </div>
+                <div style="background-color: #f8f8f8; padding: 15px; text-align: center; border-top: 1px solid #ddd; font-size: 12px; color: #777;">
+                  <p style="margin: 0;">Este es un correo automático enviado desde XaviStore.</p>
+                </div>
+              </div>
+            `,
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de pedido con Resend:', error);
+            return;
+        }
+        console.log(`Correo de pedido (${order.estado}) enviado a ${customer.email} via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendOrderStatusEmail (Resend):', error);
+    }
+};
+
+/**
+ * Arma el HTML de los correos de la cuenta del usuario: un mensaje, un botón con enlace y un aviso final.
+ * Todos los campos son texto plano (pueden incluir nombres escritos por usuarios) y se escapan aquí.
+ * @function accountEmailHtml
+ * @param {object} contenido - `titulo`, `mensaje`, `boton` (texto), `url` y `aviso` (texto pequeño bajo el botón).
+ * @returns {string} El HTML del correo.
+ */
+const accountEmailHtml = ({ titulo, mensaje, boton, url, aviso }) => `
+              <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; border: 1px solid #ddd; border-radius: 8px; overflow: hidden;">
+                <div style="background-color: #f8f8f8; padding: 20px; text-align: center; border-bottom: 1px solid #ddd;">
+                  <h1 style="margin: 0; font-size: 24px; color: #4F46E5;">${escapeHtml(titulo)}</h1>
+                </div>
+                <div style="padding: 20px;">
+                  <p style="margin-bottom: 15px;">${escapeHtml(mensaje)}</p>
+                  <div style="text-align: center; margin: 25px 0;">
+                      <a href="${escapeHtml(url)}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">${escapeHtml(boton)}</a>
+                  </div>
+                  <p style="font-size: 13px; color: #555; margin: 0;">${escapeHtml(aviso)}</p>
+                </div>
+                <div style="background-color: #f8f8f8; padding: 15px; text-align: center; border-top: 1px solid #ddd; font-size: 12px; color: #777;">
+                  <p style="margin: 0;">Este es un correo automático enviado desde XaviStore.</p>
+                </div>
+              </div>
+            `;
+
+/**
+ * Función asíncrona para enviar al usuario el enlace de restablecimiento de contraseña.
+ * El enlace apunta a la página `/reset-password` del frontend con el token en la query.
+ * Los errores solo se registran en consola, para no revelar en la respuesta si el correo existe.
+ * @async
+ * @function sendPasswordResetEmail
+ * @param {object} user - El usuario. Debe incluir `nombre` y `email`.
+ * @param {string} token - El token en claro (en la base de datos solo queda su hash).
+ * @param {number} minutos - Minutos de validez del enlace.
+ */
+const sendPasswordResetEmail = async (user, token, minutos) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: 'Cuenta <onboarding@resend.dev>',
+            to: user.email,
+            subject: 'Restablece tu contraseña',
+            html: accountEmailHtml({
+                titulo: '🔑 Restablecer contraseña',
+                mensaje: `Hola ${user.nombre || ''}, recibimos una solicitud para restablecer la contraseña de tu cuenta.`,
+                boton: 'Elegir una nueva contraseña',
+                url: `${FRONTEND_URL}/reset-password?token=${token}`,
+                aviso: `El enlace vence en ${minutos} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este correo: tu contraseña no cambiará.`
+            }),
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de restablecimiento con Resend:', error);
+            return;
+        }
+        console.log(`Correo de restablecimiento enviado a ${user.email} via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendPasswordResetEmail (Resend):', error);
+    }
+};
+
+/**
+ * Función asíncrona para enviar al usuario el enlace de verificación de su email.
+ * El enlace apunta a la página `/verify-email` del frontend con el token en la query.
+ * @async
+ * @function sendVerificationEmail
+ * @param {object} user - El usuario. Debe incluir `nombre` y `email`.
+ * @param {string} token - El token en claro (en la base de datos solo queda su hash).
+ * @param {number} horas - Horas de validez del enlace.
+ */
+const sendVerificationEmail = async (user, token, horas) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: 'Cuenta <onboarding@resend.dev>',
+            to: user.email,
+            subject: 'Confirma tu email',
+            html: accountEmailHtml({
+                titulo: '✉️ Confirma tu email',
+                mensaje: `Hola ${user.nombre || ''}, gracias por registrarte en XaviStore. Confirma que este email es tuyo para poder comprar.`,
+                boton: 'Confirmar mi email',
+                url: `${FRONTEND_URL}/verify-email?token=${token}`,
+                aviso: `El enlace vence en ${horas} horas. Si no creaste una cuenta, ignora este correo.`
+            }),
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de verificación con Resend:', error);
+            return;
+        }
+        console.log(`Correo de verificación enviado a ${user.email} via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendVerificationEmail (Resend):', error);
+    }
+};
+
+/**
+ * Función asíncrona para avisar al dueño de una cuenta de que se bloqueó por intentos fallidos de inicio de sesión.
+ * Ofrece el enlace de restablecimiento por si no fue el propio usuario.
+ * @async
+ * @function sendAccountLockedEmail
+ * @param {object} user - El usuario. Debe incluir `nombre` y `email`.
+ * @param {Date} bloqueadoHasta - Fin del bloqueo.
+ */
+const sendAccountLockedEmail = async (user, bloqueadoHasta) => {
+    try {
+        const hora = bloqueadoHasta.toLocaleTimeString('es-PE', { timeZone: 'America/Lima', hour: '2-digit', minute: '2-digit' });
+        const { data, error } = await resend.emails.send({
+            from: 'Cuenta <onboarding@resend.dev>',
+            to: user.email,
+            subject: 'Bloqueamos temporalmente el acceso a tu cuenta',
+            html: accountEmailHtml({
+                titulo: '🔒 Cuenta bloqueada temporalmente',
+                mensaje: `Hola ${user.nombre || ''}, detectamos varios intentos fallidos de inicio de sesión en tu cuenta y bloqueamos el acceso hasta las ${hora}.`,
+                boton: 'Restablecer mi contraseña',
+                url: `${FRONTEND_URL}/forgot-password`,
+                aviso: 'Si fuiste tú, espera a que termine el bloqueo. Si no, te recomendamos cambiar tu contraseña.'
+            }),
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de bloqueo con Resend:', error);
+            return;
+        }
+        console.log(`Correo de bloqueo enviado a ${user.email} via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendAccountLockedEmail (Resend):', error);
+    }
+};
+
+/**
+ * Función asíncrona para enviar la invitación a crear una cuenta de administrador.
+ * El enlace apunta a la página `/accept-invitation` del frontend con el token en la query.
+ * @async
+ * @function sendAdminInvitationEmail
+ * @param {string} email - El email invitado.
+ * @param {string} [nombreInvitador] - Nombre del administrador que invita.
+ * @param {string} token - El token firmado de la invitación.
+ * @param {number} dias - Días de validez del enlace.
+ */
+const sendAdminInvitationEmail = async (email, nombreInvitador, token, dias) => {
+    try {
+        const { data, error } = await resend.emails.send({
+            from: 'Cuenta <onboarding@resend.dev>',
+            to: email,
+            subject: 'Invitación para administrar XaviStore',
+            html: accountEmailHtml({
+                titulo: '🤝 Te invitaron a XaviStore',
+                mensaje: `${nombreInvitador || 'Un administrador'} te invitó a crear una cuenta de administrador en XaviStore. Al aceptar elegirás tu propia contraseña.`,
+                boton: 'Aceptar invitación',
+                url: `${FRONTEND_URL}/accept-invitation?token=${token}`,
+                aviso: `La invitación vence en ${dias} días. Si no la esperabas, ignora este correo.`
+            }),
+        });
+
+        if (error) {
+            console.error('Error al enviar correo de invitación con Resend:', error);
+            return;
+        }
+        console.log(`Invitación enviada a ${email} via Resend. ID: ${data.id}`);
+
+    } catch (error) {
+        console.error('Error general en sendAdminInvitationEmail (Resend):', error);
+    }
+};
+
+// Exporta las funciones de correo usando module.exports 
+module.exports = {
+    sendPriceChangeEmail,
+    sendLowStockEmail,
+    sendOrderStatusEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    sendAccountLockedEmail,
+    sendAdminInvitationEmail
+};
\ No newline at end of file
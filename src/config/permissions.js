@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Catálogo de permisos de la aplicación y matriz de permisos por defecto de cada rol.
+ * Los permisos se guardan en el documento de cada `Role` (campo `permisos`); esta matriz solo se usa
+ * para sembrar y sincronizar los roles al arrancar el servidor.
+ * También define qué permisos quedan bloqueados para las cuentas con el email sin verificar
+ * y qué roles deben usar la verificación en dos pasos.
+ */
+
+require('dotenv').config();
+
+/**
+ * Permisos disponibles. Cada ruta protegida declara cuál necesita mediante `authorize`.
+ * @const {object} PERMISOS
+ */
+const PERMISOS = {
+    PRODUCTOS_ESCRIBIR: 'productos:escribir',   // Crear, editar, eliminar y cargar productos masivamente.
+    PRODUCTOS_EXPORTAR: 'productos:exportar',   // Exportar a Excel y generar fichas PDF.
+    CATALOGOS_ESCRIBIR: 'catalogos:escribir',   // Crear, editar y eliminar marcas, modelos, colores y tallas.
+    USUARIOS_LEER: 'usuarios:leer',             // Listar usuarios.
+    USUARIOS_ESCRIBIR: 'usuarios:escribir',     // Editar y eliminar usuarios.
+    ADMINS_CREAR: 'admins:crear',               // Invitar administradores y cambiar roles.
+    PEDIDOS_CREAR: 'pedidos:crear',             // Comprar: crear pedidos propios y ver su historial.
+    PEDIDOS_GESTIONAR: 'pedidos:gestionar',     // Ver y administrar los pedidos de todos los clientes.
+    INVENTARIO_GESTIONAR: 'inventario:gestionar' // Registrar movimientos de stock y consultar el kardex.
+};
+
+/**
+ * Permisos que recibe cada rol por defecto.
+ * @const {object} PERMISOS_POR_ROL
+ */
+const PERMISOS_POR_ROL = {
+    admin: Object.values(PERMISOS),
+    cliente: [PERMISOS.PEDIDOS_CREAR]
+};
+
+/**
+ * Permisos que una cuenta con el email sin verificar no puede usar aunque su rol los tenga
+ * (por defecto, comprar). Se configura con `UNVERIFIED_BLOCKED_PERMISSIONS`: lista separada por comas,
+ * o vacía para no restringir nada.
+ * @const {Array<string>} PERMISOS_REQUIEREN_VERIFICACION
+ */
+const PERMISOS_REQUIEREN_VERIFICACION = process.env.UNVERIFIED_BLOCKED_PERMISSIONS !== undefined
+    ? process.env.UNVERIFIED_BLOCKED_PERMISSIONS.split(',').map(p => p.trim()).filter(Boolean)
+    : [PERMISOS.PEDIDOS_CREAR];
+
+/**
+ * Roles que deben tener activada la verificación en dos pasos (TOTP) para iniciar sesión.
+ * Se configura con `TOTP_REQUIRED_ROLES` (lista separada por comas, ej: 'admin'); por defecto es opcional para todos.
+ * @const {Array<string>} ROLES_REQUIEREN_2FA
+ */
+const ROLES_REQUIEREN_2FA = (process.env.TOTP_REQUIRED_ROLES || '').split(',').map(r => r.trim()).filter(Boolean);
+
+module.exports = { PERMISOS, PERMISOS_POR_ROL, PERMISOS_REQUIEREN_VERIFICACION, ROLES_REQUIEREN_2FA };
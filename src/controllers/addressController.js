@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Controlador de la libreta de direcciones del usuario autenticado (`User.direcciones`).
+ * Permite listar, crear, editar y eliminar direcciones. La ciudad y el distrito se validan contra
+ * la tabla de ubicaciones de Perú y se guardan con su nombre oficial. El modelo User garantiza
+ * que siempre haya exactamente una dirección principal y un máximo de `User.MAX_DIRECCIONES`.
+ */
+
+const User = require('../models/User');
+const { resolveLocation } = require('../utils/ubicaciones');
+
+/**
+ * Valida y normaliza los campos de una dirección.
+ * @function validateAddress
+ * @param {object} datos - `calle`, `ciudad`, `distrito` y `codigoPostal` ya combinados con los valores actuales.
+ * @returns {{ciudad: string, distrito: string}|{error: string}} La ciudad y el distrito oficiales, o un mensaje de error.
+ */
+const validateAddress = ({ calle, ciudad, distrito, codigoPostal }) => {
+    if (!calle || !String(calle).trim() || !ciudad || !distrito) {
+        return { error: 'La calle, la ciudad y el distrito son obligatorios.' };
+    }
+    if (codigoPostal && !/^\d{5}$/.test(String(codigoPostal).trim())) {
+        return { error: 'El código postal debe tener 5 dígitos.' };
+    }
+    return resolveLocation(ciudad, distrito);
+};
+
+/**
+ * Marca una dirección como la única principal del usuario.
+ * @function setPrincipal
+ * @param {mongoose.Document} user - El usuario.
+ * @param {mongoose.Types.ObjectId} addressId - El _id de la dirección principal.
+ * @returns {void}
+ */
+const setPrincipal = (user, addressId) => {
+    user.direcciones.forEach(d => { d.esPrincipal = String(d._id) === String(addressId); });
+};
+
+/**
+ * Lista las direcciones del usuario autenticado, con la principal primero.
+ * @async
+ * @function getMyAddresses
+ * @param {object} req - Objeto de solicitud de Express (después de `protect`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el array de direcciones o un mensaje de error.
+ */
+exports.getMyAddresses = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('direcciones');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        const direcciones = [...user.direcciones].sort((a, b) => b.esPrincipal - a.esPrincipal);
+        res.json(direcciones);
+    } catch (error) {
+        console.error("Get Addresses Error:", error);
+        res.status(500).json({ message: 'Error al obtener las direcciones', error: error.message });
+    }
+};
+
+/**
+ * Agrega una dirección al usuario autenticado. La primera dirección, o una enviada con `esPrincipal: true`,
+ * pasa a ser la principal.
+ * @async
+ * @function createAddress
+ * @param {object} req - Objeto de solicitud de Express. `req.body` contiene `alias`, `calle`, `ciudad`, `distrito`, `codigoPostal` y `esPrincipal`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con la dirección creada y la libreta completa, o un mensaje de error.
+ */
+exports.createAddress = async (req, res) => {
+    const { alias, calle, ciudad, distrito, codigoPostal, esPrincipal } = req.body;
+    const ubicacion = validateAddress({ calle, ciudad, distrito, codigoPostal });
+    if (ubicacion.error) {
+        return res.status(400).json({ message: ubicacion.error });
+    }
+
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.direcciones.length >= User.MAX_DIRECCIONES) {
+            return res.status(400).json({ message: `No puedes guardar más de ${User.MAX_DIRECCIONES} direcciones.` });
+        }
+
+        user.direcciones.push({
+            alias: alias || undefined,
+            calle: String(calle).trim(),
+            ciudad: ubicacion.ciudad,
+            distrito: ubicacion.distrito,
+            codigoPostal: codigoPostal ? String(codigoPostal).trim() : undefined
+        });
+        const direccion = user.direcciones[user.direcciones.length - 1];
+        if (esPrincipal === true || esPrincipal === 'true') {
+            setPrincipal(user, direccion._id);
+        }
+        await user.save();
+
+        res.status(201).json({ message: 'Dirección agregada', direccion, direcciones: user.direcciones });
+    } catch (error) {
+        console.error("Create Address Error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error al agregar la dirección', error: error.message });
+    }
+};
+
+/**
+ * Edita una dirección del usuario autenticado. Con `esPrincipal: true` pasa a ser la principal;
+ * no se puede desmarcar la principal sin marcar otra.
+ * @async
+ * @function updateAddress
+ * @param {object} req - Objeto de solicitud de Express. `req.params.addressId` es el _id de la dirección; `req.body` los campos a cambiar.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con la dirección actualizada y la libreta completa, o un mensaje de error.
+ */
+exports.updateAddress = async (req, res) => {
+    const { addressId } = req.params;
+    const { alias, calle, ciudad, distrito, codigoPostal, esPrincipal } = req.body;
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        const direccion = user.direcciones.id(addressId);
+        if (!direccion) {
+            return res.status(404).json({ message: 'Dirección no encontrada' });
+        }
+
+        // Valida la dirección resultante: los campos enviados sobre los valores actuales.
+        const ubicacion = validateAddress({
+            calle: calle ?? direccion.calle,
+            ciudad: ciudad ?? direccion.ciudad,
+            distrito: distrito ?? direccion.distrito,
+            codigoPostal: codigoPostal ?? direccion.codigoPostal
+        });
+        if (ubicacion.error) {
+            return res.status(400).json({ message: ubicacion.error });
+        }
+        if ((esPrincipal === false || esPrincipal === 'false') && direccion.esPrincipal) {
+            return res.status(400).json({ message: 'Debe haber una dirección principal. Marca otra dirección como principal.' });
+        }
+
+        if (alias !== undefined) direccion.alias = alias;
+        if (calle !== undefined) direccion.calle = String(calle).trim();
+        if (codigoPostal !== undefined) direccion.codigoPostal = codigoPostal ? String(codigoPostal).trim() : undefined;
+        direccion.ciudad = ubicacion.ciudad;
+        direccion.distrito = ubicacion.distrito;
+        if (esPrincipal === true || esPrincipal === 'true') {
+            setPrincipal(user, direccion._id);
+        }
+        await user.save();
+
+        res.json({ message: 'Dirección actualizada', direccion, direcciones: user.direcciones });
+    } catch (error) {
+        console.error("Update Address Error:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error al actualizar la dirección', error: error.message });
+    }
+};
+
+/**
+ * Elimina una dirección del usuario autenticado. Si era la principal, la primera de las restantes pasa a serlo.
+ * Los pedidos ya creados no se ven afectados: guardan una copia de la dirección.
+ * @async
+ * @function deleteAddress
+ * @param {object} req - Objeto de solicitud de Express. `req.params.addressId` es el _id de la dirección.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con la libreta actualizada o un mensaje de error.
+ */
+exports.deleteAddress = async (req, res) => {
+    const { addressId } = req.params;
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        const direccion = user.direcciones.id(addressId);
+        if (!direccion) {
+            return res.status(404).json({ message: 'Dirección no encontrada' });
+        }
+        direccion.deleteOne();
+        await user.save();
+
+        res.json({ message: 'Dirección eliminada', _id: addressId, direcciones: user.direcciones });
+    } catch (error) {
+        console.error("Delete Address Error:", error);
+        res.status(500).json({ message: 'Error al eliminar la dirección', error: error.message });
+    }
+};
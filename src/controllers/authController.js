@@ -1,127 +1,170 @@
 /**
  * @fileoverview Controlador para manejar la autenticación de usuarios.
- * Incluye funciones para iniciar sesión (login), registrar administradores y registrar clientes.
- * Utiliza los modelos User y Role, la librería JWT para tokens y dotenv para variables de entorno.
+ * Incluye funciones para iniciar sesión (login), renovar y cerrar la sesión, registrar clientes,
+ * restablecer la contraseña olvidada, verificar el email de los clientes y completar el segundo paso
+ * de la verificación en dos pasos (TOTP).
+ * Cada sesión usa un access token JWT de corta duración y un refresh token rotativo guardado en el servidor (ver utils/tokens.js).
+ * Los administradores se crean por invitación (ver invitationController.js).
  */
 
 // Importa los modelos necesarios de Mongoose.
 const User = require('../models/User');
 const Role = require('../models/Role');
-// Importa la librería jsonwebtoken para crear y verificar tokens.
-const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+// Importa las funciones de emisión, rotación y revocación de tokens.
+const {
+    hashToken, issueSession, signChallengeToken, verifyChallengeToken, requiresTwoFactorEnrollment, enrollmentChallenge,
+    rotateRefreshToken, revokeRefreshToken, revokeUserSessions
+} = require('../utils/tokens');
+const { consumeSecondFactor } = require('../utils/twoFactor');
+// Importa el envío de los correos de la cuenta.
+const { sendPasswordResetEmail, sendAccountLockedEmail } = require('../config/mailer');
+const { startEmailVerification } = require('../utils/emailVerification');
+// Importa el conteo de intentos fallidos y los bloqueos del inicio de sesión.
+const { attemptKeys, getLockExpiry, recordFailedLogin, clearAccountFailures } = require('../utils/loginGuard');
+const { PERMISOS_REQUIEREN_VERIFICACION } = require('../config/permissions');
 // Carga las variables de entorno desde el archivo .env.
 require('dotenv').config();
 
+// Minutos de validez del enlace para restablecer la contraseña.
+const minutosEnv = parseInt(process.env.RESET_PASSWORD_MINUTES, 10);
+const RESET_PASSWORD_MINUTES = isNaN(minutosEnv) ? 60 : minutosEnv;
+
+// Avisar por correo al dueño de una cuenta cuando se bloquea (desactivar con LOGIN_LOCK_NOTIFY=false).
+const AVISAR_BLOQUEO = process.env.LOGIN_LOCK_NOTIFY !== 'false';
+// Hash de relleno: cuando el email no existe se compara igual la contraseña, para que el tiempo de respuesta no lo delate.
+const HASH_RELLENO = bcrypt.hashSync('contraseña-de-relleno', 10);
+
+/**
+ * Describe la situación de una cuenta sin verificar para incluirla en las respuestas de login y registro.
+ * @function verificationNotice
+ * @param {mongoose.Document} user - El usuario.
+ * @returns {object|null} El aviso con las acciones restringidas, o null si el email ya está verificado.
+ */
+const verificationNotice = (user) => user.emailVerificado ? null : {
+    message: 'Tu email aún no está verificado. Revisa tu correo para confirmarlo.',
+    permisosRestringidos: PERMISOS_REQUIEREN_VERIFICACION
+};
+
+/**
+ * Completa un inicio de sesión ya verificado: reinicia el conteo de fallos, emite los tokens,
+ * fusiona el carrito anónimo y envía la respuesta.
+ * @async
+ * @function completeLogin
+ * @param {mongoose.Document} user - El usuario, con `idRol` poblado.
+ * @param {object} req - Objeto de solicitud de Express (puede traer `cartId` o la cabecera 'X-Cart-Id').
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>}
+ */
+const completeLogin = async (user, req, res) => {
+    // Un inicio de sesión correcto reinicia el conteo de fallos de la cuenta.
+    await clearAccountFailures(user.email);
+
+    // El access token lleva el ID del usuario y su rol; el refresh token permite renovarlo sin volver a pedir la contraseña.
+    const { token, refreshToken } = await issueSession(user, user.idRol.nombre, req);
+
+    // Fusiona el carrito anónimo con el del usuario. Un fallo aquí no debe impedir el inicio de sesión.
+    const idCarritoAnonimo = req.body.cartId || req.headers['x-cart-id'];
+    if (idCarritoAnonimo) {
+        try {
+            await Cart.mergeAnonymousCart(idCarritoAnonimo, user._id);
+        } catch (cartError) {
+            console.error("Error al fusionar el carrito anónimo:", cartError);
+        }
+    }
+
+    // Elimina la contraseña del objeto usuario antes de enviarlo en la respuesta por seguridad.
+    user.password = undefined;
+    // Envía la respuesta exitosa (código 200 OK por defecto) con los tokens y los datos del usuario.
+    res.json({ token, refreshToken, user, verificacionPendiente: verificationNotice(user) });
+};
+
 /**
  * Maneja el inicio de sesión de un usuario (admin o cliente).
  * Busca al usuario por email, compara la contraseña encriptada y, si es válida,
- * genera un token JWT que se devuelve junto con los datos del usuario.
+ * genera un access token y un refresh token que se devuelven junto con los datos del usuario.
+ * Ante un email desconocido o una contraseña incorrecta responde el mismo error genérico y cuenta el fallo
+ * por cuenta y por IP; al superar el límite, responde 429 hasta que termine el bloqueo (ver utils/loginGuard.js).
+ * Si el cliente tenía un carrito anónimo (cabecera 'X-Cart-Id' o `req.body.cartId`), lo fusiona con el carrito del usuario.
+ * Las cuentas con el email sin verificar pueden iniciar sesión; la respuesta lo indica en `verificacionPendiente`.
+ * Si el usuario tiene la verificación en dos pasos activa, no se emite la sesión: se responde `requiere2FA: true`
+ * con un `challengeToken` para `POST /api/auth/2fa/verify`. Si su rol la exige y aún no la activó,
+ * se responde `requiereEnrolamiento2FA: true` con un token para completar el enrolamiento.
  * @async
  * @function loginUser
- * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `email` y `password`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `email` y `password` (y opcionalmente `cartId`).
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Envía una respuesta JSON con el token y el usuario (sin contraseña) o un mensaje de error.
+ * @returns {Promise<void>} Envía una respuesta JSON con `token`, `refreshToken` y el usuario (sin contraseña) o un mensaje de error.
  */
 exports.loginUser = async (req, res) => {
     // Extrae email y contraseña del cuerpo de la solicitud.
     const { email, password } = req.body;
+    if (!email || !password) {
+        return res.status(400).json({ message: 'El email y la contraseña son obligatorios.' });
+    }
+    const claves = attemptKeys(email, req.ip);
     try {
+        // Si la cuenta o la IP están bloqueadas, ni siquiera se comprueba la contraseña.
+        const bloqueadoHasta = await getLockExpiry([claves.cuenta, claves.ip]);
+        if (bloqueadoHasta) {
+            const segundos = Math.ceil((bloqueadoHasta - Date.now()) / 1000);
+            res.set('Retry-After', String(segundos));
+            return res.status(429).json({ message: `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(segundos / 60)} minuto(s).` });
+        }
+
         // Busca un usuario en la base de datos que coincida con el email proporcionado.
         // .populate('idRol') reemplaza el ObjectId del rol con el documento completo del rol (para obtener el nombre del rol).
-        const user = await User.findOne({ email }).populate('idRol');
-        // Si no se encuentra un usuario con ese email, devuelve un error 401 (No autorizado).
-        if (!user) {
-            return res.status(401).json({ message: 'Credenciales inválidas (email)' });
-        }
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() }).populate('idRol');
 
         // Compara la contraseña proporcionada con la contraseña encriptada almacenada en la base de datos.
         // 'comparePassword' es un método definido en el modelo User.js que usa bcrypt.compare.
-        const isMatch = await user.comparePassword(password);
-        // Si las contraseñas no coinciden, devuelve un error 401.
-        if (!isMatch) {
-            return res.status(401).json({ message: 'Credenciales inválidas (contraseña)' });
-        }
-
-        // Si las credenciales son válidas, genera un token JWT.
-        const token = jwt.sign(
-            // Payload del token: Información que se guarda dentro del token.
-            // Es útil incluir el ID del usuario y su rol para validaciones posteriores.
-            { id: user._id, role: user.idRol.nombre },
-            // Clave secreta para firmar el token (leída desde .env). Es crucial mantenerla segura.
-            process.env.JWT_SECRET,
-            // Opciones del token: expiresIn define cuánto tiempo será válido el token ('1d' = 1 día).
-            { expiresIn: '1d' }
-        );
-
-        // Elimina la contraseña del objeto usuario antes de enviarlo en la respuesta por seguridad.
-        user.password = undefined;
-        // Envía la respuesta exitosa (código 200 OK por defecto) con el token y los datos del usuario.
-        res.json({ token, user });
-
-    } catch (error) {
-        // Si ocurre cualquier otro error durante el proceso (ej: error de base de datos),
-        // envía una respuesta de error 500 (Error Interno del Servidor).
-        console.error("Login Error:", error); 
-        res.status(500).json({ message: 'Error en el servidor al intentar iniciar sesión', error: error.message });
-    }
-};
-
-/**
- * Maneja el registro de un nuevo usuario con el rol de 'admin'.
- * Verifica si el rol 'admin' existe, si el email ya está registrado,
- * y luego crea el nuevo usuario asignándole el rol de administrador.
- * La contraseña se encripta automáticamente gracias al hook 'pre-save' del modelo User.
- * @async
- * @function registerAdmin
- * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `nombre`, `email` y `password`.
- * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito y el usuario creado (sin contraseña) o un mensaje de error.
- */
-exports.registerAdmin = async (req, res) => {
-    // Extrae los datos del nuevo administrador del cuerpo de la solicitud.
-    const { nombre, email, password } = req.body;
-    try {
-        // 1. Busca el documento del rol 'admin' para obtener su _id.
-        const adminRole = await Role.findOne({ nombre: 'admin' });
-        // Si no se encuentra el rol, es un problema de configuración. Devuelve error 500.
-        if (!adminRole) {
-            return res.status(500).json({ message: 'Error de configuración: El rol "admin" no existe en la BD.' });
+        const isMatch = user
+            ? await user.comparePassword(String(password))
+            : await bcrypt.compare(String(password), HASH_RELLENO);
+        // Si el email no existe o la contraseña no coincide, devuelve el mismo error 401 (No autorizado).
+        if (!user || !isMatch) {
+            const cuentaBloqueada = await recordFailedLogin(claves);
+            if (cuentaBloqueada && user && AVISAR_BLOQUEO) {
+                sendAccountLockedEmail(user, cuentaBloqueada);
+            }
+            return res.status(401).json({ message: 'Credenciales inválidas' });
         }
 
-        // 2. Verifica si ya existe un usuario con el mismo email.
-        const userExists = await User.findOne({ email });
-        // Si el email ya está en uso, devuelve un error 400 (Solicitud incorrecta).
-        if (userExists) {
-            return res.status(400).json({ message: 'El email ya está registrado' });
+        // Solo se informa que la cuenta está desactivada a quien conoce la contraseña.
+        if (user.activo === false) {
+            return res.status(403).json({ message: 'Tu cuenta está desactivada. Contacta con un administrador.' });
         }
 
-        // 3. Crea una nueva instancia del modelo User con los datos proporcionados.
-        const newUser = new User({
-            nombre,
-            email,
-            password, // La contraseña se pasa en texto plano; el hook 'pre-save' del modelo la encriptará.
-            idRol: adminRole._id // Asigna el ObjectId del rol 'admin'.
-        });
-
-        // Guarda el nuevo usuario en la base de datos.
-        const savedUser = await newUser.save();
-        // Elimina la contraseña del objeto antes de enviarlo en la respuesta.
-        savedUser.password = undefined;
+        // Segundo paso: el conteo de fallos no se reinicia hasta que se verifique el código.
+        if (user.totpActivo) {
+            return res.json({
+                requiere2FA: true,
+                challengeToken: signChallengeToken(user, '2fa'),
+                message: 'Ingresa el código de tu app de autenticación o un código de recuperación.'
+            });
+        }
+        if (requiresTwoFactorEnrollment(user, user.idRol.nombre)) {
+            return res.json(enrollmentChallenge(user));
+        }
 
-        // Envía una respuesta de éxito 201 (Creado) con un mensaje y los datos del nuevo admin.
-        res.status(201).json({ message: 'Administrador creado exitosamente', user: savedUser });
+        // Si las credenciales son válidas, inicia una sesión nueva.
+        await completeLogin(user, req, res);
 
     } catch (error) {
-        // envía una respuesta de error 500.
-        console.error("Register Admin Error:", error);
-        res.status(500).json({ message: 'Error al registrar administrador', error: error.message });
+        // Si ocurre cualquier otro error durante el proceso (ej: error de base de datos),
+        // envía una respuesta de error 500 (Error Interno del Servidor).
+        console.error("Login Error:", error); 
+        res.status(500).json({ message: 'Error en el servidor al intentar iniciar sesión', error: error.message });
     }
 };
 
 /**
  * Maneja el registro de un nuevo usuario con el rol de 'cliente'.
  * Realiza validaciones básicas, verifica si el rol 'cliente' y el email existen,
- * crea el nuevo usuario y, opcionalmente, lo inicia sesión automáticamente generando un token JWT.
+ * crea el nuevo usuario, le envía el correo de verificación y lo inicia sesión automáticamente generando sus tokens.
+ * Hasta que confirme su email, no puede usar los permisos de `PERMISOS_REQUIEREN_VERIFICACION` (ej: comprar).
  * @async
  * @function registerClient
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `nombre`, `email` y `password`.
@@ -136,7 +179,7 @@ exports.registerClient = async (req, res) => {
     if (!nombre || !email || !password) {
         return res.status(400).json({ message: 'Todos los campos son obligatorios.' });
     }
-    if (password.length < 6) {
+    if (typeof password !== 'string' || password.length < 6) {
         return res.status(400).json({ message: 'La contraseña debe tener al menos 6 caracteres.' });
     }
 
@@ -165,22 +208,21 @@ exports.registerClient = async (req, res) => {
 
         // Guarda el nuevo cliente en la base de datos.
         const savedUser = await newUser.save();
+        await startEmailVerification(savedUser);
 
-        // 4. Genera un token JWT para iniciar sesión automáticamente al nuevo cliente.
-        const token = jwt.sign(
-            { id: savedUser._id, role: clientRole.nombre }, // Payload
-            process.env.JWT_SECRET, // Secreto
-            { expiresIn: '1d' } // Expiración
-        );
+        // 4. Inicia una sesión para que el nuevo cliente quede autenticado automáticamente
+        // (o, si su rol exige la verificación en dos pasos, devuelve el desafío de enrolamiento).
+        const session = await issueSession(savedUser, clientRole.nombre, req);
 
         // Elimina la contraseña antes de enviar la respuesta.
         savedUser.password = undefined;
 
         // Envía respuesta 201 (Creado) con mensaje, token y datos del usuario.
         res.status(201).json({
+            ...session,
             message: 'Usuario creado exitosamente.',
-            token,
-            user: savedUser
+            user: savedUser,
+            verificacionPendiente: verificationNotice(savedUser)
         });
 
     } catch (error) {
@@ -188,4 +230,246 @@ exports.registerClient = async (req, res) => {
         console.error("Register Client Error:", error);
         res.status(500).json({ message: 'Error al registrar el usuario', error: error.message });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Renueva la sesión a partir de un refresh token.
+ * El refresh token usado queda revocado y se entrega uno nuevo junto con un access token nuevo (rotación).
+ * Si se presenta un refresh token ya usado, se revoca toda la sesión por posible robo.
+ * Si el rol del usuario exige la verificación en dos pasos y aún no la activó, la sesión se cierra y se responde
+ * `requiereEnrolamiento2FA: true` con el token de desafío para activarla.
+ * @async
+ * @function refreshSession
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.refreshToken`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con `token` y `refreshToken` nuevos o un error 401.
+ */
+exports.refreshSession = async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Falta el refresh token.' });
+    }
+    try {
+        const session = await rotateRefreshToken(refreshToken, req);
+        if (!session) {
+            return res.status(401).json({ message: 'Refresh token no válido, expirado o revocado. Inicia sesión de nuevo.' });
+        }
+        const { user, ...tokens } = session;
+        res.json(tokens);
+    } catch (error) {
+        console.error("Refresh Session Error:", error);
+        res.status(500).json({ message: 'Error al renovar la sesión', error: error.message });
+    }
+};
+
+/**
+ * Cierra la sesión asociada a un refresh token. Con `todas: true` cierra todas las sesiones del usuario
+ * e invalida también sus access tokens vigentes; para eso el refresh token debe estar vigente (no rotado, revocado ni vencido).
+ * Responde con éxito aunque el token no exista, para que el cliente pueda limpiar su estado igualmente.
+ * @async
+ * @function logoutUser
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.refreshToken` y opcionalmente `todas`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.logoutUser = async (req, res) => {
+    const { refreshToken, todas } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Falta el refresh token.' });
+    }
+    try {
+        const stored = await revokeRefreshToken(refreshToken);
+        if (stored && todas) {
+            await revokeUserSessions(stored.usuario);
+        }
+        res.json({ message: todas ? 'Se cerraron todas las sesiones.' : 'Sesión cerrada.' });
+    } catch (error) {
+        console.error("Logout Error:", error);
+        res.status(500).json({ message: 'Error al cerrar la sesión', error: error.message });
+    }
+};
+
+/**
+ * Inicia el restablecimiento de contraseña: si el email pertenece a un usuario, genera un token de un solo uso,
+ * guarda su hash con la fecha de vencimiento y envía el enlace por correo. Un nuevo pedido reemplaza al anterior.
+ * Siempre responde lo mismo, exista o no el email, para no revelar qué cuentas están registradas.
+ * @async
+ * @function forgotPassword
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.email`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje genérico o un mensaje de error.
+ */
+exports.forgotPassword = async (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+        return res.status(400).json({ message: 'El email es obligatorio.' });
+    }
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        const user = await User.findOneAndUpdate(
+            { email: String(email).toLowerCase().trim() },
+            { $set: { resetPasswordToken: hashToken(token), resetPasswordExpira: new Date(Date.now() + RESET_PASSWORD_MINUTES * 60 * 1000) } }
+        );
+        // El correo se envía sin esperar la respuesta, para que el tiempo de respuesta no delate si el email existe.
+        if (user) {
+            sendPasswordResetEmail(user, token, RESET_PASSWORD_MINUTES);
+        }
+        res.json({ message: 'Si el email está registrado, te enviamos un enlace para restablecer la contraseña.' });
+    } catch (error) {
+        console.error("Forgot Password Error:", error);
+        res.status(500).json({ message: 'Error al solicitar el restablecimiento de contraseña', error: error.message });
+    }
+};
+
+/**
+ * Restablece la contraseña con el token recibido por correo.
+ * El token se consume de forma atómica (un solo uso) y la nueva contraseña se encripta con el hook 'pre-save'.
+ * Después se cierran todas las sesiones abiertas del usuario.
+ * @async
+ * @function resetPassword
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `token` y `password`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+        return res.status(400).json({ message: 'El token y la nueva contraseña son obligatorios.' });
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({ message: 'La contraseña debe tener al menos 6 caracteres.' });
+    }
+    try {
+        // Busca y consume el token en una sola operación: si se usa dos veces a la vez, solo una lo encuentra.
+        const user = await User.findOneAndUpdate(
+            { resetPasswordToken: hashToken(String(token)), resetPasswordExpira: { $gt: new Date() } },
+            { $unset: { resetPasswordToken: '', resetPasswordExpira: '' } }
+        );
+        if (!user) {
+            return res.status(400).json({ message: 'El enlace no es válido o ya expiró. Solicita uno nuevo.' });
+        }
+
+        // Asigna la contraseña en texto plano; el hook 'pre-save' del modelo la encriptará.
+        user.password = password;
+        await user.save();
+        await revokeUserSessions(user._id);
+
+        res.json({ message: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña.' });
+    } catch (error) {
+        console.error("Reset Password Error:", error);
+        res.status(500).json({ message: 'Error al restablecer la contraseña', error: error.message });
+    }
+};
+
+/**
+ * Confirma el email de un usuario con el token recibido por correo. El token se consume de forma atómica.
+ * Si el usuario estaba cambiando de email (`emailPendiente`), el nuevo email reemplaza al anterior en este momento.
+ * @async
+ * @function verifyEmail
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.token`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.verifyEmail = async (req, res) => {
+    const { token } = req.body;
+    if (!token) {
+        return res.status(400).json({ message: 'Falta el token de verificación.' });
+    }
+    try {
+        // Actualización con pipeline: copia `emailPendiente` a `email` (si existe) en la misma operación.
+        const user = await User.findOneAndUpdate(
+            { verificacionToken: hashToken(String(token)), verificacionExpira: { $gt: new Date() } },
+            [
+                { $set: { email: { $ifNull: ['$emailPendiente', '$email'] }, emailVerificado: true } },
+                { $unset: ['emailPendiente', 'verificacionToken', 'verificacionExpira'] }
+            ],
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: 'El enlace no es válido o ya expiró. Solicita uno nuevo.' });
+        }
+        res.json({ message: 'Email verificado correctamente.', email: user.email });
+    } catch (error) {
+        console.error("Verify Email Error:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'El nuevo email ya está en uso por otro usuario.' });
+        }
+        res.status(500).json({ message: 'Error al verificar el email', error: error.message });
+    }
+};
+
+/**
+ * Reenvía el correo de verificación al usuario autenticado (o al email pendiente, si está cambiando de email).
+ * El enlace anterior deja de ser válido.
+ * @async
+ * @function resendVerification
+ * @param {object} req - Objeto de solicitud de Express (después de `protect`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.emailVerificado && !user.emailPendiente) {
+            return res.status(400).json({ message: 'Tu email ya está verificado.' });
+        }
+        await startEmailVerification(user, user.emailPendiente);
+        res.json({ message: `Te enviamos un nuevo enlace de verificación a ${user.emailPendiente || user.email}.` });
+    } catch (error) {
+        console.error("Resend Verification Error:", error);
+        res.status(500).json({ message: 'Error al reenviar el correo de verificación', error: error.message });
+    }
+};
+
+/**
+ * Segundo paso del inicio de sesión con verificación en dos pasos: recibe el token de desafío de `loginUser`
+ * y un código TOTP (o un código de recuperación) y, si es válido, emite la sesión.
+ * Los códigos incorrectos cuentan como intentos fallidos de la cuenta y de la IP.
+ * @async
+ * @function verifyTwoFactorLogin
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `challengeToken` y `codigo` o `codigoRecuperacion` (y opcionalmente `cartId`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con `token`, `refreshToken` y el usuario, o un mensaje de error.
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, codigo, codigoRecuperacion } = req.body;
+    if (!challengeToken || (!codigo && !codigoRecuperacion)) {
+        return res.status(400).json({ message: 'El desafío y el código son obligatorios.' });
+    }
+    const payload = verifyChallengeToken(challengeToken, '2fa');
+    if (!payload) {
+        return res.status(401).json({ message: 'El desafío expiró o no es válido. Inicia sesión de nuevo.' });
+    }
+
+    try {
+        const user = await User.findById(payload.id).populate('idRol');
+        if (!user || user.activo === false || (payload.tv || 0) !== user.tokenVersion) {
+            return res.status(401).json({ message: 'El desafío expiró o no es válido. Inicia sesión de nuevo.' });
+        }
+
+        const claves = attemptKeys(user.email, req.ip);
+        const bloqueadoHasta = await getLockExpiry([claves.cuenta, claves.ip]);
+        if (bloqueadoHasta) {
+            const segundos = Math.ceil((bloqueadoHasta - Date.now()) / 1000);
+            res.set('Retry-After', String(segundos));
+            return res.status(429).json({ message: `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(segundos / 60)} minuto(s).` });
+        }
+
+        const factor = await consumeSecondFactor(user._id, { codigo, codigoRecuperacion });
+        if (!factor) {
+            const cuentaBloqueada = await recordFailedLogin(claves);
+            if (cuentaBloqueada && AVISAR_BLOQUEO) {
+                sendAccountLockedEmail(user, cuentaBloqueada);
+            }
+            return res.status(401).json({ message: 'El código no es válido.' });
+        }
+
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error("Verify 2FA Login Error:", error);
+        res.status(500).json({ message: 'Error al verificar el código', error: error.message });
+    }
+};
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Controlador del carrito de compras.
+ * Permite a clientes autenticados y a visitantes anónimos añadir, modificar y quitar líneas del carrito.
+ * Los carritos anónimos se identifican con la cabecera 'X-Cart-Id' y se fusionan con el carrito
+ * del usuario cuando inicia sesión (ver `loginUser`).
+ * Al leer el carrito se vuelven a comprobar el stock y el precio de cada producto.
+ */
+
+// Importa los modelos de Mongoose necesarios.
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+// Importa 'crypto' para generar identificadores de carritos anónimos.
+const crypto = require('crypto');
+
+/**
+ * Construye el filtro para encontrar el carrito de la solicitud actual.
+ * Prioriza el usuario autenticado; si no hay, usa la cabecera 'X-Cart-Id'.
+ * @function getCartFilter
+ * @param {object} req - Objeto de solicitud de Express.
+ * @returns {object|null} El filtro de Mongoose, o null si la solicitud no tiene carrito asociado.
+ */
+const getCartFilter = (req) => {
+    if (req.userId) return { usuario: req.userId };
+    const idAnonimo = req.headers['x-cart-id'];
+    return idAnonimo ? { idAnonimo } : null;
+};
+
+/**
+ * Obtiene el carrito de la solicitud o crea uno nuevo (de usuario o anónimo) si no existe.
+ * @async
+ * @function findOrCreateCart
+ * @param {object} req - Objeto de solicitud de Express.
+ * @returns {Promise<mongoose.Document>} El documento del carrito.
+ */
+const findOrCreateCart = async (req) => {
+    const filter = getCartFilter(req);
+    if (filter) {
+        const cart = await Cart.findOne(filter);
+        if (cart) return cart;
+    }
+    // Si no hay carrito, crea uno. Los anónimos reciben un identificador nuevo que el cliente
+    // debe guardar (campo `idAnonimo` de la respuesta) y enviar en la cabecera 'X-Cart-Id'.
+    if (req.userId) return new Cart({ usuario: req.userId, items: [] });
+    return new Cart({ idAnonimo: crypto.randomUUID(), items: [] });
+};
+
+/**
+ * Revalida cada línea del carrito contra el estado actual de los productos y arma la respuesta.
+ * Marca las líneas cuyo producto o variante ya no existe, que superan el stock disponible
+ * de la variante o cuyo precio cambió desde que se añadieron.
+ * El total se calcula con los precios actuales y solo con las líneas válidas.
+ * @async
+ * @function buildCartResponse
+ * @param {mongoose.Document} cart - El documento del carrito.
+ * @returns {Promise<object>} El carrito con las líneas revalidadas y los totales.
+ */
+const buildCartResponse = async (cart) => {
+    // Trae todos los productos del carrito en una sola consulta.
+    const productIds = cart.items.map(item => item.producto);
+    const products = await Product.find({ _id: { $in: productIds } })
+        .populate('variantes.idTalla', 'nombre')
+        .populate('variantes.idColor', 'nombre');
+    const productsById = new Map(products.map(p => [String(p._id), p]));
+
+    let total = 0;
+    const items = cart.items.map(item => {
+        const product = productsById.get(String(item.producto));
+        const variante = product ? product.variantes.id(item.variante) : null;
+        const problemas = [];
+
+        if (!product) {
+            problemas.push('PRODUCTO_NO_DISPONIBLE');
+        } else if (!variante) {
+            problemas.push('VARIANTE_NO_DISPONIBLE');
+        } else {
+            if (variante.stock <= 0) {
+                problemas.push('SIN_STOCK');
+            } else if (variante.stock < item.cantidad) {
+                problemas.push('STOCK_INSUFICIENTE');
+            }
+            if (product.variantPrice(variante) !== item.precioUnitario) {
+                problemas.push('PRECIO_CAMBIADO');
+            }
+        }
+
+        // Un cambio de precio se informa, pero no invalida la línea.
+        const valido = problemas.every(p => p === 'PRECIO_CAMBIADO');
+        const precioActual = variante ? product.variantPrice(variante) : null;
+        const subtotal = valido ? precioActual * item.cantidad : 0;
+        total += subtotal;
+
+        return {
+            _id: item._id,
+            producto: product ? {
+                _id: product._id,
+                NombreProducto: product.NombreProducto,
+                imagen: product.imagen
+            } : { _id: item.producto },
+            variante: variante ? {
+                _id: variante._id,
+                sku: variante.sku,
+                talla: variante.idTalla?.nombre || null,
+                color: variante.idColor?.nombre || null,
+                stock: variante.stock
+            } : { _id: item.variante },
+            cantidad: item.cantidad,
+            precioUnitario: item.precioUnitario,
+            precioActual,
+            subtotal,
+            valido,
+            problemas
+        };
+    });
+
+    return {
+        _id: cart._id,
+        idAnonimo: cart.idAnonimo,
+        items,
+        total,
+        hayProblemas: items.some(item => item.problemas.length > 0)
+    };
+};
+
+// --- OBTENER CARRITO ---
+/**
+ * Devuelve el carrito de la solicitud con cada línea revalidada (variante, stock y precio).
+ * Si no existe carrito, devuelve un carrito vacío sin crearlo en la BD.
+ * @async
+ * @function getCart
+ * @param {object} req - Objeto de solicitud de Express. Usa `req.userId` o la cabecera 'X-Cart-Id'.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el carrito o un mensaje de error.
+ */
+exports.getCart = async (req, res) => {
+    try {
+        const filter = getCartFilter(req);
+        const cart = filter ? await Cart.findOne(filter) : null;
+        if (!cart) {
+            return res.json({ items: [], total: 0, hayProblemas: false });
+        }
+        res.json(await buildCartResponse(cart));
+    } catch (error) {
+        console.error("Get Cart Error:", error);
+        res.status(500).json({ message: 'Error al obtener el carrito', error: error.message });
+    }
+};
+
+// --- AÑADIR LÍNEA ---
+/**
+ * Añade una variante de un producto al carrito. Si ya existe una línea con la misma variante,
+ * suma la cantidad. Verifica que el producto y la variante existan y que la variante tenga
+ * stock suficiente para la cantidad total de la línea.
+ * `varianteId` puede omitirse si el producto tiene una sola variante.
+ * @async
+ * @function addItem
+ * @param {object} req - Objeto de solicitud de Express. `req.body` contiene `productoId`, `varianteId` y `cantidad`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el carrito actualizado (estado 201) o un mensaje de error.
+ */
+exports.addItem = async (req, res) => {
+    const { productoId, varianteId } = req.body;
+    const cantidad = parseInt(req.body.cantidad ?? 1, 10);
+
+    if (!productoId) {
+        return res.status(400).json({ message: 'El producto es obligatorio.' });
+    }
+    if (isNaN(cantidad) || cantidad < 1) {
+        return res.status(400).json({ message: 'La cantidad debe ser un número entero mayor que 0.' });
+    }
+
+    try {
+        const product = await Product.findById(productoId);
+        if (!product) {
+            return res.status(404).json({ message: 'Producto no encontrado' });
+        }
+        const variante = product.findVariant(varianteId);
+        if (!variante) {
+            return res.status(400).json({ message: 'Debes seleccionar una talla y color disponibles para este producto.' });
+        }
+
+        const cart = await findOrCreateCart(req);
+        const existing = cart.findItem(variante._id);
+        const cantidadTotal = (existing ? existing.cantidad : 0) + cantidad;
+
+        if (cantidadTotal > variante.stock) {
+            return res.status(409).json({ message: `Stock insuficiente. Disponible: ${variante.stock}.` });
+        }
+
+        if (existing) {
+            existing.cantidad = cantidadTotal;
+            existing.precioUnitario = product.variantPrice(variante);
+        } else {
+            cart.items.push({
+                producto: product._id,
+                variante: variante._id,
+                cantidad,
+                precioUnitario: product.variantPrice(variante)
+            });
+        }
+
+        await cart.save();
+        res.status(201).json(await buildCartResponse(cart));
+    } catch (error) {
+        console.error("Add Cart Item Error:", error);
+        res.status(500).json({ message: 'Error al añadir el producto al carrito', error: error.message });
+    }
+};
+
+// --- ACTUALIZAR LÍNEA ---
+/**
+ * Cambia la cantidad de una línea del carrito por el ID de la línea.
+ * Al actualizar la línea también se acepta el precio actual del producto.
+ * @async
+ * @function updateItem
+ * @param {object} req - Objeto de solicitud de Express. `req.params.itemId` es el ID de la línea, `req.body.cantidad` la nueva cantidad.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el carrito actualizado o un mensaje de error.
+ */
+exports.updateItem = async (req, res) => {
+    const cantidad = parseInt(req.body.cantidad, 10);
+    if (isNaN(cantidad) || cantidad < 1) {
+        return res.status(400).json({ message: 'La cantidad debe ser un número entero mayor que 0.' });
+    }
+
+    try {
+        const filter = getCartFilter(req);
+        const cart = filter ? await Cart.findOne(filter) : null;
+        const item = cart ? cart.items.id(req.params.itemId) : null;
+        if (!item) {
+            return res.status(404).json({ message: 'Línea del carrito no encontrada' });
+        }
+
+        const product = await Product.findById(item.producto);
+        const variante = product ? product.variantes.id(item.variante) : null;
+        if (!variante) {
+            return res.status(404).json({ message: 'El producto ya no está disponible' });
+        }
+        if (cantidad > variante.stock) {
+            return res.status(409).json({ message: `Stock insuficiente. Disponible: ${variante.stock}.` });
+        }
+
+        item.cantidad = cantidad;
+        item.precioUnitario = product.variantPrice(variante);
+        await cart.save();
+        res.json(await buildCartResponse(cart));
+    } catch (error) {
+        console.error("Update Cart Item Error:", error);
+        res.status(500).json({ message: 'Error al actualizar la línea del carrito', error: error.message });
+    }
+};
+
+// --- ELIMINAR LÍNEA ---
+/**
+ * Quita una línea del carrito por su ID.
+ * @async
+ * @function removeItem
+ * @param {object} req - Objeto de solicitud de Express. `req.params.itemId` es el ID de la línea.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el carrito actualizado o un mensaje de error.
+ */
+exports.removeItem = async (req, res) => {
+    try {
+        const filter = getCartFilter(req);
+        const cart = filter ? await Cart.findOne(filter) : null;
+        const item = cart ? cart.items.id(req.params.itemId) : null;
+        if (!item) {
+            return res.status(404).json({ message: 'Línea del carrito no encontrada' });
+        }
+
+        item.deleteOne();
+        await cart.save();
+        res.json(await buildCartResponse(cart));
+    } catch (error) {
+        console.error("Remove Cart Item Error:", error);
+        res.status(500).json({ message: 'Error al eliminar la línea del carrito', error: error.message });
+    }
+};
+
+// --- VACIAR CARRITO ---
+/**
+ * Elimina todas las líneas del carrito.
+ * @async
+ * @function clearCart
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o un mensaje de error.
+ */
+exports.clearCart = async (req, res) => {
+    try {
+        const filter = getCartFilter(req);
+        if (filter) {
+            await Cart.updateOne(filter, { $set: { items: [] } });
+        }
+        res.json({ message: 'Carrito vaciado', items: [], total: 0, hayProblemas: false });
+    } catch (error) {
+        console.error("Clear Cart Error:", error);
+        res.status(500).json({ message: 'Error al vaciar el carrito', error: error.message });
+    }
+};
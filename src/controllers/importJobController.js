@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Controlador de los trabajos de carga masiva de productos.
+ * La carga (`POST /api/products/upload`) crea el trabajo y lo procesa en segundo plano (ver utils/importJobs.js);
+ * aquí se consulta su progreso, se listan las cargas anteriores con quién las subió y se cancelan las que siguen en curso.
+ */
+
+const ImportJob = require('../models/ImportJob');
+const { ESTADOS_ACTIVOS } = require('../utils/importJobs');
+
+/**
+ * Agrega al trabajo el porcentaje de avance (`progreso`, de 0 a 100).
+ * @function withProgress
+ * @param {mongoose.Document} job - El trabajo.
+ * @returns {object} El trabajo como objeto plano con `progreso`.
+ */
+const withProgress = (job) => {
+    const data = job.toObject();
+    data.progreso = data.estado === 'completado'
+        ? 100
+        : (data.totalFilas > 0 ? Math.floor((data.procesadas / data.totalFilas) * 100) : 0);
+    return data;
+};
+
+/**
+ * Lista las cargas masivas, de la más reciente a la más antigua, con el usuario que subió cada archivo.
+ * No incluye el detalle de errores por fila (se obtiene con `getImportJob`).
+ * @async
+ * @function getImportJobs
+ * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener `estado`, `page` y `limit`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los trabajos y metadatos de paginación, o un mensaje de error.
+ */
+exports.getImportJobs = async (req, res) => {
+    try {
+        const { estado, page = 1, limit = 20 } = req.query;
+        const filterObject = {};
+        if (estado) filterObject.estado = estado;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const totalJobs = await ImportJob.countDocuments(filterObject);
+        const jobs = await ImportJob.find(filterObject)
+            .select('-errores')
+            .populate('usuario', 'nombre email')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum);
+
+        res.json({
+            jobs: jobs.map(withProgress),
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalJobs / limitNum),
+            totalJobs
+        });
+    } catch (error) {
+        console.error("Get Import Jobs Error:", error);
+        res.status(500).json({ message: 'Error al obtener las importaciones', error: error.message });
+    }
+};
+
+/**
+ * Obtiene el estado de una carga masiva: progreso, contadores y filas con errores.
+ * @async
+ * @function getImportJob
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del trabajo.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el trabajo o un mensaje de error.
+ */
+exports.getImportJob = async (req, res) => {
+    try {
+        const job = await ImportJob.findById(req.params.id)
+            .populate('usuario', 'nombre email')
+            .populate('canceladoPor', 'nombre email');
+        if (!job) {
+            return res.status(404).json({ message: 'Importación no encontrada.' });
+        }
+        res.json(withProgress(job));
+    } catch (error) {
+        console.error("Get Import Job Error:", error);
+        res.status(500).json({ message: 'Error al obtener la importación', error: error.message });
+    }
+};
+
+/**
+ * Cancela una carga masiva. Si aún espera en la cola, se cancela de inmediato; si se está procesando,
+ * se detiene al terminar el lote en curso (los productos ya guardados se conservan).
+ * @async
+ * @function cancelImportJob
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del trabajo.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el trabajo o un mensaje de error (404, o 409 si ya terminó).
+ */
+exports.cancelImportJob = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        let job = await ImportJob.findOneAndUpdate(
+            { _id: id, estado: 'pendiente' },
+            { $set: { estado: 'cancelado', cancelacionSolicitada: true, canceladoPor: req.userId, finalizadoEn: new Date() } },
+            { new: true }
+        );
+        if (!job) {
+            job = await ImportJob.findOneAndUpdate(
+                { _id: id, estado: { $in: ESTADOS_ACTIVOS } },
+                { $set: { cancelacionSolicitada: true, canceladoPor: req.userId } },
+                { new: true }
+            );
+        }
+        if (!job) {
+            const exists = await ImportJob.exists({ _id: id });
+            return exists
+                ? res.status(409).json({ message: 'La importación ya terminó.' })
+                : res.status(404).json({ message: 'Importación no encontrada.' });
+        }
+
+        res.json({
+            message: job.estado === 'cancelado'
+                ? 'Importación cancelada.'
+                : 'Cancelación solicitada: la importación se detendrá al terminar el lote en curso.',
+            job: withProgress(job)
+        });
+    } catch (error) {
+        console.error("Cancel Import Job Error:", error);
+        res.status(500).json({ message: 'Error al cancelar la importación', error: error.message });
+    }
+};
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Controlador del inventario (kardex) de productos.
+ * Permite registrar movimientos manuales de stock (entradas, ajustes y devoluciones),
+ * consultar y exportar a Excel el kardex de un producto y conciliar el stock de cada variante
+ * con la suma de sus movimientos. Las ventas y devoluciones por pedidos se registran desde orderController.
+ * También ofrece el reporte de productos con stock bajo.
+ */
+
+// Importa mongoose para validar IDs y abrir sesiones de transacción.
+const mongoose = require('mongoose');
+// Importa los modelos de Mongoose necesarios.
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+// Importa la librería 'exceljs' para generar archivos Excel.
+const exceljs = require('exceljs');
+// Importa la detección de stock bajo.
+const { UMBRAL_STOCK_BAJO, lowStockFilter, checkLowStock } = require('../utils/stockAlerts');
+
+// Tipos de movimiento que se pueden registrar a mano (las ventas solo las registra el checkout).
+const TIPOS_MANUALES = ['entrada', 'ajuste', 'devolucion'];
+
+/**
+ * Construye el filtro de movimientos de un producto a partir de `req.query` (`varianteId`, `desde`, `hasta`).
+ * @function buildMovementFilter
+ * @param {string} productId - ID del producto.
+ * @param {object} query - Parámetros de consulta de la solicitud.
+ * @returns {object} El filtro de Mongoose.
+ */
+const buildMovementFilter = (productId, query) => {
+    const filterObject = { producto: productId };
+    if (query.varianteId) filterObject.variante = query.varianteId;
+    if (query.desde || query.hasta) {
+        filterObject.createdAt = {};
+        if (query.desde) filterObject.createdAt.$gte = new Date(query.desde);
+        if (query.hasta) filterObject.createdAt.$lte = new Date(query.hasta);
+    }
+    return filterObject;
+};
+
+/**
+ * Compara el stock actual de cada variante con la suma de sus movimientos en el kardex.
+ * @async
+ * @function getReconciliation
+ * @param {mongoose.Document} product - El producto (con sus variantes).
+ * @returns {Promise<Array<object>>} Por variante: `stockActual`, `stockKardex` y `diferencia`.
+ */
+const getReconciliation = async (product) => {
+    const totals = await InventoryMovement.aggregate([
+        { $match: { producto: product._id } },
+        { $group: { _id: '$variante', total: { $sum: '$cantidad' } } }
+    ]);
+    const totalsByVariant = new Map(totals.map(t => [String(t._id), t.total]));
+
+    return product.variantes.map(variante => {
+        const stockKardex = totalsByVariant.get(String(variante._id)) || 0;
+        return {
+            variante: variante._id,
+            sku: variante.sku,
+            stockActual: variante.stock,
+            stockKardex,
+            diferencia: variante.stock - stockKardex
+        };
+    });
+};
+
+// --- REGISTRAR MOVIMIENTO ---
+/**
+ * Registra un movimiento manual de stock sobre una variante y actualiza su stock de forma atómica.
+ * El cambio de stock y el registro en el kardex se hacen en una transacción: o se guardan ambos o ninguno.
+ * `cantidad` lleva signo en los ajustes (ej: -2 por mercadería dañada); en entradas y devoluciones debe ser positiva.
+ * Un movimiento que dejaría el stock en negativo se rechaza con 409.
+ * @async
+ * @function createMovement
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto; `req.body` contiene `varianteId`, `tipo`, `cantidad` y `motivo`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el movimiento registrado (estado 201) o un mensaje de error.
+ */
+exports.createMovement = async (req, res) => {
+    let session;
+    try {
+        const { varianteId, tipo, motivo } = req.body;
+        const cantidad = parseInt(req.body.cantidad, 10);
+
+        if (!TIPOS_MANUALES.includes(tipo)) {
+            return res.status(400).json({ message: `Tipo de movimiento no válido. Valores permitidos: ${TIPOS_MANUALES.join(', ')}.` });
+        }
+        if (isNaN(cantidad) || cantidad === 0 || (tipo !== 'ajuste' && cantidad < 0)) {
+            return res.status(400).json({ message: 'La cantidad debe ser un número entero distinto de 0 (positivo salvo en ajustes).' });
+        }
+        if (typeof motivo !== 'string' || !motivo.trim()) {
+            return res.status(400).json({ message: 'El motivo del movimiento es obligatorio.' });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id) || (varianteId && !mongoose.isValidObjectId(varianteId))) {
+            return res.status(400).json({ message: 'El ID del producto o de la variante no es válido.' });
+        }
+
+        const product = await Product.findById(req.params.id);
+        const variante = product ? product.findVariant(varianteId) : null;
+        if (!variante) {
+            return res.status(404).json({ message: 'Producto o variante no encontrado' });
+        }
+
+        session = await mongoose.startSession();
+        let movement = null;
+        await session.withTransaction(async () => {
+            movement = null;
+            // Actualiza el stock solo si no queda en negativo; si no se cumple, devuelve null.
+            const updated = await Product.findOneAndUpdate(
+                { _id: product._id, variantes: { $elemMatch: { _id: variante._id, stock: { $gte: -cantidad } } } },
+                { $inc: { 'variantes.$.stock': cantidad, stock: cantidad } },
+                { new: true, session }
+            );
+            if (!updated) return;
+
+            [movement] = await InventoryMovement.record({
+                producto: product._id,
+                variante: variante._id,
+                sku: variante.sku,
+                tipo,
+                cantidad,
+                stockResultante: updated.variantes.id(variante._id).stock,
+                motivo: motivo.trim(),
+                usuario: req.userId
+            }, { session });
+        });
+        if (!movement) {
+            return res.status(409).json({ message: `El movimiento dejaría el stock en negativo. Disponible: ${variante.stock}.` });
+        }
+
+        checkLowStock([product._id]);
+        res.status(201).json(movement);
+    } catch (error) {
+        console.error("Create Movement Error:", error);
+        res.status(500).json({ message: 'Error al registrar el movimiento', error: error.message });
+    } finally {
+        if (session) session.endSession();
+    }
+};
+
+// --- KARDEX ---
+/**
+ * Obtiene el kardex de un producto: sus movimientos en orden cronológico (filtrables por
+ * `varianteId`, `desde` y `hasta`) y la conciliación del stock de cada variante con el kardex.
+ * @async
+ * @function getKardex
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los movimientos y la conciliación o un mensaje de error.
+ */
+exports.getKardex = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Producto no encontrado' });
+        }
+
+        const movements = await InventoryMovement.find(buildMovementFilter(product._id, req.query))
+            .populate('usuario', 'nombre email')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            producto: { _id: product._id, NombreProducto: product.NombreProducto, stock: product.stock },
+            movimientos: movements,
+            conciliacion: await getReconciliation(product)
+        });
+    } catch (error) {
+        console.error("Get Kardex Error:", error);
+        res.status(500).json({ message: 'Error al obtener el kardex', error: error.message });
+    }
+};
+
+// --- EXPORTAR KARDEX A EXCEL ---
+/**
+ * Genera y envía un archivo Excel (.xlsx) con el kardex de un producto.
+ * Acepta los mismos filtros que `getKardex`.
+ * @async
+ * @function exportKardex
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto.
+ * @param {object} res - Objeto de respuesta de Express. Envía el archivo Excel como descarga.
+ * @returns {Promise<void>} Envía el archivo Excel o un mensaje de error JSON.
+ */
+exports.exportKardex = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Producto no encontrado' });
+        }
+
+        const movements = await InventoryMovement.find(buildMovementFilter(product._id, req.query))
+            .populate('usuario', 'nombre email')
+            .sort({ createdAt: 1 });
+
+        const workbook = new exceljs.Workbook();
+        const worksheet = workbook.addWorksheet('Kardex');
+
+        worksheet.columns = [
+            { header: 'Fecha', key: 'fecha', width: 22, style: { numFmt: 'dd/mm/yyyy hh:mm' } },
+            { header: 'SKU', key: 'sku', width: 18 },
+            { header: 'Tipo', key: 'tipo', width: 12 },
+            { header: 'Cantidad', key: 'cantidad', width: 10 },
+            { header: 'Stock Resultante', key: 'stockResultante', width: 16 },
+            { header: 'Motivo', key: 'motivo', width: 40 },
+            { header: 'Usuario', key: 'usuario', width: 25 },
+            { header: 'Pedido', key: 'pedido', width: 28 },
+        ];
+
+        // Aplica el mismo estilo de encabezado que el reporte de productos.
+        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        worksheet.getRow(1).fill = { type: 'pattern', pattern:'solid', fgColor:{argb:'FF4F46E5'} };
+
+        movements.forEach(movement => {
+            worksheet.addRow({
+                fecha: movement.createdAt,
+                sku: movement.sku,
+                tipo: movement.tipo,
+                cantidad: movement.cantidad,
+                stockResultante: movement.stockResultante,
+                motivo: movement.motivo,
+                usuario: movement.usuario?.nombre || 'Sistema',
+                pedido: movement.pedido ? movement.pedido.toString() : ''
+            });
+        });
+
+        const filename = `Kardex-${product.NombreProducto.replace(/[^a-zA-Z0-9]/g, '_')}.xlsx`;
+        res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+
+    } catch (error) {
+        console.error("Export Kardex Error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Error al exportar el kardex', error: error.message });
+        }
+    }
+};
+
+// --- CONCILIAR KARDEX ---
+/**
+ * Concilia el kardex con el stock actual: por cada variante cuyo stock no coincide con la suma de sus
+ * movimientos (ej: productos creados antes de existir el kardex), registra un ajuste por la diferencia.
+ * El stock actual no se modifica.
+ * @async
+ * @function reconcileKardex
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los ajustes registrados o un mensaje de error.
+ */
+exports.reconcileKardex = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Producto no encontrado' });
+        }
+
+        const differences = (await getReconciliation(product)).filter(r => r.diferencia !== 0);
+        const movements = await InventoryMovement.record(differences.map(r => ({
+            producto: product._id,
+            variante: r.variante,
+            sku: r.sku,
+            tipo: 'ajuste',
+            cantidad: r.diferencia,
+            stockResultante: r.stockActual,
+            motivo: 'Conciliación del kardex con el stock actual',
+            usuario: req.userId
+        })));
+
+        res.json({ message: `${movements.length} variante(s) conciliadas.`, movimientos: movements });
+    } catch (error) {
+        console.error("Reconcile Kardex Error:", error);
+        res.status(500).json({ message: 'Error al conciliar el kardex', error: error.message });
+    }
+};
+
+// --- REPORTE DE STOCK BAJO ---
+/**
+ * Obtiene los productos cuyo stock total está en o por debajo de su umbral de reposición
+ * (`stockMinimo` del producto o, si no tiene, el umbral global), ordenados de menor a mayor stock.
+ * Incluye el stock de cada variante para saber qué reponer.
+ * @async
+ * @function getLowStockReport
+ * @param {object} req - Objeto de solicitud de Express. `req.query.marca` filtra opcionalmente por marca.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los productos y el umbral global o un mensaje de error.
+ */
+exports.getLowStockReport = async (req, res) => {
+    try {
+        const filterObject = lowStockFilter();
+        if (req.query.marca) filterObject.idMarca = req.query.marca;
+
+        const products = await Product.find(filterObject)
+            .populate('idMarca', 'nombre')
+            .populate('variantes.idTalla', 'nombre')
+            .populate('variantes.idColor', 'nombre')
+            .sort({ stock: 1, NombreProducto: 1 });
+
+        res.json({
+            umbralGlobal: UMBRAL_STOCK_BAJO,
+            totalProducts: products.length,
+            products: products.map(product => ({
+                _id: product._id,
+                NombreProducto: product.NombreProducto,
+                marca: product.idMarca?.nombre || null,
+                stock: product.stock,
+                umbral: product.stockMinimo ?? UMBRAL_STOCK_BAJO,
+                alertaEnviada: product.alertaStockBajo,
+                variantes: product.variantes.map(variante => ({
+                    _id: variante._id,
+                    sku: variante.sku,
+                    talla: variante.idTalla?.nombre || null,
+                    color: variante.idColor?.nombre || null,
+                    stock: variante.stock
+                }))
+            }))
+        });
+    } catch (error) {
+        console.error("Low Stock Report Error:", error);
+        res.status(500).json({ message: 'Error al obtener el reporte de stock bajo', error: error.message });
+    }
+};
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Controlador de las invitaciones de administradores.
+ * Un administrador invita un email; el invitado recibe un enlace firmado (JWT) y con vencimiento,
+ * y al aceptarlo elige su nombre y su propia contraseña. Las invitaciones pendientes se pueden
+ * listar, revocar y reenviar (el reenvío genera un enlace nuevo e invalida el anterior).
+ */
+
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { hashToken, issueSession } = require('../utils/tokens');
+const { sendAdminInvitationEmail } = require('../config/mailer');
+require('dotenv').config();
+
+// Días de validez del enlace de invitación.
+const diasEnv = parseInt(process.env.INVITATION_DAYS, 10);
+const INVITATION_DAYS = isNaN(diasEnv) ? 7 : diasEnv;
+
+/**
+ * Genera un enlace nuevo para la invitación (token firmado), guarda su hash y vencimiento, y envía el correo.
+ * @async
+ * @function sendInvitation
+ * @param {mongoose.Document} invitation - La invitación (se guarda dentro de esta función).
+ * @param {string} nombreInvitador - Nombre del administrador que invita, para el correo.
+ * @returns {Promise<void>}
+ */
+const sendInvitation = async (invitation, nombreInvitador) => {
+    const token = jwt.sign(
+        { inv: invitation._id, tipo: 'invitacion-admin' },
+        process.env.JWT_SECRET,
+        { expiresIn: `${INVITATION_DAYS}d` }
+    );
+    invitation.tokenHash = hashToken(token);
+    invitation.expiraEn = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+    await invitation.save();
+    sendAdminInvitationEmail(invitation.email, nombreInvitador, token, INVITATION_DAYS);
+};
+
+/**
+ * Invita a un email a crear una cuenta de administrador.
+ * @async
+ * @function createInvitation
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.email`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con la invitación creada o un mensaje de error.
+ */
+exports.createInvitation = async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    if (!/\S+@\S+\.\S+/.test(email)) {
+        return res.status(400).json({ message: 'Por favor, usa un email válido.' });
+    }
+
+    try {
+        if (await User.exists({ email })) {
+            return res.status(400).json({ message: 'El email ya está registrado.' });
+        }
+        if (await Invitation.exists({ email, estado: 'pendiente' })) {
+            return res.status(409).json({ message: 'Ya hay una invitación pendiente para este email. Puedes reenviarla.' });
+        }
+
+        const invitador = await User.findById(req.userId).select('nombre');
+        // El token y su vencimiento se completan en sendInvitation, antes de guardar.
+        const invitation = new Invitation({ email, invitadoPor: req.userId });
+        await sendInvitation(invitation, invitador?.nombre);
+
+        res.status(201).json({ message: `Invitación enviada a ${email}`, invitation });
+    } catch (error) {
+        console.error("Create Invitation Error:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Ya hay una invitación pendiente para este email. Puedes reenviarla.' });
+        }
+        res.status(500).json({ message: 'Error al crear la invitación', error: error.message });
+    }
+};
+
+/**
+ * Lista las invitaciones, por defecto solo las pendientes, de la más reciente a la más antigua.
+ * Las pendientes ya vencidas se marcan con `vencida: true`.
+ * @async
+ * @function getInvitations
+ * @param {object} req - Objeto de solicitud de Express. `req.query.estado` puede ser 'pendiente', 'aceptada', 'revocada' o 'todas'.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el array de invitaciones o un mensaje de error.
+ */
+exports.getInvitations = async (req, res) => {
+    try {
+        const { estado = 'pendiente' } = req.query;
+        const filterObject = estado === 'todas' ? {} : { estado };
+        const invitations = await Invitation.find(filterObject)
+            .populate('invitadoPor', 'nombre email')
+            .select('-tokenHash')
+            .sort({ createdAt: -1 });
+
+        const ahora = new Date();
+        res.json(invitations.map(inv => ({
+            ...inv.toObject(),
+            vencida: inv.estado === 'pendiente' && inv.expiraEn <= ahora
+        })));
+    } catch (error) {
+        console.error("Get Invitations Error:", error);
+        res.status(500).json({ message: 'Error al obtener las invitaciones', error: error.message });
+    }
+};
+
+/**
+ * Revoca una invitación pendiente: su enlace deja de funcionar.
+ * @async
+ * @function revokeInvitation
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID de la invitación.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.revokeInvitation = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: id, estado: 'pendiente' },
+            { $set: { estado: 'revocada' } }
+        );
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitación pendiente no encontrada' });
+        }
+        res.json({ message: 'Invitación revocada', _id: id });
+    } catch (error) {
+        console.error("Revoke Invitation Error:", error);
+        res.status(500).json({ message: 'Error al revocar la invitación', error: error.message });
+    }
+};
+
+/**
+ * Reenvía una invitación pendiente con un enlace nuevo y un nuevo plazo de vencimiento.
+ * El enlace anterior deja de funcionar.
+ * @async
+ * @function resendInvitation
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID de la invitación.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.resendInvitation = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const invitation = await Invitation.findOne({ _id: id, estado: 'pendiente' });
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitación pendiente no encontrada' });
+        }
+        const invitador = await User.findById(req.userId).select('nombre');
+        await sendInvitation(invitation, invitador?.nombre);
+        res.json({ message: `Invitación reenviada a ${invitation.email}`, expiraEn: invitation.expiraEn });
+    } catch (error) {
+        console.error("Resend Invitation Error:", error);
+        res.status(500).json({ message: 'Error al reenviar la invitación', error: error.message });
+    }
+};
+
+/**
+ * Acepta una invitación: crea la cuenta de administrador con el nombre y la contraseña elegidos por el invitado
+ * e inicia su sesión. El email queda verificado, porque el invitado recibió el enlace en él.
+ * Si el rol de administrador exige la verificación en dos pasos, responde `requiereEnrolamiento2FA: true`
+ * con el token de desafío para activarla, sin sesión.
+ * @async
+ * @function acceptInvitation
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `token`, `nombre` y `password`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los tokens y el usuario creado, o un mensaje de error.
+ */
+exports.acceptInvitation = async (req, res) => {
+    const { token, nombre, password } = req.body;
+    if (!token || !nombre || !password) {
+        return res.status(400).json({ message: 'El token, el nombre y la contraseña son obligatorios.' });
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({ message: 'La contraseña debe tener al menos 6 caracteres.' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(400).json({ message: 'La invitación no es válida o ya expiró.' });
+    }
+    if (payload.tipo !== 'invitacion-admin') {
+        return res.status(400).json({ message: 'La invitación no es válida o ya expiró.' });
+    }
+
+    let invitation;
+    try {
+        const adminRole = await Role.findOne({ nombre: 'admin' });
+        if (!adminRole) {
+            return res.status(500).json({ message: 'Error de configuración: El rol "admin" no existe en la BD.' });
+        }
+
+        // Consume la invitación de forma atómica: el hash debe coincidir (un reenvío invalida los enlaces anteriores).
+        invitation = await Invitation.findOneAndUpdate(
+            { _id: payload.inv, tokenHash: hashToken(String(token)), estado: 'pendiente', expiraEn: { $gt: new Date() } },
+            { $set: { estado: 'aceptada', aceptadaEn: new Date() } },
+            { new: true }
+        );
+        if (!invitation) {
+            return res.status(400).json({ message: 'La invitación no es válida, fue revocada o ya se usó.' });
+        }
+
+        const user = await User.create({
+            nombre,
+            email: invitation.email,
+            password, // El hook 'pre-save' del modelo la encriptará.
+            idRol: adminRole._id,
+            emailVerificado: true
+        });
+        invitation.usuario = user._id;
+        await invitation.save();
+
+        // Si el rol exige la verificación en dos pasos, en lugar de la sesión se devuelve el desafío de enrolamiento.
+        const session = await issueSession(user, adminRole.nombre, req);
+        user.password = undefined;
+        res.status(201).json({ ...session, message: 'Cuenta de administrador creada', user });
+    } catch (error) {
+        console.error("Accept Invitation Error:", error);
+        // Si no se pudo crear la cuenta, la invitación vuelve a quedar pendiente.
+        if (invitation && !invitation.usuario) {
+            await Invitation.updateOne({ _id: invitation._id }, { $set: { estado: 'pendiente', aceptadaEn: null } }).catch(() => {});
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'El email ya está registrado.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error al aceptar la invitación', error: error.message });
+    }
+};
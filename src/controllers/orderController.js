@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Controlador de pedidos (checkout).
+ * Crea pedidos a partir del carrito del usuario o de una lista de líneas, descontando el stock
+ * de forma atómica dentro de una transacción de MongoDB (requiere un replica set).
+ * También ofrece el historial de pedidos del cliente, el listado con filtros para administradores
+ * y el flujo de estados del pedido (con devolución de stock al cancelar y correo al cliente en cada cambio).
+ */
+
+// Importa mongoose para abrir sesiones de transacción.
+const mongoose = require('mongoose');
+// Importa los modelos de Mongoose necesarios.
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+// Importa el helper de permisos para permitir ver pedidos ajenos a los administradores.
+const { userHasPermission } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
+// Importa la función para avisar al cliente de los cambios de estado.
+const { sendOrderStatusEmail } = require('../config/mailer');
+// Importa la revisión de stock bajo (las ventas pueden cruzar el umbral de reposición).
+const { checkLowStock } = require('../utils/stockAlerts');
+
+// Largo máximo de la nota que acompaña a un cambio de estado (se guarda en el historial y va en el correo al cliente).
+const MAX_LARGO_NOTA = 500;
+
+/**
+ * Crea un error con código HTTP para abortar la transacción y responder con ese estado.
+ * @function httpError
+ * @param {number} status - Código HTTP a devolver.
+ * @param {string} message - Mensaje para el cliente.
+ * @returns {Error} El error con la propiedad `status`.
+ */
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// --- CREAR PEDIDO (CHECKOUT) ---
+/**
+ * Crea un pedido para el usuario autenticado.
+ * Las líneas se toman de `req.body.items` o, si no se envían, del carrito del usuario (que se vacía al terminar).
+ * La dirección de envío es `req.body.direccionId` (el _id de una dirección de `User.direcciones`) o, por defecto, la principal.
+ * Dentro de una transacción, cada línea descuenta el stock de su variante con una actualización condicionada
+ * a `stock >= cantidad`: si dos compradores compiten por la última unidad, solo uno lo consigue y el otro recibe un 409.
+ * Los nombres, SKU, tallas, colores y precios se copian en el pedido, y cada descuento se registra en el kardex como venta.
+ * @async
+ * @function createOrder
+ * @param {object} req - Objeto de solicitud de Express. `req.body` puede contener `items` (`[{ productoId, varianteId, cantidad }]`) y `direccionId`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el pedido creado (estado 201) o un mensaje de error.
+ */
+exports.createOrder = async (req, res) => {
+    const { items, direccionId } = req.body;
+    const desdeCarrito = !Array.isArray(items) || items.length === 0;
+
+    let session;
+    try {
+        // 1. Resuelve la dirección de envío entre las del usuario.
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        const direccion = direccionId
+            ? user.direcciones.find(d => String(d._id) === String(direccionId))
+            : (user.direcciones.find(d => d.esPrincipal) || user.direcciones[0]);
+        if (!direccion) {
+            return res.status(400).json({ message: 'Debes seleccionar una dirección de envío válida.' });
+        }
+
+        // 2. Obtiene las líneas a comprar: del cuerpo o del carrito.
+        let lines;
+        if (desdeCarrito) {
+            const cart = await Cart.findOne({ usuario: req.userId });
+            if (!cart || cart.items.length === 0) {
+                return res.status(400).json({ message: 'El carrito está vacío.' });
+            }
+            lines = cart.items.map(item => ({
+                productoId: item.producto,
+                varianteId: item.variante,
+                cantidad: item.cantidad
+            }));
+        } else {
+            lines = items.map(item => ({ ...item, cantidad: parseInt(item.cantidad, 10) }));
+            if (lines.some(line => !line.productoId || isNaN(line.cantidad) || line.cantidad < 1)) {
+                return res.status(400).json({ message: 'Cada línea debe tener un producto y una cantidad entera mayor que 0.' });
+            }
+        }
+
+        // 3. Descuenta el stock y crea el pedido dentro de una transacción.
+        session = await mongoose.startSession();
+        let order;
+        await session.withTransaction(async () => {
+            const orderItems = [];
+            const movements = [];
+            for (const line of lines) {
+                // Resuelve la variante (puede omitirse si el producto tiene una sola).
+                const current = await Product.findById(line.productoId).session(session);
+                if (!current) {
+                    throw httpError(404, `El producto ${line.productoId} ya no está disponible.`);
+                }
+                const varianteActual = current.findVariant(line.varianteId);
+                if (!varianteActual) {
+                    throw httpError(400, `La talla y color seleccionados ya no están disponibles para "${current.NombreProducto}".`);
+                }
+
+                // Descuenta solo si la variante tiene stock suficiente; si no, no se modifica nada y devuelve null.
+                const product = await Product.findOneAndUpdate(
+                    { _id: current._id, variantes: { $elemMatch: { _id: varianteActual._id, stock: { $gte: line.cantidad } } } },
+                    { $inc: { 'variantes.$.stock': -line.cantidad, stock: -line.cantidad } },
+                    { new: true, session }
+                )
+                    .populate('variantes.idTalla', 'nombre')
+                    .populate('variantes.idColor', 'nombre');
+
+                if (!product) {
+                    throw httpError(409, `Stock insuficiente para "${current.NombreProducto}" (${varianteActual.sku}). Disponible: ${varianteActual.stock}.`);
+                }
+
+                const variante = product.variantes.id(varianteActual._id);
+                const precioUnitario = product.variantPrice(variante);
+                movements.push({
+                    producto: product._id,
+                    variante: variante._id,
+                    sku: variante.sku,
+                    tipo: 'venta',
+                    cantidad: -line.cantidad,
+                    stockResultante: variante.stock,
+                    motivo: 'Venta',
+                    usuario: req.userId
+                });
+                orderItems.push({
+                    producto: product._id,
+                    NombreProducto: product.NombreProducto,
+                    variante: variante._id,
+                    sku: variante.sku,
+                    idTalla: variante.idTalla?._id || null,
+                    idColor: variante.idColor?._id || null,
+                    talla: variante.idTalla?.nombre || null,
+                    color: variante.idColor?.nombre || null,
+                    cantidad: line.cantidad,
+                    precioUnitario,
+                    subtotal: precioUnitario * line.cantidad
+                });
+            }
+
+            [order] = await Order.create([{
+                usuario: req.userId,
+                items: orderItems,
+                direccionEnvio: {
+                    alias: direccion.alias,
+                    calle: direccion.calle,
+                    ciudad: direccion.ciudad,
+                    distrito: direccion.distrito,
+                    codigoPostal: direccion.codigoPostal
+                },
+                total: orderItems.reduce((sum, item) => sum + item.subtotal, 0),
+                historial: [{ estado: 'pendiente', usuario: req.userId }]
+            }], { session });
+
+            // Registra las ventas en el kardex, vinculadas al pedido.
+            await InventoryMovement.record(movements.map(m => ({ ...m, pedido: order._id })), { session });
+
+            // Si la compra vino del carrito, lo vacía en la misma transacción.
+            if (desdeCarrito) {
+                await Cart.updateOne({ usuario: req.userId }, { $set: { items: [] } }, { session });
+            }
+        });
+
+        // Confirma la recepción del pedido al cliente y revisa el stock bajo (no bloquean la respuesta).
+        sendOrderStatusEmail(order, user);
+        checkLowStock(order.items.map(item => item.producto));
+
+        res.status(201).json(order);
+
+    } catch (error) {
+        // Los errores de negocio (stock, producto eliminado...) traen su propio código HTTP.
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Create Order Error:", error);
+        res.status(500).json({ message: 'Error al crear el pedido', error: error.message });
+    } finally {
+        if (session) session.endSession();
+    }
+};
+
+// --- HISTORIAL DEL CLIENTE ---
+/**
+ * Obtiene los pedidos del usuario autenticado, del más reciente al más antiguo, con paginación.
+ * @async
+ * @function getMyOrders
+ * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener `page` y `limit` (10 por defecto, máximo 100).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los pedidos y metadatos de paginación o un mensaje de error.
+ */
+exports.getMyOrders = async (req, res) => {
+    try {
+        const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+        const filterObject = { usuario: req.userId };
+
+        const totalOrders = await Order.countDocuments(filterObject);
+        const orders = await Order.find(filterObject)
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum);
+
+        res.json({
+            orders,
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalOrders / limitNum),
+            totalOrders
+        });
+    } catch (error) {
+        console.error("Get My Orders Error:", error);
+        res.status(500).json({ message: 'Error al obtener tus pedidos', error: error.message });
+    }
+};
+
+// --- LISTADO PARA ADMINISTRADORES ---
+/**
+ * Obtiene todos los pedidos con filtros y paginación.
+ * Filtros (`req.query`): `estado`, `usuario` (ID), `desde` y `hasta` (fechas de creación),
+ * `minTotal` y `maxTotal`, además de `page` y `limit` (20 por defecto, máximo 100).
+ * @async
+ * @function getAllOrders
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los pedidos y metadatos de paginación o un mensaje de error.
+ */
+exports.getAllOrders = async (req, res) => {
+    try {
+        const { estado, usuario, desde, hasta, minTotal, maxTotal, page = 1, limit = 20 } = req.query;
+
+        // Construye el objeto de filtro para la consulta a MongoDB.
+        const filterObject = {};
+        if (estado) filterObject.estado = estado;
+        if (usuario) filterObject.usuario = usuario;
+        if (desde || hasta) {
+            filterObject.createdAt = {};
+            if (desde) filterObject.createdAt.$gte = new Date(desde);
+            if (hasta) filterObject.createdAt.$lte = new Date(hasta);
+        }
+        if (minTotal || maxTotal) {
+            filterObject.total = {};
+            if (minTotal) filterObject.total.$gte = parseFloat(minTotal);
+            if (maxTotal) filterObject.total.$lte = parseFloat(maxTotal);
+        }
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const totalOrders = await Order.countDocuments(filterObject);
+        const orders = await Order.find(filterObject)
+            .populate('usuario', 'nombre email')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum);
+
+        res.json({
+            orders,
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalOrders / limitNum),
+            totalOrders
+        });
+    } catch (error) {
+        console.error("Get All Orders Error:", error);
+        res.status(500).json({ message: 'Error al obtener los pedidos', error: error.message });
+    }
+};
+
+// --- DETALLE DE PEDIDO ---
+/**
+ * Obtiene un pedido por su ID. Solo el dueño del pedido o quien tenga el permiso
+ * `pedidos:gestionar` puede verlo.
+ * @async
+ * @function getOrderById
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del pedido.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el pedido o un mensaje de error.
+ */
+exports.getOrderById = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).populate('usuario', 'nombre email');
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido no encontrado' });
+        }
+        const esDueno = String(order.usuario?._id) === String(req.userId);
+        if (!esDueno && !(await userHasPermission(req, PERMISOS.PEDIDOS_GESTIONAR))) {
+            return res.status(403).json({ message: 'Acceso denegado: este pedido no te pertenece' });
+        }
+        res.json(order);
+    } catch (error) {
+        console.error("Get Order Error:", error);
+        res.status(500).json({ message: 'Error al obtener el pedido', error: error.message });
+    }
+};
+
+// --- CAMBIAR ESTADO DEL PEDIDO ---
+/**
+ * Cambia el estado de un pedido siguiendo el flujo pendiente → pagado → preparando → enviado → entregado,
+ * con cancelación y reembolso (ver `TRANSICIONES` en el modelo Order). Rechaza las transiciones no permitidas con 409.
+ * Quien tenga `pedidos:gestionar` puede hacer cualquier transición válida; el dueño del pedido solo puede cancelarlo mientras está pendiente.
+ * Si el pedido se cancela o reembolsa antes de enviarse, devuelve el stock en la misma transacción
+ * y lo registra en el kardex como devolución.
+ * Registra el cambio en `historial` (estado, usuario, nota y fecha) y envía un correo al cliente.
+ * @async
+ * @function updateOrderStatus
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del pedido, `req.body` contiene `estado` y opcionalmente `nota` (texto de hasta 500 caracteres).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el pedido actualizado o un mensaje de error.
+ */
+exports.updateOrderStatus = async (req, res) => {
+    const { estado } = req.body;
+    if (!Order.TRANSICIONES[estado]) {
+        return res.status(400).json({ message: `Estado no válido. Valores permitidos: ${Object.keys(Order.TRANSICIONES).join(', ')}.` });
+    }
+    if (req.body.nota !== undefined && (typeof req.body.nota !== 'string' || req.body.nota.trim().length > MAX_LARGO_NOTA)) {
+        return res.status(400).json({ message: `La nota debe ser un texto de hasta ${MAX_LARGO_NOTA} caracteres.` });
+    }
+    const nota = req.body.nota?.trim() || undefined;
+
+    let session;
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido no encontrado' });
+        }
+
+        // Sin permiso de gestión, el dueño solo puede cancelar su pedido pendiente.
+        if (!(await userHasPermission(req, PERMISOS.PEDIDOS_GESTIONAR))) {
+            const esDueno = String(order.usuario) === String(req.userId);
+            if (!esDueno || estado !== 'cancelado' || order.estado !== 'pendiente') {
+                return res.status(403).json({ message: 'Acceso denegado: no puedes cambiar el estado de este pedido' });
+            }
+        }
+
+        if (!order.canTransitionTo(estado)) {
+            return res.status(409).json({ message: `No se puede pasar un pedido de "${order.estado}" a "${estado}".` });
+        }
+
+        const devolverStock = order.restocksOn(estado);
+        const estadoAnterior = order.estado;
+
+        session = await mongoose.startSession();
+        let updatedOrder;
+        await session.withTransaction(async () => {
+            // La condición sobre el estado anterior evita aplicar dos veces el mismo cambio
+            // (ej: dos cancelaciones simultáneas devolviendo el stock dos veces).
+            updatedOrder = await Order.findOneAndUpdate(
+                { _id: order._id, estado: estadoAnterior },
+                {
+                    $set: { estado },
+                    $push: { historial: { estado, usuario: req.userId, nota, fecha: new Date() } }
+                },
+                { new: true, session }
+            );
+            if (!updatedOrder) {
+                throw httpError(409, 'El pedido cambió de estado mientras se procesaba la solicitud. Vuelve a intentarlo.');
+            }
+
+            if (devolverStock) {
+                for (const item of updatedOrder.items) {
+                    const product = await Product.findOneAndUpdate(
+                        { _id: item.producto, 'variantes._id': item.variante },
+                        { $inc: { 'variantes.$.stock': item.cantidad, stock: item.cantidad } },
+                        { new: true, session }
+                    );
+                    // Si el producto o la variante ya no existen, no hay stock que devolver.
+                    if (!product) continue;
+                    await InventoryMovement.record({
+                        producto: product._id,
+                        variante: item.variante,
+                        sku: item.sku,
+                        tipo: 'devolucion',
+                        cantidad: item.cantidad,
+                        stockResultante: product.variantes.id(item.variante).stock,
+                        motivo: `Pedido ${estado}`,
+                        usuario: req.userId,
+                        pedido: updatedOrder._id
+                    }, { session });
+                }
+            }
+        });
+
+        // Avisa al cliente del nuevo estado (no bloquea la respuesta).
+        const customer = await User.findById(updatedOrder.usuario).select('nombre email');
+        sendOrderStatusEmail(updatedOrder, customer, nota);
+        // Si se devolvió stock, los productos pueden haber salido del nivel mínimo.
+        if (devolverStock) checkLowStock(updatedOrder.items.map(item => item.producto));
+
+        res.json(updatedOrder);
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error("Update Order Status Error:", error);
+        res.status(500).json({ message: 'Error al cambiar el estado del pedido', error: error.message });
+    } finally {
+        if (session) session.endSession();
+    }
+};
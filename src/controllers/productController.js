@@ -1,34 +1,182 @@
 /**
  * @fileoverview Controlador para las operaciones CRUD y otras acciones relacionadas con los productos.
  * Maneja la creación, lectura (con filtros, paginación y ordenamiento), actualización,
- * eliminación de productos, así como la exportación a Excel, carga masiva desde Excel
- * y generación de fichas técnicas en PDF. Interactúa con el modelo Product de Mongoose,
+ * eliminación de productos y de sus variantes (talla × color con SKU, stock y precio propios),
+ * así como la exportación (Excel, CSV o NDJSON), carga masiva desde Excel, CSV o JSON (con vista previa de validación), cambios masivos de precio,
+ * historial de precios y generación de fichas técnicas, catálogos y etiquetas (códigos de barras y QR) en PDF. Interactúa con el modelo Product de Mongoose,
  * Cloudinary para imágenes y servicios de correo/PDF.
  */
 
+const mongoose = require('mongoose');
 // Importa el modelo Product de Mongoose.
 const Product = require('../models/Product');
+// Importa el modelo del kardex para registrar cada cambio de stock.
+const InventoryMovement = require('../models/InventoryMovement');
+// Importa el modelo del historial de precios.
+const PriceHistory = require('../models/PriceHistory');
 // Importa la librería 'exceljs' para generar archivos Excel.
 const exceljs = require('exceljs');
-// Importa la librería 'xlsx' para leer archivos Excel (carga masiva).
-const xlsx = require('xlsx');
+// Importa la lectura y validación de archivos de carga masiva.
+const { detectImportFormat, readImportFile, validateImport, buildReportWorkbook, buildImportTemplate } = require('../utils/productImport');
+// Importa la exportación por streaming (Excel, CSV y NDJSON).
+const { FORMATOS_EXPORTACION, parseExportColumns, streamProducts } = require('../utils/productExport');
+// Importa la cola de cargas masivas en segundo plano.
+const { startImportJob } = require('../utils/importJobs');
+// Importa la comprobación de permisos (crear catálogos durante la carga masiva).
+const { userHasPermission } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
 // Importa la librería 'pdfkit' para generar documentos PDF.
 const PDFDocument = require('pdfkit');
 // Importa la instancia configurada de Cloudinary (para borrar imágenes).
 const { cloudinaryInstance } = require('../middleware/uploadMiddleware');
 // Importa la función para enviar correos de cambio de precio.
 const { sendPriceChangeEmail } = require('../config/mailer');
+// Importa la revisión de stock bajo (alerta a los administradores).
+const { checkLowStock } = require('../utils/stockAlerts');
+// Importa la construcción de los registros de kardex e historial de precios de cada cambio.
+const { buildStockMovements, buildPriceChanges } = require('../utils/productHistory');
+// Importa la búsqueda por texto y el autocompletado.
+const { buildTextSearch, findSuggestions } = require('../utils/productSearch');
+// Importa el armado del catálogo PDF de varios productos.
+const { MAX_PRODUCTOS_CATALOGO, buildCatalogPdf } = require('../utils/productCatalog');
+// Importa el dibujo de códigos de barras/QR y la generación de hojas de etiquetas.
+const { drawBarcode, drawQrCode } = require('../utils/barcodes');
+const { FORMATOS_ETIQUETAS, TIPOS_CODIGO, MAX_ETIQUETAS, productPageUrl, variantBarcode, buildLabels, buildLabelSheet } = require('../utils/productLabels');
 // Importa 'axios' para descargar imágenes desde URLs para el PDF.
 const axios = require('axios');
 // Importa el módulo 'path' de Node.js para construir rutas de archivo.
 const path = require('path');
 
+/**
+ * Lee la lista `variantes` de la solicitud, que puede llegar como array (JSON) o como string JSON (formularios multipart).
+ * @function readVariantList
+ * @param {object} body - El cuerpo de la solicitud (`req.body`).
+ * @returns {Array<object>|null} Las variantes tal como llegaron, o null si no se envió una lista con elementos.
+ * @throws {SyntaxError} Si `variantes` es un string que no contiene JSON válido.
+ */
+const readVariantList = (body) => {
+    let variantes = body.variantes;
+    if (typeof variantes === 'string') {
+        variantes = JSON.parse(variantes);
+    }
+    return Array.isArray(variantes) && variantes.length > 0 ? variantes : null;
+};
+
+/**
+ * Lee las variantes enviadas en la solicitud y las normaliza para el modelo.
+ * `variantes` puede llegar como array (JSON) o como string JSON (formularios multipart).
+ * Por compatibilidad con el formulario anterior, si no se envía `variantes` pero sí `stock`, `idTalla`,
+ * `idColor` o `sku`, se construye una única variante con esos campos.
+ * Las variantes que traen `_id` conservan su identificador (carritos y pedidos lo referencian).
+ * `ean` solo se incluye si se envía (vacío o null lo quita), para no borrar el EAN de clientes que no lo manejan.
+ * @function parseVariants
+ * @param {object} body - El cuerpo de la solicitud (`req.body`).
+ * @returns {Array<object>|null} Las variantes normalizadas, o null si la solicitud no trae variantes.
+ * @throws {SyntaxError} Si `variantes` es un string que no contiene JSON válido.
+ */
+const parseVariants = (body) => {
+    let variantes = readVariantList(body);
+    if (!variantes) {
+        if (body.stock === undefined && !body.idTalla && !body.idColor && !body.sku) {
+            return null;
+        }
+        variantes = [{ idTalla: body.idTalla, idColor: body.idColor, sku: body.sku, stock: body.stock }];
+    }
+    return variantes.map(variante => {
+        const stock = parseInt(variante.stock, 10);
+        const precio = parseFloat(variante.precio);
+        return {
+            ...(variante._id ? { _id: variante._id } : {}),
+            idTalla: variante.idTalla || null,
+            idColor: variante.idColor || null,
+            ...(variante.sku ? { sku: String(variante.sku).trim() } : {}), // Sin SKU, el modelo genera uno.
+            ...(variante.ean !== undefined ? { ean: variante.ean } : {}),
+            stock: isNaN(stock) ? 0 : stock,
+            precio: isNaN(precio) ? null : precio
+        };
+    });
+};
+
+/**
+ * Lee el umbral de reposición (`stockMinimo`) enviado en la solicitud.
+ * @function parseStockMinimo
+ * @param {*} value - Valor recibido. Vacío o null quita el umbral propio (se usa el global).
+ * @returns {number|null|undefined} El umbral, null para usar el global, o undefined si no se envió.
+ */
+const parseStockMinimo = (value) => {
+    if (value === undefined) return undefined;
+    const numValue = parseInt(value, 10);
+    return isNaN(numValue) ? null : numValue;
+};
+
+/**
+ * Construye el filtro y el orden de la consulta de productos a partir de `req.query`.
+ * Lo comparten el listado (`getAllProducts`), la exportación y los PDF de catálogo y etiquetas para que respeten los mismos filtros.
+ * `search` usa la búsqueda por texto (nombre, marca, modelo y colores; sin importar tildes ni plurales, ver utils/productSearch.js)
+ * y `fuzzy=true` tolera errores de tipeo.
+ * @async
+ * @function buildProductQuery
+ * @param {object} query - Parámetros de consulta: `search`, `fuzzy`, `marca`, `color`, `talla`, `minPrice`, `maxPrice` y `sort`
+ * ('relevance' por defecto si hay búsqueda, si no 'newest'; también 'price-asc' o 'price-desc').
+ * @returns {Promise<{filterObject: object, sortObject: object}>}
+ */
+const buildProductQuery = async (query) => {
+    const { search, fuzzy, marca, color, talla, minPrice, maxPrice, sort = search ? 'relevance' : 'newest' } = query;
+
+    // Construye el objeto de filtro para la consulta a MongoDB.
+    const filterObject = {};
+    if (search) {
+        const textSearch = await buildTextSearch(search, { tolerarErrores: fuzzy === 'true' });
+        if (textSearch) {
+            filterObject.$text = { $search: textSearch };
+        } else {
+            // El texto no tiene letras ni números (p. ej., "***"): no coincide con ningún producto.
+            filterObject._id = { $in: [] };
+        }
+    }
+    if (marca) {
+        filterObject.idMarca = marca; // Filtra por el ObjectId de la marca.
+    }
+    // Filtra por color y/o talla de las variantes. $elemMatch exige que ambos estén en la misma variante.
+    if (color || talla) {
+        const variantFilter = {};
+        if (color) variantFilter.idColor = color; // Filtra por el ObjectId del color.
+        if (talla) variantFilter.idTalla = talla; // Filtra por el ObjectId de la talla.
+        filterObject.variantes = { $elemMatch: variantFilter };
+    }
+    // Construye el filtro de rango de precios si se proporciona minPrice o maxPrice.
+    if (minPrice || maxPrice) {
+        filterObject.PrecioVenta = {};
+        if (minPrice) {
+            filterObject.PrecioVenta.$gte = parseFloat(minPrice); // Mayor o igual que minPrice.
+        }
+        if (maxPrice) {
+            filterObject.PrecioVenta.$lte = parseFloat(maxPrice); // Menor o igual que maxPrice.
+        }
+    }
+
+    // Determina el objeto de ordenamiento basado en el parámetro 'sort'.
+    let sortObject = {};
+    switch (sort) {
+        case 'relevance':
+            // Más relevantes primero; sin búsqueda por texto no hay puntaje y se usa el orden por defecto.
+            sortObject = filterObject.$text ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+            break;
+        case 'price-asc': sortObject = { PrecioVenta: 1 }; break; // Precio ascendente.
+        case 'price-desc': sortObject = { PrecioVenta: -1 }; break; // Precio descendente.
+        case 'newest': default: sortObject = { createdAt: -1 }; break; // Más nuevos primero (por fecha de creación).
+    }
+
+    return { filterObject, sortObject };
+};
+
 // --- CREAR PRODUCTO ---
 /**
  * Crea un nuevo producto en la base de datos.
  * Recibe los datos del producto del cuerpo de la solicitud (`req.body`)
  * y el archivo de imagen a través de `req.file`.
  * Guarda la URL de la imagen proporcionada por Cloudinary en el campo 'imagen'.
+ * Las variantes (talla, color, SKU, stock y precio opcional) se leen con `parseVariants`.
  * Realiza validación básica de campos obligatorios.
  * En caso de error al guardar en la BD después de subir la imagen, intenta borrar la imagen de Cloudinary.
  * @async
@@ -39,30 +187,37 @@ const path = require('path');
  */
 exports.createProduct = async (req, res) => {
     try {
-        const { NombreProducto, PrecioVenta, stock, idMarca, idModelo, idColor, idTalla } = req.body;
+        const { NombreProducto, PrecioVenta, idMarca, idModelo } = req.body;
+        const variantes = parseVariants(req.body);
+        const stockMinimo = parseStockMinimo(req.body.stockMinimo);
 
         // Obtiene la URL segura de la imagen subida a Cloudinary desde req.file.path.
         const imagenPath = req.file ? req.file.path : null;
 
         // Validación básica de campos requeridos.
-        if (!NombreProducto || !PrecioVenta || !stock || !idMarca) {
-            return res.status(400).json({ message: 'Nombre, Precio, Stock y Marca son obligatorios.' });
+        if (!NombreProducto || !PrecioVenta || !idMarca || !variantes) {
+            return res.status(400).json({ message: 'Nombre, Precio, Marca y al menos una variante son obligatorios.' });
         }
 
-        // Crea una nueva instancia del modelo Product.
+        // Crea una nueva instancia del modelo Product. El stock total se calcula a partir de las variantes.
         const newProduct = new Product({
             NombreProducto,
             PrecioVenta: parseFloat(PrecioVenta), // Asegura que el precio sea un número.
-            stock: parseInt(stock, 10),       // Asegura que el stock sea un número entero.
             idMarca, // ID de la marca (ObjectId).
-            idModelo: idModelo || null,      // IDs opcionales, se guardan como null si no se proporcionan.
-            idColor: idColor || null,
-            idTalla: idTalla || null,
+            idModelo: idModelo || null,      // ID opcional, se guarda como null si no se proporciona.
+            variantes,
+            stockMinimo: stockMinimo ?? null, // Umbral de reposición propio (null = umbral global).
             imagen: imagenPath // Guarda la URL completa de Cloudinary.
         });
 
         // Guarda el nuevo producto en MongoDB.
         const savedProduct = await newProduct.save();
+        // Registra el stock inicial de cada variante en el kardex.
+        await InventoryMovement.record(buildStockMovements([], savedProduct, req.userId));
+        // Registra el precio inicial en el historial de precios.
+        await PriceHistory.record(buildPriceChanges(null, savedProduct, req.userId, 'manual'));
+        // Avisa si el producto ya nace con stock bajo (no bloquea la respuesta).
+        checkLowStock([savedProduct._id]);
         // Envía el producto guardado como respuesta con estado 201 (Creado).
         res.status(201).json(savedProduct);
 
@@ -75,6 +230,13 @@ exports.createProduct = async (req, res) => {
                 .then(result => console.log('Imagen de Cloudinary borrada tras error en BD:', result))
                 .catch(err => console.error('Error borrando imagen de Cloudinary tras error en BD:', err));
         }
+        // Errores de datos de entrada: JSON de variantes inválido, validación del esquema o SKU repetido.
+        if (error instanceof SyntaxError || error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Datos del producto no válidos', error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Ya existe un producto con alguno de esos SKU.' });
+        }
         // Envía una respuesta de error genérica al cliente.
         res.status(500).json({ message: 'Error al crear el producto', error: error.message });
     }
@@ -83,10 +245,11 @@ exports.createProduct = async (req, res) => {
 // --- OBTENER TODOS LOS PRODUCTOS ---
 /**
  * Obtiene una lista paginada y filtrada de productos.
- * Acepta parámetros de consulta (`req.query`) para búsqueda por nombre (`search`),
- * filtrado por ID de marca (`marca`), ID de color (`color`), rango de precios (`minPrice`, `maxPrice`),
- * ordenamiento (`sort`) y paginación (`page`, `limit`).
- * Popula los nombres de las referencias (marca, modelo, color, talla).
+ * Acepta parámetros de consulta (`req.query`) para búsqueda por texto (`search`, en nombre, marca, modelo y colores,
+ * ordenada por relevancia; `fuzzy=true` tolera errores de tipeo), filtrado por ID de marca (`marca`), ID de color (`color`) e ID de talla (`talla`) de alguna variante,
+ * rango de precios (`minPrice`, `maxPrice`), ordenamiento (`sort`) y paginación (`page`, `limit`).
+ * Si se indican color y talla a la vez, ambos deben coincidir en la misma variante.
+ * Popula los nombres de las referencias (marca, modelo y la talla y color de cada variante).
  * @async
  * @function getAllProducts
  * @param {object} req - Objeto de solicitud de Express. `req.query` contiene los parámetros de filtrado/paginación.
@@ -97,46 +260,15 @@ exports.getAllProducts = async (req, res) => {
     try {
         // Lee los parámetros de la URL, estableciendo valores por defecto para paginación y orden.
         const {
-            search, marca, color, minPrice, maxPrice,
-            sort = 'newest', // Orden por defecto: los más nuevos primero.
             page = 1,
             limit = 8 // Límite por defecto: 8 productos por página.
         } = req.query;
 
         console.log("BACKEND - Received Params:", req.query);
 
-        // Construye el objeto de filtro para la consulta a MongoDB.
-        const filterObject = {};
-        if (search) {
-            filterObject.NombreProducto = { $regex: search, $options: 'i' }; // Búsqueda insensible a mayúsculas/minúsculas.
-        }
-        if (marca) {
-            filterObject.idMarca = marca; // Filtra por el ObjectId de la marca.
-        }
-        if (color) {
-            filterObject.idColor = color; // Filtra por el ObjectId del color.
-        }
-        // Construye el filtro de rango de precios si se proporciona minPrice o maxPrice.
-        if (minPrice || maxPrice) {
-            filterObject.PrecioVenta = {};
-            if (minPrice) {
-                filterObject.PrecioVenta.$gte = parseFloat(minPrice); // Mayor o igual que minPrice.
-            }
-            if (maxPrice) {
-                filterObject.PrecioVenta.$lte = parseFloat(maxPrice); // Menor o igual que maxPrice.
-            }
-        }
-
+        const { filterObject, sortObject } = await buildProductQuery(req.query);
         console.log("BACKEND - Constructed Filter:", filterObject); 
 
-        // Determina el objeto de ordenamiento basado en el parámetro 'sort'.
-        let sortObject = {};
-        switch (sort) {
-            case 'price-asc': sortObject = { PrecioVenta: 1 }; break; // Precio ascendente.
-            case 'price-desc': sortObject = { PrecioVenta: -1 }; break; // Precio descendente.
-            case 'newest': default: sortObject = { createdAt: -1 }; break; // Más nuevos primero (por fecha de creación).
-        }
-
         // Calcula los valores para la paginación.
         const pageNum = parseInt(page, 10);
         const limitNum = parseInt(limit, 10);
@@ -151,8 +283,8 @@ exports.getAllProducts = async (req, res) => {
         const products = await Product.find(filterObject) // Aplica los filtros.
             .populate('idMarca', 'nombre')   // Obtiene el nombre de la marca referenciada.
             .populate('idModelo', 'nombre')  // Obtiene el nombre del modelo.
-            .populate('idColor', 'nombre')   // Obtiene el nombre del color.
-            .populate('idTalla', 'nombre')   // Obtiene el nombre de la talla.
+            .populate('variantes.idColor', 'nombre')   // Obtiene el nombre del color de cada variante.
+            .populate('variantes.idTalla', 'nombre')   // Obtiene el nombre de la talla de cada variante.
             .sort(sortObject)               // Aplica el ordenamiento.
             .skip(skip)                     // Aplica el salto de paginación.
             .limit(limitNum);                // Aplica el límite de resultados por página.
@@ -172,6 +304,26 @@ exports.getAllProducts = async (req, res) => {
     }
 };
 
+// --- AUTOCOMPLETAR ---
+/**
+ * Sugerencias de productos para el buscador mientras se escribe: cada palabra se toma como el inicio de una palabra
+ * del nombre, la marca, el modelo o un color del producto, sin importar tildes ni mayúsculas.
+ * @async
+ * @function suggestProducts
+ * @param {object} req - Objeto de solicitud de Express. `req.query.q` es el texto escrito y `req.query.limit` la cantidad (8 por defecto, máximo 20).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía un array JSON de `{ _id, NombreProducto, marca, imagen, PrecioVenta }` o un mensaje de error.
+ */
+exports.suggestProducts = async (req, res) => {
+    try {
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 20);
+        res.json(await findSuggestions(req.query.q || '', limitNum));
+    } catch (error) {
+        console.error("Suggest Products Error:", error);
+        res.status(500).json({ message: 'Error al obtener sugerencias', error: error.message });
+    }
+};
+
 // --- ACTUALIZAR PRODUCTO ---
 /**
  * Actualiza un producto existente por su ID.
@@ -179,6 +331,12 @@ exports.getAllProducts = async (req, res) => {
  * y los datos actualizados del cuerpo (`req.body`).
  * Si se sube una nueva imagen (`req.file`), actualiza la URL en la BD
  * y elimina la imagen anterior de Cloudinary.
+ * Si se envían variantes, reemplazan a las actuales; las que traen `_id` conservan su identificador.
+ * Los campos sueltos del formulario anterior (`idTalla`, `idColor`, `sku`) editan la única variante del producto
+ * (conserva su identificador, su SKU si no se envía otro y su precio propio); si tiene varias, responde 400.
+ * El stock de las variantes existentes no se toma de la solicitud (se ajusta con `POST /api/products/:id/movements`),
+ * para no pisar lo que descontaron los pedidos mientras se editaba; si cambia entre la lectura y el guardado, responde 409.
+ * El stock inicial de las variantes nuevas y la baja del stock de las eliminadas quedan registrados en el kardex.
  * Verifica si el precio ha cambiado y, de ser así, envía una notificación por correo.
  * @async
  * @function updateProduct
@@ -189,34 +347,68 @@ exports.getAllProducts = async (req, res) => {
 exports.updateProduct = async (req, res) => {
     try {
         const { id } = req.params;
-        const { NombreProducto, PrecioVenta, stock, idMarca, idModelo, idColor, idTalla } = req.body;
+        const { NombreProducto, PrecioVenta, idMarca, idModelo } = req.body;
         const numericPrecioVenta = parseFloat(PrecioVenta);
-        const numericStock = parseInt(stock, 10);
+        const variantes = parseVariants(req.body);
+        const stockMinimo = parseStockMinimo(req.body.stockMinimo);
 
-        // Obtiene el estado del producto  de la actualización para comparar precios y obtener la URL de imagen antigua.
-        // .lean() devuelve un objeto JS plano, más eficiente para lectura.
-        const productBeforeUpdate = await Product.findById(id).lean();
-        if (!productBeforeUpdate) {
+        // Obtiene el producto antes de la actualización para comparar precios y obtener la URL de imagen antigua.
+        // Se usa el documento (no .lean()) para guardar con .save() y así recalcular el stock total de las variantes.
+        const product = await Product.findById(id);
+        if (!product) {
             return res.status(404).json({ message: 'Producto no encontrado' });
         }
-        const oldPrice = productBeforeUpdate.PrecioVenta;
-        const oldImagePath = productBeforeUpdate.imagen; // URL de Cloudinary antigua.
-
-        // Prepara el objeto con los datos a actualizar.
-        const updateData = {
-            NombreProducto,
-            // Usa el valor numérico o el original si la conversión falla.
-            PrecioVenta: isNaN(numericPrecioVenta) ? productBeforeUpdate.PrecioVenta : numericPrecioVenta,
-            stock: isNaN(numericStock) ? productBeforeUpdate.stock : numericStock,
-            idMarca,
-            idModelo: idModelo || null,
-            idColor: idColor || null,
-            idTalla: idTalla || null
-        };
+        if (variantes && !readVariantList(req.body)) {
+            // Formulario anterior: los campos sueltos corresponden a la única variante del producto.
+            if (product.variantes.length > 1) {
+                return res.status(400).json({ message: 'El producto tiene varias variantes: envía `variantes` para editarlas.' });
+            }
+            const [actual] = product.variantes;
+            if (actual) {
+                variantes[0] = {
+                    ...variantes[0],
+                    _id: actual._id,
+                    idTalla: req.body.idTalla !== undefined ? variantes[0].idTalla : actual.idTalla,
+                    idColor: req.body.idColor !== undefined ? variantes[0].idColor : actual.idColor,
+                    sku: variantes[0].sku || actual.sku,
+                    precio: actual.precio
+                };
+            }
+        }
+        const oldPrice = product.PrecioVenta;
+        const oldImagePath = product.imagen; // URL de Cloudinary antigua.
+        // Copia del stock de cada variante para registrar los ajustes en el kardex.
+        const variantsBeforeUpdate = product.variantes.map(v => ({ _id: v._id, sku: v.sku, stock: v.stock, precio: v.precio }));
+
+        // Aplica los datos a actualizar.
+        if (NombreProducto) product.NombreProducto = NombreProducto;
+        // Usa el valor numérico o conserva el original si la conversión falla.
+        if (!isNaN(numericPrecioVenta)) product.PrecioVenta = numericPrecioVenta;
+        if (idMarca) product.idMarca = idMarca;
+        product.idModelo = idModelo || null;
+        if (variantes) {
+            // Las variantes existentes conservan su stock y, si no traen `ean`, el que tenían.
+            product.variantes = variantes.map(variante => {
+                const actual = variante._id ? product.variantes.id(variante._id) : null;
+                if (!actual) return variante;
+                return {
+                    ...variante,
+                    stock: actual.stock,
+                    ...(variante.ean === undefined ? { ean: actual.ean } : {})
+                };
+            });
+            // El guardado solo se aplica si el stock de las variantes no cambió desde la lectura (p. ej., por un pedido).
+            if (variantsBeforeUpdate.length > 0) {
+                product.$where = {
+                    $and: variantsBeforeUpdate.map(v => ({ variantes: { $elemMatch: { _id: v._id, stock: v.stock } } }))
+                };
+            }
+        }
+        if (stockMinimo !== undefined) product.stockMinimo = stockMinimo;
 
         // Si se subió un nuevo archivo de imagen.
         if (req.file) {
-            updateData.imagen = req.file.path; // Asigna la nueva URL de Cloudinary.
+            product.imagen = req.file.path; // Asigna la nueva URL de Cloudinary.
             // Si había una imagen antigua, intenta borrarla de Cloudinary.
             if (oldImagePath) {
                 try {
@@ -238,10 +430,13 @@ exports.updateProduct = async (req, res) => {
             }
         }
 
-        // Realiza la actualización en la base de datos.
-        // { new: true } devuelve el documento modificado.
-        // { runValidators: true } asegura que se apliquen las validaciones del esquema.
-        const updatedProduct = await Product.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
+        // Guarda los cambios. .save() ejecuta las validaciones del esquema y recalcula el stock total.
+        const updatedProduct = await product.save();
+        await InventoryMovement.record(buildStockMovements(variantsBeforeUpdate, updatedProduct, req.userId));
+        // Registra los cambios del precio base y de los precios propios de las variantes.
+        await PriceHistory.record(buildPriceChanges({ PrecioVenta: oldPrice, variantes: variantsBeforeUpdate }, updatedProduct, req.userId, 'manual'));
+        // Revisa si el cambio de stock o de umbral dejó el producto con stock bajo (no bloquea la respuesta).
+        checkLowStock([updatedProduct._id]);
 
         // --- Notificación por Cambio de Precio ---
         const newPrice = updatedProduct.PrecioVenta;
@@ -269,6 +464,16 @@ exports.updateProduct = async (req, res) => {
                 .then(result => console.log('Imagen nueva de Cloudinary borrada tras error en BD:', result))
                 .catch(err => console.error('Error borrando imagen nueva de Cloudinary tras error en BD:', err));
          }
+        if (error instanceof SyntaxError || error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Datos del producto no válidos', error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Ya existe un producto con alguno de esos SKU.' });
+        }
+        // El filtro de stock de `$where` no coincidió: otra operación cambió el stock (o borró el producto) mientras tanto.
+        if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+            return res.status(409).json({ message: 'El stock del producto cambió mientras se guardaba. Vuelve a intentarlo.' });
+        }
         res.status(500).json({ message: 'Error al actualizar el producto', error: error.message });
     }
 };
@@ -322,196 +527,187 @@ exports.deleteProduct = async (req, res) => {
     }
 };
 
-// --- EXPORTAR A EXCEL ---
+// --- EXPORTAR ---
 /**
- * Genera y envía un archivo Excel (.xlsx) con los productos filtrados.
- * Acepta parámetros de consulta `search` y `marca` para filtrar los productos a exportar.
- * Utiliza la librería `exceljs` para crear el archivo.
+ * Exporta los productos filtrados con una fila por variante, en Excel (.xlsx), CSV (UTF-8 con BOM) o NDJSON.
+ * Acepta los mismos filtros y orden que `getAllProducts` (sin paginación) y `columnas` para elegir qué columnas
+ * incluir (claves separadas por comas; ver `COLUMNAS_EXPORTACION` en utils/productExport.js).
+ * Los productos se leen con un cursor y se escriben en la respuesta a medida que llegan.
  * @async
  * @function exportProducts
- * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener `search` y `marca`.
- * @param {object} res - Objeto de respuesta de Express. Envía el archivo Excel como descarga.
- * @returns {Promise<void>} Envía el archivo Excel o un mensaje de error JSON.
+ * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener los filtros del listado, `formato` ('xlsx', 'csv' o 'ndjson') y `columnas`.
+ * @param {object} res - Objeto de respuesta de Express. Envía el archivo como descarga.
+ * @returns {Promise<void>} Envía el archivo o un mensaje de error JSON.
  */
 exports.exportProducts = async (req, res) => {
      try {
-        const { search, marca } = req.query;
-        // Construye el objeto de filtro (igual que en getAllProducts).
-        const filterObject = {};
-        if (search) filterObject.NombreProducto = { $regex: search, $options: 'i' };
-        if (marca && marca !== '') filterObject.idMarca = marca;
-
-        // Obtiene TODOS los productos que coinciden con los filtros (sin paginación).
-        // Popula los nombres necesarios para el reporte.
-        const products = await Product.find(filterObject)
+        const formato = (req.query.formato || 'xlsx').toLowerCase();
+        if (!FORMATOS_EXPORTACION[formato]) {
+            return res.status(400).json({ message: `Formato no válido. Usa: ${Object.keys(FORMATOS_EXPORTACION).join(', ')}.` });
+        }
+        const { columnas, desconocidas } = parseExportColumns(req.query.columnas);
+        if (desconocidas.length > 0 || columnas.length === 0) {
+            return res.status(400).json({ message: `Columnas no válidas: ${desconocidas.join(', ') || '(ninguna)'}.` });
+        }
+
+        const { filterObject, sortObject } = await buildProductQuery(req.query);
+        // Cursor: los productos se leen por lotes en lugar de cargarlos todos en memoria.
+        const cursor = Product.find(filterObject)
             .populate('idMarca', 'nombre')
             .populate('idModelo', 'nombre')
-            .populate('idColor', 'nombre')
-            .sort({ createdAt: -1 });
-
-        // Crea un nuevo libro de trabajo Excel.
-        const workbook = new exceljs.Workbook();
-        // Añade una hoja llamada 'Productos'.
-        const worksheet = workbook.addWorksheet('Productos');
-
-        // Define las columnas del archivo Excel.
-        worksheet.columns = [
-            { header: 'ID', key: '_id', width: 30 }, // 'key' debe coincidir con las claves del objeto que se añadirá
-            { header: 'Nombre', key: 'NombreProducto', width: 40 },
-            { header: 'Marca', key: 'idMarca', width: 20 },
-            { header: 'Modelo', key: 'idModelo', width: 20 },
-            { header: 'Color', key: 'idColor', width: 20 },
-            { header: 'Precio (S/)', key: 'PrecioVenta', width: 15, style: { numFmt: '"S/"#,##0.00' } }, // Formato de moneda
-            { header: 'Stock', key: 'stock', width: 10 },
-        ];
-
-        // Aplica estilo a la fila de encabezado.
-        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } }; // Letra blanca y negrita
-        worksheet.getRow(1).fill = { type: 'pattern', pattern:'solid', fgColor:{argb:'FF4F46E5'} }; // Fondo índigo
-
-        // Añade cada producto como una fila en la hoja.
-        products.forEach(product => {
-            worksheet.addRow({
-                _id: product._id.toString(), // Convierte ObjectId a string
-                NombreProducto: product.NombreProducto,
-                idMarca: product.idMarca?.nombre || 'N/A', // Accede al nombre populado de forma segura
-                idModelo: product.idModelo?.nombre || 'N/A',
-                idColor: product.idColor?.nombre || 'N/A',
-                PrecioVenta: product.PrecioVenta,
-                stock: product.stock
-            });
-        });
+            .populate('variantes.idColor', 'nombre')
+            .populate('variantes.idTalla', 'nombre')
+            .sort(sortObject)
+            .cursor();
 
-        // Configura las cabeceras HTTP para indicar que la respuesta es un archivo Excel descargable.
-        res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition','attachment; filename=' + 'Reporte_Productos_Filtrados.xlsx');
+        // Configura las cabeceras HTTP para indicar que la respuesta es un archivo descargable.
+        const { contentType, extension } = FORMATOS_EXPORTACION[formato];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=Reporte_Productos_Filtrados.${extension}`);
 
-        // Escribe el contenido del libro de trabajo Excel en el stream de respuesta HTTP.
-        await workbook.xlsx.write(res);
-        // Finaliza la respuesta.
-        res.end();
+        await streamProducts(cursor, columnas, formato, res);
 
     } catch (error) {
         console.error("Export Products Error:", error);
         // Si las cabeceras ya se enviaron (el archivo empezó a escribirse), no se puede enviar JSON.
         if (!res.headersSent) {
              res.status(500).json({ message: 'Error al exportar productos', error: error.message });
+        } else {
+            res.end();
         }
     }
 };
 
 // --- CARGA MASIVA ---
 /**
- * Procesa un archivo Excel subido para crear múltiples productos en la base de datos.
- * Lee el archivo desde `req.file.buffer` (usando `memoryStorage` de Multer).
- * Mapea las columnas del Excel a los campos del modelo Product.
- * Utiliza `insertMany` para una inserción eficiente.
+ * Lee las opciones de la carga masiva enviadas en la query o en el formulario.
+ * Crear entradas de catálogo faltantes requiere además el permiso `catalogos:escribir`.
+ * @async
+ * @function readImportOptions
+ * @param {object} req - Objeto de solicitud de Express (después de `protect`).
+ * @returns {Promise<{crearCatalogos: boolean}|null>} Las opciones, o null si se pidió crear catálogos sin permiso.
+ */
+const readImportOptions = async (req) => {
+    const crearCatalogos = [req.query.crearCatalogos, req.body && req.body.crearCatalogos].some(v => v === true || v === 'true');
+    if (crearCatalogos && !(await userHasPermission(req, PERMISOS.CATALOGOS_ESCRIBIR))) {
+        return null;
+    }
+    return { crearCatalogos };
+};
+
+/**
+ * Descarga la plantilla Excel de carga masiva: los encabezados que espera `uploadMassProducts`,
+ * desplegables con las marcas, modelos, colores y tallas actuales y una hoja de instrucciones.
+ * @async
+ * @function getImportTemplate
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía el archivo Excel o un mensaje de error.
+ */
+exports.getImportTemplate = async (req, res) => {
+    try {
+        const workbook = await buildImportTemplate();
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', 'attachment; filename="plantilla_carga_productos.xlsx"');
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error("Import Template Error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Error al generar la plantilla', error: error.message });
+        }
+    }
+};
+
+/**
+ * Valida un archivo de carga masiva (Excel, CSV, JSON o NDJSON) sin crear nada (vista previa).
+ * Devuelve, por cada fila, su estado ('ok', 'advertencia' o 'error'), la acción prevista ('crear' o 'actualizar'),
+ * los errores, las advertencias y el producto interpretado. Con `?formato=excel` descarga una copia del archivo
+ * con las columnas Estado, Errores y Advertencias añadidas.
+ * Con `crearCatalogos=true`, las marcas, modelos, colores y tallas que no existan se informan como advertencias.
+ * @async
+ * @function previewMassProducts
+ * @param {object} req - Objeto de solicitud de Express. `req.file` contiene el archivo subido a memoria.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía el reporte de validación en JSON o como archivo Excel.
+ */
+exports.previewMassProducts = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ message: 'No se subió ningún archivo.' });
+    }
+    try {
+        const opciones = await readImportOptions(req);
+        if (!opciones) {
+            return res.status(403).json({ message: 'No tienes permiso para crear marcas, modelos, colores o tallas.' });
+        }
+        const { headers, rows, primeraFila } = readImportFile(req.file.buffer, detectImportFormat(req.file.originalname) || 'xlsx');
+        if (rows.length === 0) {
+            return res.status(400).json({ message: 'El archivo está vacío o solo contiene encabezados.' });
+        }
+
+        const reporte = await validateImport(headers, rows, { ...opciones, primeraFila });
+
+        if (req.query.formato === 'excel') {
+            const workbook = buildReportWorkbook(headers, rows, reporte);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', 'attachment; filename="validacion_carga.xlsx"');
+            await workbook.xlsx.write(res);
+            return res.end();
+        }
+
+        res.status(200).json(reporte);
+    } catch (error) {
+        console.error("Mass Upload Preview Error:", error);
+        if (res.headersSent) return;
+        // JSON mal formado: es un error del archivo, no del servidor.
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({ message: 'El archivo no tiene un formato JSON válido.', error: error.message });
+        }
+        res.status(500).json({ message: 'Error validando el archivo.', error: error.message });
+    }
+};
+
+/**
+ * Recibe un archivo (Excel, CSV, JSON o NDJSON) para crear o actualizar productos y lo procesa en segundo plano.
+ * Responde de inmediato (202) con el trabajo de importación creado; su progreso, contadores y errores
+ * se consultan en `GET /api/products/import-jobs/:id` (ver importJobController).
+ * Cada fila es una variante (talla, color, SKU, stock y opcionalmente 'Precio Variante'); las filas con el mismo
+ * nombre, marca y modelo se agrupan en un solo producto. Marca, modelo, color y talla se indican por ID o por nombre.
+ * Las filas con 'Producto ID' o con un SKU existente actualizan ese producto en lugar de crear otro.
+ * Con `crearCatalogos=true` se crean las entradas de catálogo que falten.
+ * Aplica la misma validación que `previewMassProducts`: solo se procesan las filas sin errores.
  * @async
  * @function uploadMassProducts
- * @param {object} req - Objeto de solicitud de Express. `req.file` contiene la información del archivo Excel subido a memoria.
+ * @param {object} req - Objeto de solicitud de Express. `req.file` contiene la información del archivo subido a memoria.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Envía una respuesta JSON indicando el resultado de la carga o un mensaje de error.
+ * @returns {Promise<void>} Envía una respuesta JSON con el trabajo de importación (estado 202) o un mensaje de error.
  */
 exports.uploadMassProducts = async (req, res) => {
     // Verifica si Multer procesó un archivo.
     if (!req.file) {
-        return res.status(400).json({ message: 'No se subió ningún archivo Excel.' });
+        return res.status(400).json({ message: 'No se subió ningún archivo.' });
     }
     try {
-        // Lee el buffer del archivo Excel usando la librería 'xlsx'.
-        const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-        // Obtiene el nombre de la primera hoja.
-        const sheetName = workbook.SheetNames[0];
-        // Obtiene los datos de la primera hoja.
-        const worksheet = workbook.Sheets[sheetName];
-        // Convierte los datos de la hoja a un array de arrays JSON (fila por fila).
-        // header: 1 indica que la primera fila debe tratarse como encabezados.
-        const jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-
-        // Verifica si el archivo tiene datos además de la cabecera.
-        if (jsonData.length <= 1) {
-           return res.status(400).json({ message: 'El archivo Excel está vacío o solo contiene encabezados.' });
-        }
-
-        // Extrae los encabezados (primera fila) y los datos (filas restantes).
-        const headers = jsonData[0].map(h => h.toString().trim()); // Limpia espacios y asegura que sean strings.
-        const rows = jsonData.slice(1);
-
-        // Mapea cada fila de datos a un objeto de producto listo para Mongoose.
-        const productsToCreate = rows.map((row, rowIndex) => { // rowIndex para logs de error
-            let productData = {};
-            headers.forEach((header, index) => {
-                // Lógica de mapeo de nombres de columna del Excel a nombres de campo del modelo Mongoose.
-                // ¡IMPORTANTE! Ajusta esto para que coincida exactamente con tus encabezados de Excel.
-                let modelField = header; // Asume coincidencia directa por defecto
-                if (header === 'Nombre Producto') modelField = 'NombreProducto';
-                if (header === 'Precio Venta') modelField = 'PrecioVenta';
-                if (header === 'Marca ID') modelField = 'idMarca';
-                if (header === 'Modelo ID') modelField = 'idModelo';
-                if (header === 'Color ID') modelField = 'idColor';
-                if (header === 'Talla ID') modelField = 'idTalla';
-                
-
-                // Si la celda tiene un valor, lo asigna al campo correspondiente.
-                if (modelField && row[index] !== undefined && row[index] !== null) {
-                    let cellValue = row[index];
-                    // Conversión básica de tipos para precio y stock.
-                    if (['PrecioVenta', 'stock'].includes(modelField)) {
-                        const numValue = parseFloat(cellValue);
-                        productData[modelField] = isNaN(numValue) ? 0 : numValue;
-                    } else {
-                         // Asegura que otros valores sean strings y sin espacios extra.
-                         productData[modelField] = cellValue.toString().trim();
-                    }
-                }
-            });
-
-            // Validación básica de campos requeridos antes de intentar insertar.
-            // Los IDs de Marca, etc., también deben ser válidos ObjectIds de MongoDB.
-            // Una validación más robusta verificaría el formato de los IDs aquí.
-            if (!productData.NombreProducto || productData.PrecioVenta === undefined || productData.stock === undefined || !productData.idMarca) {
-               console.warn(`Saltando fila ${rowIndex + 2} por campos requeridos faltantes o inválidos:`, row, productData); // +2 por header y index 0
-              return null; // Marca la fila como inválida para filtrarla después.
-            }
-        
-            return productData;
-
-        }).filter(p => p !== null); // Elimina las filas marcadas como inválidas.
-
-        // Si ninguna fila era válida.
-        if (productsToCreate.length === 0) {
-            return res.status(400).json({ message: 'No se encontraron productos válidos para importar en el archivo.' });
-        }
-
-        // Intenta insertar todos los productos válidos en la base de datos.
-        let insertedCount = 0;
-        let errors = [];
-        try {
-            // insertMany es más eficiente que múltiples .save().
-            // ordered: false permite continuar insertando aunque algunas filas fallen 
-            const result = await Product.insertMany(productsToCreate, { ordered: false });
-            insertedCount = result.length; // Número de documentos insertados exitosamente.
-        } catch (error) {
-            if (error.name === 'BulkWriteError') {
-                 insertedCount = error.result.nInserted; // Documentos insertados antes del error.
-                 // Recopila información sobre las filas que fallaron.
-                 errors = error.writeErrors.map(e => ({ index: e.index, message: e.errmsg, rowData: productsToCreate[e.index] })); // Incluye datos de la fila
-                 console.warn(`Carga masiva completada con ${errors.length} errores.`);
-            } else {
-               
-                throw error;
-            }
+        const opciones = await readImportOptions(req);
+        if (!opciones) {
+            return res.status(403).json({ message: 'No tienes permiso para crear marcas, modelos, colores o tallas.' });
         }
 
-        // Envía la respuesta indicando cuántos productos se crearon y detalles de errores 
-        res.status(201).json({
-            message: `Carga masiva completada. ${insertedCount} de ${productsToCreate.length} productos procesados creados.`,
-            errors: errors // Devuelve los errores individuales si los hubo.
+        const job = await startImportJob({
+            buffer: req.file.buffer,
+            archivo: req.file.originalname,
+            formato: detectImportFormat(req.file.originalname) || 'xlsx',
+            opciones,
+            userId: req.userId
         });
 
+        res.status(202).json({
+            message: 'Importación en proceso. Consulta su avance con el ID del trabajo.',
+            job
+        });
     } catch (error) {
         console.error("Mass Upload Error:", error);
-        res.status(500).json({ message: 'Error procesando el archivo Excel.', error: error.message });
+        res.status(500).json({ message: 'Error procesando el archivo.', error: error.message });
     }
 };
 
@@ -520,6 +716,8 @@ exports.uploadMassProducts = async (req, res) => {
  * Genera una Ficha Técnica en PDF para un producto específico por su ID.
  * Obtiene los datos del producto, descarga la imagen desde Cloudinary 
  * y utiliza `pdfkit` para crear el documento PDF y enviarlo como descarga.
+ * Incluye una tabla con las variantes (SKU, talla, color, precio y stock) y sus códigos de barras
+ * (EAN-13 si la variante lo tiene; si no, Code128 del SKU), junto a un QR con el enlace a la página del producto.
  * @async
  * @function getProductPdf
  * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto.
@@ -534,13 +732,19 @@ exports.getProductPdf = async (req, res) => {
         const product = await Product.findById(id)
             .populate('idMarca', 'nombre')
             .populate('idModelo', 'nombre')
-            .populate('idColor', 'nombre')
-            .populate('idTalla', 'nombre');
+            .populate('variantes.idColor', 'nombre')
+            .populate('variantes.idTalla', 'nombre');
 
         if (!product) {
             return res.status(404).json({ message: 'Producto no encontrado' });
         }
 
+        // Obtiene los últimos cambios de precio para la sección de historial.
+        const priceHistory = await PriceHistory.find({ producto: product._id })
+            .populate('usuario', 'nombre')
+            .sort({ createdAt: -1 })
+            .limit(15);
+
         // Crea un nuevo documento PDF en memoria.
         const doc = new PDFDocument({ margin: 50 });
         // Limpia el nombre del producto para usarlo en el nombre del archivo.
@@ -607,15 +811,110 @@ exports.getProductPdf = async (req, res) => {
         doc.moveDown(lineSpacing);
         doc.font('Helvetica-Bold').text('Modelo:', labelX, doc.y).font('Helvetica').text(product.idModelo?.nombre || 'N/A', valueX, doc.y - 12 * lineSpacing);
         doc.moveDown(lineSpacing);
-        doc.font('Helvetica-Bold').text('Color:', labelX, doc.y).font('Helvetica').text(product.idColor?.nombre || 'N/A', valueX, doc.y - 12 * lineSpacing);
-        doc.moveDown(lineSpacing);
-        doc.font('Helvetica-Bold').text('Talla:', labelX, doc.y).font('Helvetica').text(product.idTalla?.nombre || 'N/A', valueX, doc.y - 12 * lineSpacing);
-        doc.moveDown(lineSpacing);
         doc.font('Helvetica-Bold').text('Precio:', labelX, doc.y).font('Helvetica').text(`S/ ${product.PrecioVenta?.toFixed(2) || '0.00'}`, valueX, doc.y - 12 * lineSpacing);
         doc.moveDown(lineSpacing);
-        doc.font('Helvetica-Bold').text('Stock:', labelX, doc.y).font('Helvetica').text(`${product.stock ?? 'N/A'}`, valueX, doc.y - 12 * lineSpacing);
+        doc.font('Helvetica-Bold').text('Stock total:', labelX, doc.y).font('Helvetica').text(`${product.stock ?? 'N/A'}`, valueX, doc.y - 12 * lineSpacing);
         doc.moveDown(lineSpacing);
         doc.font('Helvetica-Bold').text('ID Producto:', labelX, doc.y).font('Helvetica').text(`${product._id}`, valueX, doc.y - 12 * lineSpacing);
+        doc.moveDown(1.5);
+
+        // --- Tabla de Variantes ---
+        // Posiciones X de cada columna: SKU, Talla, Color, Precio, Stock.
+        const columns = [50, 190, 260, 380, 470];
+        doc.font('Helvetica-Bold').fontSize(11);
+        let rowY = doc.y;
+        ['SKU', 'Talla', 'Color', 'Precio', 'Stock'].forEach((title, i) => doc.text(title, columns[i], rowY));
+        doc.moveTo(50, rowY + 14).lineTo(doc.page.width - 50, rowY + 14).stroke();
+        doc.font('Helvetica').fontSize(10);
+        rowY += 20;
+        product.variantes.forEach(variante => {
+            // Si la tabla llega al pie de página, continúa en una nueva página.
+            if (rowY > doc.page.height - doc.page.margins.bottom - 40) {
+                doc.addPage();
+                rowY = doc.page.margins.top;
+            }
+            doc.text(variante.sku, columns[0], rowY, { width: 135 });
+            doc.text(variante.idTalla?.nombre || 'N/A', columns[1], rowY);
+            doc.text(variante.idColor?.nombre || 'N/A', columns[2], rowY, { width: 115 });
+            doc.text(`S/ ${product.variantPrice(variante).toFixed(2)}`, columns[3], rowY);
+            doc.text(`${variante.stock}`, columns[4], rowY);
+            rowY += 16;
+        });
+
+        // --- Códigos de Barras ---
+        // Grilla de 3 columnas: primero el QR de la página del producto, luego el código de cada variante.
+        const codeCellWidth = (doc.page.width - 100 - 2 * 20) / 3;
+        const codeCellHeight = 78;
+        const codeCells = [{ titulo: 'Página del producto', qr: productPageUrl(product._id) }]
+            .concat(product.variantes.map(variante => ({
+                titulo: [variante.idTalla?.nombre, variante.idColor?.nombre].filter(Boolean).join(' · ') || variante.sku,
+                codigo: variantBarcode(variante, 'ean13')
+            })));
+        if (rowY > doc.page.height - doc.page.margins.bottom - codeCellHeight - 40) {
+            doc.addPage();
+            rowY = doc.page.margins.top;
+        } else {
+            rowY += 20;
+        }
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('black').text('Códigos', 50, rowY);
+        rowY = doc.y + 8;
+        codeCells.forEach((cell, i) => {
+            const column = i % 3;
+            if (column === 0 && i > 0) rowY += codeCellHeight;
+            if (rowY > doc.page.height - doc.page.margins.bottom - codeCellHeight) {
+                doc.addPage();
+                rowY = doc.page.margins.top;
+            }
+            const cellX = 50 + column * (codeCellWidth + 20);
+            doc.font('Helvetica').fontSize(9).fillColor('black')
+                .text(cell.titulo, cellX, rowY, { width: codeCellWidth, align: 'center', lineBreak: false, ellipsis: true });
+            if (cell.qr) {
+                drawQrCode(doc, cell.qr, cellX + (codeCellWidth - 60) / 2, rowY + 13, 60);
+                return;
+            }
+            try {
+                drawBarcode(doc, cell.codigo, cellX, rowY + 13, codeCellWidth, 55);
+            } catch (barcodeError) {
+                // SKU que Code128 no admite: la tabla de variantes ya lo muestra como texto.
+                doc.fontSize(8).fillColor('grey').text('(Sin código de barras)', cellX, rowY + 35, { width: codeCellWidth, align: 'center' });
+            }
+        });
+        rowY += codeCellHeight;
+
+        // --- Historial de Precios ---
+        if (priceHistory.length > 0) {
+            // Deja espacio para el título y al menos una fila; si no cabe, empieza en una nueva página.
+            if (rowY > doc.page.height - doc.page.margins.bottom - 100) {
+                doc.addPage();
+                rowY = doc.page.margins.top;
+            } else {
+                rowY += 20;
+            }
+            doc.font('Helvetica-Bold').fontSize(14).text('Historial de Precios', 50, rowY);
+            rowY = doc.y + 8;
+
+            // Posiciones X de cada columna: Fecha, Aplica a, Anterior, Nuevo, Origen, Usuario.
+            const historyColumns = [50, 150, 255, 325, 395, 470];
+            doc.font('Helvetica-Bold').fontSize(10);
+            ['Fecha', 'Aplica a', 'Anterior', 'Nuevo', 'Origen', 'Usuario'].forEach((title, i) => doc.text(title, historyColumns[i], rowY));
+            doc.moveTo(50, rowY + 13).lineTo(doc.page.width - 50, rowY + 13).stroke();
+            doc.font('Helvetica').fontSize(9);
+            rowY += 18;
+            const formatPrice = price => price == null ? '-' : `S/ ${price.toFixed(2)}`;
+            priceHistory.forEach(change => {
+                if (rowY > doc.page.height - doc.page.margins.bottom - 40) {
+                    doc.addPage();
+                    rowY = doc.page.margins.top;
+                }
+                doc.text(change.createdAt.toLocaleDateString('es-PE', { timeZone: 'America/Lima' }), historyColumns[0], rowY);
+                doc.text(change.sku || 'Precio base', historyColumns[1], rowY, { width: 100 });
+                doc.text(formatPrice(change.precioAnterior), historyColumns[2], rowY);
+                doc.text(formatPrice(change.precioNuevo), historyColumns[3], rowY);
+                doc.text(change.origen, historyColumns[4], rowY);
+                doc.text(change.usuario?.nombre || 'Sistema', historyColumns[5], rowY, { width: 92 });
+                rowY += 14;
+            });
+        }
 
         // Posiciona el cursor cerca del final de la página.
         doc.y = doc.page.height - doc.page.margins.bottom - 20; // Ajusta según necesidad
@@ -636,4 +935,235 @@ exports.getProductPdf = async (req, res) => {
             res.end();
         }
     }
-};
\ No newline at end of file
+};
+
+// --- CATÁLOGO PDF ---
+/**
+ * Genera un catálogo en PDF con los productos filtrados: portada, índice por marca, grilla de productos
+ * con imagen y precio en soles, y números de página (ver utils/productCatalog.js).
+ * Acepta los mismos filtros y orden que `getAllProducts` (sin paginación) y `titulo` para la portada.
+ * @async
+ * @function getCatalogPdf
+ * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener los filtros del listado y `titulo`.
+ * @param {object} res - Objeto de respuesta de Express. Envía el archivo PDF.
+ * @returns {Promise<void>} Envía el PDF o un mensaje de error JSON (400 si hay demasiados productos).
+ */
+exports.getCatalogPdf = async (req, res) => {
+    try {
+        const { filterObject, sortObject } = await buildProductQuery(req.query);
+        const totalProducts = await Product.countDocuments(filterObject);
+        if (totalProducts > MAX_PRODUCTOS_CATALOGO) {
+            return res.status(400).json({
+                message: `El catálogo admite hasta ${MAX_PRODUCTOS_CATALOGO} productos y los filtros devuelven ${totalProducts}. Aplica más filtros.`
+            });
+        }
+
+        const products = await Product.find(filterObject)
+            .populate('idMarca', 'nombre')
+            .populate('idModelo', 'nombre')
+            .populate('variantes.idColor', 'nombre')
+            .populate('variantes.idTalla', 'nombre')
+            .sort(sortObject);
+
+        // `bufferPages` permite volver a las primeras páginas para escribir el índice y la numeración.
+        const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true, autoFirstPage: false });
+        const titulo = (req.query.titulo || '').trim().slice(0, 80) || 'Catálogo de Productos';
+        await buildCatalogPdf(doc, products, { titulo });
+
+        // Se conecta a la respuesta recién al terminar: si algo falla antes, aún se puede responder con JSON.
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'attachment; filename=Catalogo_Productos.pdf');
+        doc.pipe(res);
+        doc.end();
+
+    } catch (error) {
+        console.error("Get Catalog PDF Error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Error al generar el catálogo', error: error.message });
+        } else {
+            res.end();
+        }
+    }
+};
+
+// --- ETIQUETAS ---
+/**
+ * Genera una hoja de etiquetas en PDF (formatos A4 de etiquetas adhesivas) con una etiqueta por variante:
+ * nombre, talla y color, precio en soles, código de barras y QR con el enlace a la página del producto.
+ * Acepta los filtros del listado (`color` y `talla` también limitan las variantes impresas) y además:
+ * `productos` y `skus` (listas separadas por comas), `formato` (ver `FORMATOS_ETIQUETAS`, 'L7160' por defecto),
+ * `codigo` ('code128' con el SKU, por defecto, o 'ean13' para usar el EAN de las variantes que lo tienen),
+ * `qr` ('false' para omitirlo), `copias` por variante (1 a 50) e `inicio` (posición de la primera etiqueta
+ * en la primera hoja, para aprovechar hojas ya empezadas).
+ * @async
+ * @function getLabelsPdf
+ * @param {object} req - Objeto de solicitud de Express. `req.query` contiene los filtros y opciones.
+ * @param {object} res - Objeto de respuesta de Express. Envía el archivo PDF.
+ * @returns {Promise<void>} Envía el PDF o un mensaje de error JSON.
+ */
+exports.getLabelsPdf = async (req, res) => {
+    try {
+        const { formato = 'L7160', codigo = 'code128', qr, productos, skus, color, talla } = req.query;
+        const hoja = FORMATOS_ETIQUETAS[formato];
+        if (!hoja) {
+            return res.status(400).json({ message: `Formato de etiquetas no válido. Usa: ${Object.keys(FORMATOS_ETIQUETAS).join(', ')}.` });
+        }
+        if (!TIPOS_CODIGO.includes(codigo)) {
+            return res.status(400).json({ message: `Tipo de código no válido. Usa: ${TIPOS_CODIGO.join(', ')}.` });
+        }
+        const copias = Math.min(Math.max(parseInt(req.query.copias, 10) || 1, 1), 50);
+        const inicio = Math.min(Math.max(parseInt(req.query.inicio, 10) || 1, 1), hoja.columnas * hoja.filas);
+
+        const listaProductos = productos ? String(productos).split(',').map(p => p.trim()).filter(Boolean) : [];
+        const idsNoValidos = listaProductos.filter(id => !mongoose.isValidObjectId(id));
+        if (idsNoValidos.length > 0) {
+            return res.status(400).json({ message: `IDs de producto no válidos: ${idsNoValidos.join(', ')}.` });
+        }
+
+        const { filterObject, sortObject } = await buildProductQuery(req.query);
+        const listaSkus = skus ? String(skus).split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : [];
+        if (listaProductos.length > 0) {
+            filterObject._id = { $in: listaProductos };
+        }
+        if (listaSkus.length > 0) {
+            filterObject['variantes.sku'] = { $in: listaSkus };
+        }
+
+        const products = await Product.find(filterObject)
+            .populate('variantes.idColor', 'nombre')
+            .populate('variantes.idTalla', 'nombre')
+            .sort(sortObject);
+
+        // Solo las variantes que coinciden con los filtros de SKU, color y talla.
+        const etiquetas = buildLabels(products, {
+            copias,
+            incluirVariante: (variante) => (listaSkus.length === 0 || listaSkus.includes(variante.sku))
+                && (!color || String(variante.idColor?._id ?? variante.idColor) === color)
+                && (!talla || String(variante.idTalla?._id ?? variante.idTalla) === talla)
+        });
+        if (etiquetas.length === 0) {
+            return res.status(404).json({ message: 'No hay variantes que coincidan con los filtros.' });
+        }
+        if (etiquetas.length > MAX_ETIQUETAS) {
+            return res.status(400).json({ message: `Se pueden generar hasta ${MAX_ETIQUETAS} etiquetas por documento y se pidieron ${etiquetas.length}. Aplica más filtros o reduce las copias.` });
+        }
+
+        const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=Etiquetas_${formato}.pdf`);
+        doc.pipe(res);
+        buildLabelSheet(doc, etiquetas, { formato, codigo, qr: qr !== 'false', inicio });
+        doc.end();
+
+    } catch (error) {
+        console.error("Get Labels PDF Error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Error al generar las etiquetas', error: error.message });
+        } else {
+            res.end();
+        }
+    }
+};
+
+// --- CAMBIO MASIVO DE PRECIOS ---
+/**
+ * Cambia el precio base de varios productos a la vez, por porcentaje (`porcentaje`, ej: -10 para un 10% de descuento)
+ * o fijando un precio (`precio`). Los precios de las variantes con precio propio no se modifican.
+ * Cada cambio queda en el historial de precios con origen 'masivo'. No envía un correo por producto.
+ * @async
+ * @function bulkUpdatePrices
+ * @param {object} req - Objeto de solicitud de Express. `req.body` contiene `productIds` y `porcentaje` o `precio`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con la cantidad de productos actualizados o un mensaje de error.
+ */
+exports.bulkUpdatePrices = async (req, res) => {
+    const { productIds } = req.body;
+    const porcentaje = parseFloat(req.body.porcentaje);
+    const precio = parseFloat(req.body.precio);
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+        return res.status(400).json({ message: 'Debes indicar al menos un producto.' });
+    }
+    if (isNaN(porcentaje) === isNaN(precio)) {
+        return res.status(400).json({ message: 'Indica un porcentaje o un precio (solo uno de los dos).' });
+    }
+    if ((!isNaN(precio) && precio <= 0) || (!isNaN(porcentaje) && porcentaje <= -100)) {
+        return res.status(400).json({ message: 'El cambio dejaría precios negativos o en cero.' });
+    }
+
+    try {
+        const products = await Product.find({ _id: { $in: productIds } });
+        const changes = [];
+        const operations = products.map(product => {
+            const newPrice = isNaN(precio)
+                ? Math.round(product.PrecioVenta * (1 + porcentaje / 100) * 100) / 100 // Redondea a 2 decimales.
+                : precio;
+            changes.push({
+                producto: product._id,
+                precioAnterior: product.PrecioVenta,
+                precioNuevo: newPrice,
+                usuario: req.userId,
+                origen: 'masivo'
+            });
+            return { updateOne: { filter: { _id: product._id }, update: { $set: { PrecioVenta: newPrice } } } };
+        });
+        // Un descuento sobre un precio muy bajo puede redondear a cero.
+        if (changes.some(c => c.precioNuevo <= 0)) {
+            return res.status(400).json({ message: 'El cambio dejaría precios negativos o en cero.' });
+        }
+
+        if (operations.length > 0) {
+            await Product.bulkWrite(operations);
+        }
+        await PriceHistory.record(changes);
+
+        res.json({
+            message: `Precio actualizado en ${products.length} producto(s).`,
+            updatedCount: products.length,
+            cambios: changes.map(c => ({ producto: c.producto, precioAnterior: c.precioAnterior, precioNuevo: c.precioNuevo }))
+        });
+    } catch (error) {
+        console.error("Bulk Update Prices Error:", error);
+        res.status(500).json({ message: 'Error al actualizar los precios', error: error.message });
+    }
+};
+
+// --- HISTORIAL DE PRECIOS ---
+/**
+ * Obtiene el historial de cambios de precio de un producto (precio base y de sus variantes),
+ * del más reciente al más antiguo, con paginación.
+ * @async
+ * @function getPriceHistory
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del producto; `req.query` puede contener `page` y `limit`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los cambios y metadatos de paginación o un mensaje de error.
+ */
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const product = await Product.findById(id).select('NombreProducto PrecioVenta');
+        if (!product) {
+            return res.status(404).json({ message: 'Producto no encontrado' });
+        }
+
+        const pageNum = parseInt(req.query.page || 1, 10);
+        const limitNum = parseInt(req.query.limit || 20, 10);
+        const totalChanges = await PriceHistory.countDocuments({ producto: id });
+        const history = await PriceHistory.find({ producto: id })
+            .populate('usuario', 'nombre email')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum);
+
+        res.json({
+            producto: product,
+            history,
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalChanges / limitNum),
+            totalChanges
+        });
+    } catch (error) {
+        console.error("Get Price History Error:", error);
+        res.status(500).json({ message: 'Error al obtener el historial de precios', error: error.message });
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Controlador de la verificación en dos pasos (TOTP) de la cuenta del usuario autenticado.
+ * Enrolamiento: `setup` genera un secreto y su código QR, `enable` lo activa al confirmar un código y entrega
+ * los códigos de recuperación (solo se muestran una vez). También permite desactivarla y regenerar los códigos.
+ * El segundo paso del inicio de sesión está en authController.verifyTwoFactorLogin.
+ */
+
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { generateSecret, verifyTotp, buildOtpauthUri, generateRecoveryCodes } = require('../utils/totp');
+const { consumeSecondFactor, hashRecoveryCodes } = require('../utils/twoFactor');
+const { issueSession } = require('../utils/tokens');
+const { ROLES_REQUIEREN_2FA } = require('../config/permissions');
+
+/**
+ * Inicia el enrolamiento: genera un secreto pendiente y devuelve la URI otpauth y su código QR (data URL PNG).
+ * Llamarlo otra vez reemplaza el secreto pendiente.
+ * @async
+ * @function setupTwoFactor
+ * @param {object} req - Objeto de solicitud de Express (después de `protectTwoFactorEnrollment`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con `secreto`, `otpauthUri` y `qr`, o un mensaje de error.
+ */
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('email totpActivo');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.totpActivo) {
+            return res.status(400).json({ message: 'La verificación en dos pasos ya está activa.' });
+        }
+
+        const secreto = generateSecret();
+        await User.updateOne({ _id: user._id }, { $set: { totpSecretoPendiente: secreto } });
+        const otpauthUri = buildOtpauthUri(secreto, user.email);
+        const qr = await QRCode.toDataURL(otpauthUri);
+
+        res.json({ secreto, otpauthUri, qr });
+    } catch (error) {
+        console.error("Setup 2FA Error:", error);
+        res.status(500).json({ message: 'Error al iniciar la verificación en dos pasos', error: error.message });
+    }
+};
+
+/**
+ * Activa la verificación en dos pasos confirmando un código generado con el secreto pendiente.
+ * Devuelve los códigos de recuperación en claro (solo esta vez). Si el enrolamiento se hizo con el token
+ * de desafío del inicio de sesión, también devuelve la sesión.
+ * @async
+ * @function enableTwoFactor
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.codigo`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con `codigosRecuperacion` (y tokens si corresponde), o un mensaje de error.
+ */
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('+totpSecretoPendiente').populate('idRol', 'nombre');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.totpActivo) {
+            return res.status(400).json({ message: 'La verificación en dos pasos ya está activa.' });
+        }
+        if (!user.totpSecretoPendiente) {
+            return res.status(400).json({ message: 'Primero inicia la configuración de la verificación en dos pasos.' });
+        }
+        const paso = verifyTotp(user.totpSecretoPendiente, req.body.codigo);
+        if (paso === null) {
+            return res.status(400).json({ message: 'El código no es válido. Revisa la hora de tu dispositivo e inténtalo de nuevo.' });
+        }
+
+        const codigosRecuperacion = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    totpActivo: true,
+                    totpSecreto: user.totpSecretoPendiente,
+                    totpUltimoPaso: paso,
+                    codigosRecuperacion: hashRecoveryCodes(codigosRecuperacion)
+                },
+                $unset: { totpSecretoPendiente: '' }
+            }
+        );
+
+        const respuesta = {
+            message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro: no se volverán a mostrar.',
+            codigosRecuperacion
+        };
+        if (req.enrolamiento2FA) {
+            user.totpActivo = true;
+            Object.assign(respuesta, await issueSession(user, user.idRol.nombre, req));
+        }
+        res.json(respuesta);
+    } catch (error) {
+        console.error("Enable 2FA Error:", error);
+        res.status(500).json({ message: 'Error al activar la verificación en dos pasos', error: error.message });
+    }
+};
+
+/**
+ * Desactiva la verificación en dos pasos. Requiere la contraseña y un código (TOTP o de recuperación).
+ * No se permite si el rol del usuario la exige.
+ * @async
+ * @function disableTwoFactor
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body` con `password` y `codigo` o `codigoRecuperacion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.disableTwoFactor = async (req, res) => {
+    if (ROLES_REQUIEREN_2FA.includes(req.userRole)) {
+        return res.status(403).json({ message: 'Tu rol exige la verificación en dos pasos; no se puede desactivar.' });
+    }
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (!user.totpActivo) {
+            return res.status(400).json({ message: 'La verificación en dos pasos no está activa.' });
+        }
+        if (!req.body.password || !(await user.comparePassword(String(req.body.password)))) {
+            return res.status(401).json({ message: 'La contraseña es incorrecta.' });
+        }
+        if (!(await consumeSecondFactor(user._id, req.body))) {
+            return res.status(401).json({ message: 'El código no es válido.' });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { totpActivo: false, totpUltimoPaso: -1 }, $unset: { totpSecreto: '', totpSecretoPendiente: '', codigosRecuperacion: '' } }
+        );
+        res.json({ message: 'Verificación en dos pasos desactivada.' });
+    } catch (error) {
+        console.error("Disable 2FA Error:", error);
+        res.status(500).json({ message: 'Error al desactivar la verificación en dos pasos', error: error.message });
+    }
+};
+
+/**
+ * Genera códigos de recuperación nuevos; los anteriores dejan de servir. Requiere un código TOTP.
+ * @async
+ * @function regenerateRecoveryCodes
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.codigo`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con los códigos nuevos o un mensaje de error.
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        if (!(await consumeSecondFactor(req.userId, { codigo: req.body.codigo }))) {
+            return res.status(401).json({ message: 'El código no es válido o la verificación en dos pasos no está activa.' });
+        }
+        const codigosRecuperacion = generateRecoveryCodes();
+        await User.updateOne({ _id: req.userId }, { $set: { codigosRecuperacion: hashRecoveryCodes(codigosRecuperacion) } });
+        res.json({ message: 'Códigos de recuperación regenerados. Los anteriores ya no sirven.', codigosRecuperacion });
+    } catch (error) {
+        console.error("Regenerate Recovery Codes Error:", error);
+        res.status(500).json({ message: 'Error al regenerar los códigos de recuperación', error: error.message });
+    }
+};
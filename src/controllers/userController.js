@@ -1,12 +1,19 @@
 /**
- * @fileoverview Controlador para gestionar operaciones relacionadas con los usuarios administradores.
- * Incluye funciones para obtener, actualizar y eliminar usuarios.
+ * @fileoverview Controlador para gestionar operaciones relacionadas con los usuarios.
+ * Incluye el perfil propio del usuario autenticado (`/me`) y la gestión de usuarios: listar y buscar, editar,
+ * cambiar de rol, desactivar y reactivar (los usuarios no se eliminan, para conservar sus pedidos).
  * Utiliza los modelos User y Role de Mongoose.
  */
 
 // Importa los modelos de Mongoose necesarios.
 const User = require('../models/User');
 const Role = require('../models/Role');
+const { issueSession, revokeUserSessions, requiresTwoFactorEnrollment } = require('../utils/tokens');
+const { startEmailVerification } = require('../utils/emailVerification');
+const { userHasPermission } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
+const { clearAccountFailures } = require('../utils/loginGuard');
+const { escapeRegex } = require('../utils/text');
 
 /**
  * Obtiene una lista de todos los usuarios que tienen el rol de 'admin'.
@@ -43,10 +50,135 @@ exports.getAdminUsers = async (req, res) => {
 };
 
 /**
- * Actualiza los datos de un usuario existente por su ID.
- * Permite modificar el nombre, email y opcionalmente la contraseña.
- * Si se proporciona una nueva contraseña, el hook 'pre-save' del modelo User se encarga de encriptarla.
- * Maneja errores específicos como email duplicado .
+ * Valida los campos de perfil enviados. Solo revisa los que vienen en el body.
+ * @function validateProfileFields
+ * @param {object} campos - `nombre`, `email` y `password` (opcionales).
+ * @returns {Array<string>} Los mensajes de error (vacío si todo es válido).
+ */
+const validateProfileFields = ({ nombre, email, password }) => {
+    const errores = [];
+    if (nombre !== undefined && (typeof nombre !== 'string' || !nombre.trim())) {
+        errores.push('El nombre no puede estar vacío.');
+    }
+    if (email !== undefined && (typeof email !== 'string' || !/\S+@\S+\.\S+/.test(email))) {
+        errores.push('Por favor, usa un email válido.');
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
+        errores.push('La contraseña debe tener al menos 6 caracteres.');
+    }
+    return errores;
+};
+
+/**
+ * Comprueba si un email ya pertenece (o está pendiente de confirmación) en otra cuenta.
+ * @async
+ * @function emailInUse
+ * @param {string} email - El email normalizado.
+ * @param {string} userId - El usuario que quiere usarlo.
+ * @returns {Promise<boolean>}
+ */
+const emailInUse = async (email, userId) => Boolean(
+    await User.exists({ _id: { $ne: userId }, $or: [{ email }, { emailPendiente: email }] })
+);
+
+/**
+ * Obtiene el perfil del usuario autenticado (sin contraseña), con el nombre de su rol.
+ * @async
+ * @function getMe
+ * @param {object} req - Objeto de solicitud de Express (después de `protect`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el usuario o un mensaje de error.
+ */
+exports.getMe = async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).populate('idRol', 'nombre').select('-password');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        res.json(user);
+    } catch (error) {
+        console.error("Error en getMe:", error);
+        res.status(500).json({ message: 'Error al obtener el perfil', error: error.message });
+    }
+};
+
+/**
+ * Actualiza el perfil del usuario autenticado.
+ * - `nombre` se cambia directamente.
+ * - `password` requiere `passwordActual`; al cambiarla se cierran las demás sesiones y se devuelve una sesión nueva.
+ * - `email` requiere `passwordActual` y no cambia hasta que el usuario confirma el enlace enviado al nuevo email.
+ * @async
+ * @function updateMe
+ * @param {object} req - Objeto de solicitud de Express. `req.body` puede contener `nombre`, `email`, `password` y `passwordActual`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el usuario actualizado (y tokens nuevos si cambió la contraseña) o un mensaje de error.
+ */
+exports.updateMe = async (req, res) => {
+    const { nombre, password, passwordActual } = req.body;
+    const errores = validateProfileFields(req.body);
+    if (errores.length > 0) {
+        return res.status(400).json({ message: 'Datos inválidos', errores });
+    }
+
+    try {
+        const user = await User.findById(req.userId).populate('idRol', 'nombre');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        const email = req.body.email !== undefined ? req.body.email.toLowerCase().trim() : undefined;
+        const cambiaEmail = email !== undefined && email !== user.email;
+        // Los cambios sensibles exigen la contraseña actual, por si la sesión quedó abierta en otro equipo.
+        if (password !== undefined || cambiaEmail) {
+            if (!passwordActual || !(await user.comparePassword(String(passwordActual)))) {
+                return res.status(401).json({ message: 'La contraseña actual es incorrecta.' });
+            }
+        }
+        if (cambiaEmail && await emailInUse(email, user._id)) {
+            return res.status(400).json({ message: 'El email ya está en uso por otro usuario.' });
+        }
+
+        if (nombre !== undefined) {
+            user.nombre = nombre.trim();
+        }
+        if (password !== undefined) {
+            // El hook 'pre-save' del modelo la encriptará.
+            user.password = password;
+        }
+        await user.save();
+
+        const respuesta = { message: 'Perfil actualizado exitosamente' };
+        if (cambiaEmail) {
+            await startEmailVerification(user, email);
+            respuesta.message = `Perfil actualizado. Confirma tu nuevo email con el enlace que enviamos a ${email}.`;
+            respuesta.emailPendiente = email;
+        }
+        if (password !== undefined) {
+            // Cierra todas las sesiones (incluida la actual) y abre una nueva para quien hizo el cambio.
+            await revokeUserSessions(user._id);
+            user.tokenVersion += 1;
+            Object.assign(respuesta, await issueSession(user, user.idRol.nombre, req));
+        }
+
+        user.password = undefined;
+        respuesta.user = user;
+        res.json(respuesta);
+    } catch (error) {
+        console.error("Error en updateMe:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error al actualizar el perfil', error: error.message });
+    }
+};
+
+/**
+ * Actualiza los datos de otro usuario por su ID (gestión de usuarios).
+ * Para la cuenta propia se debe usar `PUT /api/users/me`, que exige la contraseña actual.
+ * Editar a un administrador requiere además el permiso `admins:crear`.
+ * Si se proporciona una nueva contraseña, el hook 'pre-save' del modelo User se encarga de encriptarla
+ * y se cierran todas las sesiones abiertas del usuario. Si cambia el email, queda sin verificar y se le envía el enlace.
+ * Los datos inválidos se rechazan con 400 y la lista de errores.
  * @async
  * @function updateUser
  * @param {object} req - Objeto de solicitud de Express. `req.params.id` contiene el ID del usuario a actualizar. `req.body` contiene los campos `nombre`, `email`, y opcionalmente `password`.
@@ -57,23 +189,43 @@ exports.updateUser = async (req, res) => {
     // Obtiene el ID del usuario de los parámetros de la ruta.
     const { id } = req.params;
     // Obtiene los datos a actualizar del cuerpo de la solicitud.
-    const { nombre, email, password } = req.body;
+    const { nombre, password } = req.body;
+
+    if (id === String(req.userId)) {
+        return res.status(400).json({ message: 'Para editar tu propia cuenta usa /api/users/me.' });
+    }
+    const errores = validateProfileFields(req.body);
+    if (errores.length > 0) {
+        return res.status(400).json({ message: 'Datos inválidos', errores });
+    }
 
     try {
         // Busca al usuario por su ID.
-        const user = await User.findById(id);
+        const user = await User.findById(id).populate('idRol', 'nombre');
         // Si no se encuentra el usuario, devuelve un error 404 (No Encontrado).
         if (!user) {
             return res.status(404).json({ message: 'Usuario no encontrado' });
         }
+        // Los administradores solo pueden ser editados por quien puede gestionar administradores.
+        if (user.idRol?.nombre === 'admin' && !(await userHasPermission(req, PERMISOS.ADMINS_CREAR))) {
+            return res.status(403).json({ message: 'Acceso denegado: no puedes editar a otro administrador' });
+        }
 
-        // Actualiza los campos 'nombre' y 'email' solo si se proporcionaron en el body.
-        // Si no vienen, mantiene los valores existentes.
-        user.nombre = nombre || user.nombre;
-        user.email = email || user.email;
+        const email = req.body.email !== undefined ? req.body.email.toLowerCase().trim() : undefined;
+        const cambiaEmail = email !== undefined && email !== user.email;
+        if (cambiaEmail && await emailInUse(email, user._id)) {
+            return res.status(400).json({ message: 'El email ya está en uso por otro usuario.' });
+        }
 
-        // Si se envió una nueva contraseña y tiene al menos 6 caracteres.
-        if (password && password.length >= 6) {
+        if (nombre !== undefined) {
+            user.nombre = nombre.trim();
+        }
+        if (cambiaEmail) {
+            user.email = email;
+            user.emailVerificado = false;
+            user.emailPendiente = null;
+        }
+        if (password !== undefined) {
             // Asigna la nueva contraseña en texto plano. El hook 'pre-save' del modelo
             // detectará este cambio y la encriptará antes de guardarla.
             user.password = password;
@@ -84,6 +236,14 @@ exports.updateUser = async (req, res) => {
         // Elimina la contraseña del objeto antes de enviarlo en la respuesta.
         updatedUser.password = undefined;
 
+        if (cambiaEmail) {
+            await startEmailVerification(updatedUser);
+        }
+        // Con la contraseña cambiada, las sesiones abiertas con la anterior dejan de ser válidas.
+        if (password !== undefined) {
+            await revokeUserSessions(id);
+        }
+
         // Envía una respuesta JSON exitosa con un mensaje y el usuario actualizado.
         res.json({ message: 'Usuario actualizado exitosamente', user: updatedUser });
 
@@ -93,6 +253,9 @@ exports.updateUser = async (req, res) => {
         if (error.code === 11000) {
             return res.status(400).json({ message: 'El email ya está en uso por otro usuario.' });
         }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         // Para cualquier otro error, envía una respuesta 500.
         res.status(500).json({ message: 'Error al actualizar el usuario', error: error.message });
     }
@@ -100,29 +263,222 @@ exports.updateUser = async (req, res) => {
 
 
 /**
- * Elimina un usuario existente por su ID.
- * Utiliza el ID proporcionado en los parámetros de la ruta (`req.params.id`).
+ * Cuenta los administradores activos.
+ * Se usa para impedir que el sistema se quede sin ningún administrador.
  * @async
- * @function deleteUser
- * @param {object} req - Objeto de solicitud de Express. `req.params.id` contiene el ID del usuario a eliminar.
+ * @function countActiveAdmins
+ * @param {mongoose.Types.ObjectId} adminRoleId - El _id del rol 'admin'.
+ * @returns {Promise<number>}
+ */
+const countActiveAdmins = (adminRoleId) => User.countDocuments({ idRol: adminRoleId, activo: { $ne: false } });
+
+/**
+ * Lista todos los usuarios con paginación, búsqueda por nombre o email y filtros por rol y estado.
+ * @async
+ * @function getUsers
+ * @param {object} req - Objeto de solicitud de Express. `req.query` puede contener `search`, `rol` ('admin' o 'cliente'), `activo` ('true'/'false'), `page` y `limit`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito y el ID eliminado, o un mensaje de error.
+ * @returns {Promise<void>} Envía una respuesta JSON con los usuarios (sin contraseña) y metadatos de paginación, o un mensaje de error.
  */
-exports.deleteUser = async (req, res) => {
-    // Obtiene el ID del usuario de los parámetros de la ruta.
+exports.getUsers = async (req, res) => {
+    try {
+        const { search, rol, activo, page = 1, limit = 20 } = req.query;
+        const filterObject = {};
+
+        if (search) {
+            const regex = { $regex: escapeRegex(search), $options: 'i' };
+            filterObject.$or = [{ nombre: regex }, { email: regex }];
+        }
+        if (rol) {
+            const role = await Role.findOne({ nombre: rol });
+            if (!role) {
+                return res.status(400).json({ message: `El rol "${rol}" no existe.` });
+            }
+            filterObject.idRol = role._id;
+        }
+        if (activo !== undefined) {
+            filterObject.activo = activo === 'true' ? { $ne: false } : false;
+        }
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const totalUsers = await User.countDocuments(filterObject);
+        const users = await User.find(filterObject)
+            .populate('idRol', 'nombre')
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum);
+
+        res.json({
+            users,
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalUsers / limitNum),
+            totalUsers
+        });
+    } catch (error) {
+        console.error("Error en getUsers:", error);
+        res.status(500).json({ message: 'Error al obtener los usuarios', error: error.message });
+    }
+};
+
+/**
+ * Cambia el rol de un usuario entre 'admin' y 'cliente' (promover o degradar).
+ * No permite degradar al último administrador activo. El cambio tiene efecto inmediato,
+ * porque `protect` lee el rol de la base de datos en cada solicitud. Si el nuevo rol exige la verificación
+ * en dos pasos y el usuario no la tiene activa, se cierran todas sus sesiones.
+ * @async
+ * @function changeUserRole
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` es el ID del usuario; `req.body.rol` el nuevo rol.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con el usuario actualizado o un mensaje de error.
+ */
+exports.changeUserRole = async (req, res) => {
     const { id } = req.params;
+    const { rol } = req.body;
+    if (!['admin', 'cliente'].includes(rol)) {
+        return res.status(400).json({ message: 'El rol debe ser "admin" o "cliente".' });
+    }
+
     try {
-        // Busca un usuario por su ID y lo elimina directamente de la base de datos.
-        const user = await User.findByIdAndDelete(id);
-        // Si no se encuentra (y por lo tanto no se elimina) ningún usuario con ese ID, devuelve 404.
+        const [user, newRole, adminRole] = await Promise.all([
+            User.findById(id).populate('idRol', 'nombre'),
+            Role.findOne({ nombre: rol }),
+            Role.findOne({ nombre: 'admin' })
+        ]);
         if (!user) {
             return res.status(404).json({ message: 'Usuario no encontrado' });
         }
-        // Si se eliminó correctamente, envía una respuesta JSON exitosa.
-        res.json({ message: 'Usuario eliminado exitosamente', _id: id });
+        if (!newRole || !adminRole) {
+            return res.status(500).json({ message: 'Error de configuración: faltan roles en la BD.' });
+        }
+        if (user.idRol?.nombre === rol) {
+            return res.status(400).json({ message: `El usuario ya tiene el rol "${rol}".` });
+        }
+
+        const eraAdminActivo = user.idRol?.nombre === 'admin' && user.activo !== false;
+        if (eraAdminActivo && await countActiveAdmins(adminRole._id) <= 1) {
+            return res.status(409).json({ message: 'No se puede degradar al último administrador activo.' });
+        }
+
+        await User.updateOne({ _id: id }, { $set: { idRol: newRole._id } });
+        // Si otra solicitud degradó a otro admin al mismo tiempo, deshace este cambio.
+        if (eraAdminActivo && await countActiveAdmins(adminRole._id) === 0) {
+            await User.updateOne({ _id: id }, { $set: { idRol: adminRole._id } });
+            return res.status(409).json({ message: 'No se puede degradar al último administrador activo.' });
+        }
+        // Si el nuevo rol exige la verificación en dos pasos y aún no la activó, se cierran sus sesiones:
+        // al volver a entrar deberá activarla.
+        if (requiresTwoFactorEnrollment(user, rol)) {
+            await revokeUserSessions(id);
+        }
+
+        const updatedUser = await User.findById(id).populate('idRol', 'nombre').select('-password');
+        res.json({ message: `Rol cambiado a "${rol}"`, user: updatedUser });
     } catch (error) {
-        // Si ocurre un error durante la operación de eliminación.
-        console.error("Error en deleteUser:", error); // Registra el error en el servidor.
-        res.status(500).json({ message: 'Error al eliminar el usuario', error: error.message });
+        console.error("Error en changeUserRole:", error);
+        res.status(500).json({ message: 'Error al cambiar el rol del usuario', error: error.message });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Desactiva un usuario en lugar de eliminarlo: no puede iniciar sesión y se cierran todas sus sesiones,
+ * pero sus pedidos y movimientos se conservan. No permite desactivar al último administrador activo.
+ * Para desactivar a un administrador se necesita el permiso de gestionar administradores.
+ * @async
+ * @function deactivateUser
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` contiene el ID del usuario a desactivar.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito y el ID, o un mensaje de error.
+ */
+exports.deactivateUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const user = await User.findById(id).populate('idRol', 'nombre');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.activo === false) {
+            return res.status(400).json({ message: 'El usuario ya está desactivado.' });
+        }
+
+        const esAdmin = user.idRol?.nombre === 'admin';
+        if (esAdmin && !(await userHasPermission(req, PERMISOS.ADMINS_CREAR))) {
+            return res.status(403).json({ message: 'Acceso denegado: no puedes desactivar a otro administrador' });
+        }
+        if (esAdmin && await countActiveAdmins(user.idRol._id) <= 1) {
+            return res.status(409).json({ message: 'No se puede desactivar al último administrador activo.' });
+        }
+
+        await User.updateOne({ _id: id }, { $set: { activo: false, desactivadoEn: new Date() } });
+        // Si otra solicitud desactivó a otro admin al mismo tiempo, deshace este cambio.
+        if (esAdmin && await countActiveAdmins(user.idRol._id) === 0) {
+            await User.updateOne({ _id: id }, { $set: { activo: true, desactivadoEn: null } });
+            return res.status(409).json({ message: 'No se puede desactivar al último administrador activo.' });
+        }
+        await revokeUserSessions(id);
+
+        res.json({ message: 'Usuario desactivado exitosamente', _id: id });
+    } catch (error) {
+        console.error("Error en deactivateUser:", error);
+        res.status(500).json({ message: 'Error al desactivar el usuario', error: error.message });
+    }
+};
+
+/**
+ * Reactiva un usuario desactivado. Deberá iniciar sesión de nuevo.
+ * Para reactivar a un administrador se necesita el permiso de gestionar administradores.
+ * @async
+ * @function reactivateUser
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` contiene el ID del usuario.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito y el ID, o un mensaje de error.
+ */
+exports.reactivateUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const user = await User.findById(id).populate('idRol', 'nombre');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        if (user.idRol?.nombre === 'admin' && !(await userHasPermission(req, PERMISOS.ADMINS_CREAR))) {
+            return res.status(403).json({ message: 'Acceso denegado: no puedes reactivar a otro administrador' });
+        }
+
+        const { modifiedCount } = await User.updateOne(
+            { _id: id, activo: false },
+            { $set: { activo: true, desactivadoEn: null } }
+        );
+        if (modifiedCount === 0) {
+            return res.status(400).json({ message: 'El usuario ya está activo.' });
+        }
+        res.json({ message: 'Usuario reactivado exitosamente', _id: id });
+    } catch (error) {
+        console.error("Error en reactivateUser:", error);
+        res.status(500).json({ message: 'Error al reactivar el usuario', error: error.message });
+    }
+};
+
+/**
+ * Desbloquea el inicio de sesión de una cuenta bloqueada por intentos fallidos, sin esperar a que termine el bloqueo.
+ * Los bloqueos por IP no se tocan.
+ * @async
+ * @function unlockUser
+ * @param {object} req - Objeto de solicitud de Express. `req.params.id` contiene el ID del usuario.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía una respuesta JSON con un mensaje de éxito o de error.
+ */
+exports.unlockUser = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const user = await User.findById(id).select('email');
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+        const teniaFallos = await clearAccountFailures(user.email);
+        res.json({ message: teniaFallos ? 'Cuenta desbloqueada exitosamente' : 'La cuenta no tenía intentos fallidos ni bloqueos', _id: id });
+    } catch (error) {
+        console.error("Error en unlockUser:", error);
+        res.status(500).json({ message: 'Error al desbloquear el usuario', error: error.message });
+    }
+};
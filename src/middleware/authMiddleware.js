@@ -1,52 +1,194 @@
 /**
- * @fileoverview Middleware de autenticación para proteger rutas en Express.
- * Utiliza JSON Web Tokens (JWT) para verificar si un usuario está autenticado.
+ * @fileoverview Middleware de autenticación y autorización para proteger rutas en Express.
+ * Utiliza JSON Web Tokens (JWT) para verificar si un usuario está autenticado (401)
+ * y los permisos guardados en su rol para verificar si puede realizar la acción (403).
  */
 
 const jwt = require('jsonwebtoken');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISOS_REQUIEREN_VERIFICACION } = require('../config/permissions');
+const { verifyChallengeToken } = require('../utils/tokens');
 require('dotenv').config();
 
 /**
  * Middleware 'protect' para verificar la autenticidad del token JWT.
  * Busca un token en la cabecera 'Authorization' de la solicitud HTTP.
- * Si encuentra un token válido, extrae el ID del usuario del payload del token
- * y lo adjunta al objeto `req` (`req.userId`). Luego, pasa el control al siguiente middleware o controlador.
- * Si no hay token o el token es inválido (expirado o malformado), envía una respuesta
+ * Si encuentra un token válido, comprueba que el usuario siga existiendo y que sus sesiones no hayan sido
+ * revocadas (`tokenVersion`), y adjunta al objeto `req` su ID y el rol que tiene ahora (`req.userId` y `req.userRole`),
+ * de modo que un cambio de rol se aplica sin esperar a que expire el token.
+ * Si no hay token, el token es inválido (expirado o malformado) o fue revocado, envía una respuesta
  * de error 401 (No Autorizado) y detiene la cadena de ejecución.
+ * @async
  * @function protect
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.headers.authorization` en formato 'Bearer <token>'.
  * @param {object} res - Objeto de respuesta de Express.
  * @param {function} next - Función callback para pasar el control al siguiente middleware.
- * @returns {void} Llama a `next()` si el token es válido, o envía una respuesta de error 401.
+ * @returns {Promise<void>} Llama a `next()` si el token es válido, o envía una respuesta de error 401.
  */
-exports.protect = (req, res, next) => {
-    let token; // Variable para almacenar el token extraído.
+exports.protect = async (req, res, next) => {
     // Verifica si la cabecera 'Authorization' existe y si comienza con 'Bearer '.
     // Este es el formato estándar para enviar tokens JWT.
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            // Extrae el token de la cabecera.
-            token = req.headers.authorization.split(' ')[1];
-            // Verifica la validez del token usando la clave secreta (JWT_SECRET) de las variables de entorno.
-            // jwt.verify decodifica el token y comprueba si la firma es correcta y si no ha expirado.
-            // Si es inválido, lanzará un error que será capturado por el 'catch'.
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            // Si el token es válido, 'decoded' contiene el payload que se usó al firmar el token
-            // Esto permite que los siguientes controladores sepan qué usuario está haciendo la solicitud.
-            req.userId = decoded.id;
-            // Pasa el control al siguiente middleware o controlador en la cadena de la ruta.
-            next();
-        } catch (error) {
-            // Si jwt.verify lanza un error (token inválido, expirado, malformado).
-            console.error('Error de verificación de token:', error.message); // Registra el error específico.
-            // Envía una respuesta 401 (No Autorizado) indicando que el token no es válido.
-            res.status(401).json({ message: 'Token no válido o expirado' });
-        }
-    }
-
-    // Si la cabecera 'Authorization' no existe, no empieza con 'Bearer ', o si hubo un error al extraer el token antes del 'try'.
-    if (!token) {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
         // Envía una respuesta 401 (No Autorizado) indicando que falta el token.
-        res.status(401).json({ message: 'No autorizado, no se proporcionó token' });
+        return res.status(401).json({ message: 'No autorizado, no se proporcionó token' });
+    }
+
+    let decoded;
+    try {
+        // Extrae el token de la cabecera.
+        const token = req.headers.authorization.split(' ')[1];
+        // Verifica la validez del token usando la clave secreta (JWT_SECRET) de las variables de entorno.
+        // jwt.verify decodifica el token y comprueba si la firma es correcta y si no ha expirado.
+        // Si es inválido, lanzará un error que será capturado por el 'catch'.
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Los tokens de desafío (verificación en dos pasos) e invitaciones no sirven como access token.
+        if (decoded.tipo) {
+            throw new Error('el token no es un access token');
+        }
+    } catch (error) {
+        // Si jwt.verify lanza un error (token inválido, expirado, malformado).
+        console.error('Error de verificación de token:', error.message); // Registra el error específico.
+        // Envía una respuesta 401 (No Autorizado) indicando que el token no es válido.
+        return res.status(401).json({ message: 'Token no válido o expirado' });
+    }
+
+    try {
+        // Comprueba que el usuario siga existiendo y que el token no pertenezca a sesiones ya revocadas.
+        const user = await User.findById(decoded.id).select('idRol tokenVersion emailVerificado activo').populate('idRol', 'nombre');
+        if (!user || !user.idRol) {
+            return res.status(401).json({ message: 'No autorizado, el usuario ya no existe' });
+        }
+        if (user.activo === false) {
+            return res.status(401).json({ message: 'No autorizado, la cuenta está desactivada' });
+        }
+        if ((decoded.tv || 0) !== user.tokenVersion) {
+            return res.status(401).json({ message: 'Sesión revocada, inicia sesión de nuevo' });
+        }
+
+        // Esto permite que los siguientes controladores sepan qué usuario está haciendo la solicitud.
+        req.userId = decoded.id;
+        // El nombre del rol ('admin', 'cliente') lo usa `authorize` para buscar los permisos.
+        // Se toma de la base de datos y no del token, para que un cambio de rol tenga efecto inmediato.
+        req.userRole = user.idRol.nombre;
+        // Lo usa `authorize` para aplicar la política de cuentas sin verificar.
+        req.emailVerificado = user.emailVerificado;
+        // Pasa el control al siguiente middleware o controlador en la cadena de la ruta.
+        next();
+    } catch (error) {
+        console.error('Error al verificar la sesión:', error);
+        res.status(500).json({ message: 'Error al verificar la sesión', error: error.message });
+    }
+};
+
+/**
+ * Verifica si el rol del usuario autenticado tiene un permiso. Útil en controladores que permiten
+ * una acción al dueño del recurso o a quien tenga el permiso (ej: ver un pedido ajeno).
+ * Reutiliza `req.userPermissions` si `authorize` ya los cargó. Respeta la política de cuentas sin verificar.
+ * @async
+ * @function userHasPermission
+ * @param {object} req - Objeto de solicitud de Express (después de `protect`).
+ * @param {string} permiso - Permiso a comprobar (ver `PERMISOS` en config/permissions.js).
+ * @returns {Promise<boolean>} true si el rol del usuario incluye el permiso.
+ */
+exports.userHasPermission = async (req, permiso) => {
+    if (!req.userPermissions) {
+        const role = await Role.findOne({ nombre: req.userRole });
+        req.userPermissions = role ? role.permisos : [];
+    }
+    if (req.emailVerificado === false && PERMISOS_REQUIEREN_VERIFICACION.includes(permiso)) {
+        return false;
+    }
+    return req.userPermissions.includes(permiso);
+};
+
+/**
+ * Fábrica de middleware 'authorize' para verificar que el rol del usuario tenga los permisos requeridos.
+ * Debe usarse siempre después de `protect`, ya que depende de `req.userRole`.
+ * Busca el documento del rol y comprueba que su lista `permisos` incluya todos los solicitados.
+ * Si falta alguno, responde 403 (Prohibido): el usuario está autenticado pero no autorizado.
+ * Si la cuenta no verificó su email y algún permiso requerido está en `PERMISOS_REQUIEREN_VERIFICACION`,
+ * también responde 403, con `code: 'EMAIL_NO_VERIFICADO'` para que el frontend ofrezca reenviar el correo.
+ * @function authorize
+ * @param {...string} permisosRequeridos - Permisos necesarios (ver `PERMISOS` en config/permissions.js).
+ * @returns {function} Un middleware Express asíncrono `async (req, res, next) => {...}`.
+ */
+exports.authorize = (...permisosRequeridos) => async (req, res, next) => {
+    try {
+        // Busca el rol del usuario por su nombre (viene del payload del token).
+        const role = await Role.findOne({ nombre: req.userRole });
+        if (!role) {
+            return res.status(403).json({ message: 'Acceso denegado: rol no reconocido' });
+        }
+
+        // Comprueba que el rol tenga todos los permisos requeridos por la ruta.
+        const tienePermisos = permisosRequeridos.every(permiso => role.permisos.includes(permiso));
+        if (!tienePermisos) {
+            return res.status(403).json({ message: 'Acceso denegado: no tienes permisos para realizar esta acción' });
+        }
+        if (req.emailVerificado === false && permisosRequeridos.some(permiso => PERMISOS_REQUIEREN_VERIFICACION.includes(permiso))) {
+            return res.status(403).json({ message: 'Debes verificar tu email para realizar esta acción', code: 'EMAIL_NO_VERIFICADO' });
+        }
+
+        // Adjunta los permisos para que los controladores puedan consultarlos si lo necesitan.
+        req.userPermissions = role.permisos;
+        next();
+    } catch (error) {
+        console.error('Error de autorización:', error);
+        res.status(500).json({ message: 'Error al verificar permisos', error: error.message });
+    }
+};
+
+/**
+ * Middleware 'optionalProtect' para rutas que aceptan tanto usuarios autenticados como anónimos (ej: el carrito).
+ * Si la solicitud trae un token válido, adjunta `req.userId` y `req.userRole` igual que `protect`.
+ * Si no trae token, continúa sin usuario. Si trae un token inválido o expirado, responde 401
+ * para que el cliente no opere sin saberlo sobre un carrito anónimo.
+ * @function optionalProtect
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función callback para pasar el control al siguiente middleware.
+ * @returns {Promise<void>}
+ */
+exports.optionalProtect = async (req, res, next) => {
+    // Sin cabecera 'Authorization' la solicitud se trata como anónima.
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+        return next();
+    }
+    // Con cabecera, se aplica la misma verificación que en 'protect'.
+    return exports.protect(req, res, next);
+};
+
+/**
+ * Middleware para el enrolamiento en la verificación en dos pasos. Acepta una sesión normal (como `protect`)
+ * o, si el rol del usuario la exige y aún no la activó, el token de desafío '2fa-enrolamiento' que devuelve
+ * el inicio de sesión en `req.body.challengeToken`. En ese caso marca `req.enrolamiento2FA = true`.
+ * @async
+ * @function protectTwoFactorEnrollment
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función callback para pasar el control al siguiente middleware.
+ * @returns {Promise<void>}
+ */
+exports.protectTwoFactorEnrollment = async (req, res, next) => {
+    if (!req.body?.challengeToken) {
+        return exports.protect(req, res, next);
+    }
+    const payload = verifyChallengeToken(req.body.challengeToken, '2fa-enrolamiento');
+    if (!payload) {
+        return res.status(401).json({ message: 'El desafío expiró o no es válido. Inicia sesión de nuevo.' });
+    }
+    try {
+        const user = await User.findById(payload.id).select('tokenVersion activo').populate('idRol', 'nombre');
+        if (!user || user.activo === false || (payload.tv || 0) !== user.tokenVersion) {
+            return res.status(401).json({ message: 'El desafío expiró o no es válido. Inicia sesión de nuevo.' });
+        }
+        req.userId = payload.id;
+        req.userRole = user.idRol?.nombre;
+        req.enrolamiento2FA = true;
+        next();
+    } catch (error) {
+        console.error('Error al verificar el desafío de enrolamiento:', error);
+        res.status(500).json({ message: 'Error al verificar la sesión', error: error.message });
     }
 };
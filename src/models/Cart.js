@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Días que se conserva un carrito anónimo sin actividad antes de que MongoDB lo elimine.
+const DIAS_EXPIRACION_ANONIMO = 30;
+
+const cartItemSchema = new Schema({
+  producto: { type: Schema.Types.ObjectId, ref: 'Producto', required: true },
+  // _id de la variante (talla × color) dentro de `Product.variantes`.
+  variante: { type: Schema.Types.ObjectId, required: true },
+  cantidad: { type: Number, required: true, min: 1 },
+  // Precio del producto en el momento en que se añadió la línea; se compara con el actual al leer el carrito.
+  precioUnitario: { type: Number, required: true, min: 0 }
+});
+
+const cartSchema = new Schema({
+  // Dueño del carrito. Es null en los carritos anónimos.
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  // Identificador que el cliente envía en la cabecera 'X-Cart-Id' mientras no ha iniciado sesión.
+  idAnonimo: { type: String, default: null },
+  items: [cartItemSchema]
+}, { timestamps: true });
+
+cartSchema.index({ usuario: 1 }, { unique: true, partialFilterExpression: { usuario: { $type: 'objectId' } } });
+cartSchema.index({ idAnonimo: 1 }, { unique: true, partialFilterExpression: { idAnonimo: { $type: 'string' } } });
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: DIAS_EXPIRACION_ANONIMO * 24 * 60 * 60, partialFilterExpression: { idAnonimo: { $type: 'string' } } }
+);
+
+/**
+ * Busca la línea del carrito que corresponde a la variante indicada.
+ */
+cartSchema.methods.findItem = function(varianteId) {
+  return this.items.find(item => String(item.variante) === String(varianteId));
+};
+
+/**
+ * Fusiona el carrito anónimo `idAnonimo` en el carrito del usuario y elimina el anónimo.
+ * Las líneas repetidas suman sus cantidades; se conserva el precio más reciente.
+ * Devuelve el carrito del usuario, o null si no había carrito anónimo.
+ */
+cartSchema.statics.mergeAnonymousCart = async function(idAnonimo, userId) {
+  if (!idAnonimo) return null;
+  const anonCart = await this.findOne({ idAnonimo });
+  if (!anonCart) return null;
+
+  let userCart = await this.findOne({ usuario: userId });
+  if (!userCart) {
+    userCart = new this({ usuario: userId, items: [] });
+  }
+
+  anonCart.items.forEach(anonItem => {
+    const existing = userCart.findItem(anonItem.variante);
+    if (existing) {
+      existing.cantidad += anonItem.cantidad;
+      existing.precioUnitario = anonItem.precioUnitario;
+    } else {
+      userCart.items.push({
+        producto: anonItem.producto,
+        variante: anonItem.variante,
+        cantidad: anonItem.cantidad,
+        precioUnitario: anonItem.precioUnitario
+      });
+    }
+  });
+
+  await userCart.save();
+  await anonCart.deleteOne();
+  return userCart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { refreshProductSearch } = require('../utils/productSearch');
 
 /**
  * Define el esquema para los documentos de la colección 'colores'.
@@ -22,4 +23,16 @@ const colorSchema = new Schema({
 }, {
     timestamps: true
 });
+
+// Al renombrar un color, actualiza el texto de búsqueda de sus productos.
+colorSchema.post('findOneAndUpdate', async function(doc) {
+    const update = this.getUpdate() || {};
+    if (!doc || (update.nombre === undefined && update.$set?.nombre === undefined)) return;
+    try {
+        await refreshProductSearch({ 'variantes.idColor': doc._id });
+    } catch (error) {
+        console.error('Error al actualizar la búsqueda de productos:', error);
+    }
+});
+
 module.exports = mongoose.model('Color', colorSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Fila con errores u omitida de una importación: solo se guardan estas para no inflar el documento.
+const importRowErrorSchema = new Schema({
+  fila: { type: Number, required: true },
+  errores: { type: [String], default: [] }
+}, { _id: false });
+
+// Carga masiva de productos procesada en segundo plano (ver utils/importJobs.js).
+const importJobSchema = new Schema({
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  archivo: { type: String, required: true, trim: true },
+  formato: { type: String, enum: ['xlsx', 'csv', 'json'], default: 'xlsx' },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'validando', 'importando', 'completado', 'cancelado', 'fallido'],
+    default: 'pendiente'
+  },
+  opciones: {
+    crearCatalogos: { type: Boolean, default: false }
+  },
+  // Progreso: filas del archivo (sin contar las vacías) y filas ya procesadas.
+  totalFilas: { type: Number, default: 0 },
+  procesadas: { type: Number, default: 0 },
+  creados: { type: Number, default: 0 },
+  actualizados: { type: Number, default: 0 },
+  omitidos: { type: Number, default: 0 },
+  productosCreados: { type: Number, default: 0 },
+  productosActualizados: { type: Number, default: 0 },
+  catalogosCreados: [{
+    _id: false,
+    tipo: String,
+    id: Schema.Types.ObjectId,
+    nombre: String
+  }],
+  errores: { type: [importRowErrorSchema], default: [] },
+  // Cantidad total de filas con errores (`errores` se recorta a las primeras MAX_ERRORES_GUARDADOS).
+  totalErrores: { type: Number, default: 0 },
+  // Error general que detuvo el trabajo (archivo ilegible, fallo de la base de datos, reinicio del servidor...).
+  mensajeError: { type: String, default: null },
+  cancelacionSolicitada: { type: Boolean, default: false },
+  // Proceso del servidor que tiene el trabajo en memoria y última vez que avisó que sigue vivo.
+  // Un trabajo activo sin latido reciente quedó huérfano (ver markInterruptedImportJobs).
+  instancia: { type: String, default: null },
+  latidoEn: { type: Date, default: null },
+  canceladoPor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  iniciadoEn: { type: Date, default: null },
+  finalizadoEn: { type: Date, default: null }
+}, { timestamps: true });
+
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index({ estado: 1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Movimiento del kardex: cada cambio de stock de una variante queda registrado con su motivo y autor.
+const inventoryMovementSchema = new Schema({
+  producto: { type: Schema.Types.ObjectId, ref: 'Producto', required: true },
+  variante: { type: Schema.Types.ObjectId, required: true },
+  sku: { type: String },
+  tipo: {
+    type: String,
+    required: true,
+    enum: ['entrada', 'venta', 'ajuste', 'devolucion']
+  },
+  // Cantidad con signo: positiva si suma stock, negativa si lo resta.
+  cantidad: { type: Number, required: true },
+  // Stock de la variante después del movimiento.
+  stockResultante: { type: Number, required: true },
+  motivo: { type: String, required: true, trim: true },
+  // Usuario que originó el movimiento (req.userId).
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  // Pedido relacionado, en ventas y devoluciones.
+  pedido: { type: Schema.Types.ObjectId, ref: 'Order', default: null }
+}, { timestamps: true });
+
+inventoryMovementSchema.index({ producto: 1, createdAt: 1 });
+inventoryMovementSchema.index({ variante: 1, createdAt: 1 });
+
+/**
+ * Registra uno o varios movimientos. Acepta `{ session }` para escribirlos dentro de una transacción.
+ * Se omiten los movimientos con cantidad 0.
+ */
+inventoryMovementSchema.statics.record = async function(movements, options = {}) {
+  const list = (Array.isArray(movements) ? movements : [movements]).filter(m => m.cantidad !== 0);
+  if (list.length === 0) return [];
+  return this.insertMany(list, { session: options.session });
+};
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
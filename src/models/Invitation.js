@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Invitación para crear una cuenta de administrador. Solo se guarda el hash del token del enlace.
+const invitationSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/\S+@\S+\.\S+/, 'Por favor, usa un email válido']
+  },
+  invitadoPor: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  expiraEn: { type: Date, required: true },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aceptada', 'revocada'],
+    default: 'pendiente'
+  },
+  // Usuario creado al aceptar la invitación.
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  aceptadaEn: { type: Date, default: null }
+}, { timestamps: true });
+
+// Una sola invitación pendiente por email.
+invitationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { estado: 'pendiente' } });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Intentos fallidos de inicio de sesión, por cuenta ('email:<email>') o por origen ('ip:<ip>').
+// Se cuenta también para emails que no existen, así el bloqueo no revela qué cuentas están registradas.
+const loginAttemptSchema = new Schema({
+  clave: { type: String, required: true, unique: true },
+  // Fallos desde el último bloqueo (o desde el primer fallo).
+  intentos: { type: Number, default: 0 },
+  // Bloqueos ya aplicados: cada uno duplica la duración del siguiente.
+  bloqueos: { type: Number, default: 0 },
+  bloqueadoHasta: { type: Date, default: null }
+}, { timestamps: true });
+
+// Tras un día sin fallos el registro se elimina y la duración de los bloqueos vuelve a empezar.
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { refreshProductSearch } = require('../utils/productSearch');
 
 const marcaSchema = new Schema({
   nombre: {
@@ -12,4 +13,15 @@ const marcaSchema = new Schema({
   timestamps: true 
 });
 
+// Al renombrar una marca, actualiza el texto de búsqueda de sus productos.
+marcaSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  if (!doc || (update.nombre === undefined && update.$set?.nombre === undefined)) return;
+  try {
+    await refreshProductSearch({ idMarca: doc._id });
+  } catch (error) {
+    console.error('Error al actualizar la búsqueda de productos:', error);
+  }
+});
+
 module.exports = mongoose.model('Marca', marcaSchema);
\ No newline at end of file
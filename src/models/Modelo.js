@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { refreshProductSearch } = require('../utils/productSearch');
 
 const modeloSchema = new Schema({
   nombre: {
@@ -12,4 +13,15 @@ const modeloSchema = new Schema({
   timestamps: true
 });
 
+// Al renombrar un modelo, actualiza el texto de búsqueda de sus productos.
+modeloSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  if (!doc || (update.nombre === undefined && update.$set?.nombre === undefined)) return;
+  try {
+    await refreshProductSearch({ idModelo: doc._id });
+  } catch (error) {
+    console.error('Error al actualizar la búsqueda de productos:', error);
+  }
+});
+
 module.exports = mongoose.model('Modelo', modeloSchema);
\ No newline at end of file
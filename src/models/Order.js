@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Copia de cada línea en el momento de la compra: si el producto cambia o se elimina, el pedido no cambia.
+const orderItemSchema = new Schema({
+  producto: { type: Schema.Types.ObjectId, ref: 'Producto', required: true },
+  NombreProducto: { type: String, required: true },
+  variante: { type: Schema.Types.ObjectId, required: true },
+  sku: { type: String },
+  idTalla: { type: Schema.Types.ObjectId, ref: 'Talla', default: null },
+  idColor: { type: Schema.Types.ObjectId, ref: 'Color', default: null },
+  talla: { type: String, default: null },
+  color: { type: String, default: null },
+  cantidad: { type: Number, required: true, min: 1 },
+  precioUnitario: { type: Number, required: true, min: 0 },
+  subtotal: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Copia de la dirección de `User.direcciones` elegida al comprar.
+const shippingAddressSchema = new Schema({
+  alias: { type: String },
+  calle: { type: String, required: true },
+  ciudad: { type: String, required: true },
+  distrito: { type: String, required: true },
+  codigoPostal: { type: String }
+}, { _id: false });
+
+// Estados del pedido y transiciones permitidas desde cada uno.
+const TRANSICIONES = {
+  pendiente: ['pagado', 'cancelado'],
+  pagado: ['preparando', 'cancelado', 'reembolsado'],
+  preparando: ['enviado', 'cancelado', 'reembolsado'],
+  enviado: ['entregado'],
+  entregado: ['reembolsado'],
+  cancelado: [],
+  reembolsado: []
+};
+
+// Estados en los que la mercadería todavía no salió del almacén: si el pedido se cancela
+// o se reembolsa desde ellos, el stock se devuelve.
+const ESTADOS_SIN_ENVIAR = ['pendiente', 'pagado', 'preparando'];
+
+// Entrada de la línea de tiempo: quién cambió el estado y cuándo.
+const statusHistorySchema = new Schema({
+  estado: { type: String, required: true },
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  nota: { type: String, trim: true },
+  fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+const orderSchema = new Schema({
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'El pedido debe tener al menos una línea']
+  },
+  direccionEnvio: { type: shippingAddressSchema, required: true },
+  total: { type: Number, required: true, min: 0 },
+  estado: {
+    type: String,
+    enum: Object.keys(TRANSICIONES),
+    default: 'pendiente'
+  },
+  historial: [statusHistorySchema]
+}, { timestamps: true });
+
+orderSchema.index({ usuario: 1, createdAt: -1 });
+orderSchema.index({ estado: 1, createdAt: -1 });
+
+orderSchema.statics.TRANSICIONES = TRANSICIONES;
+
+/**
+ * Indica si el pedido puede pasar de su estado actual a `nuevoEstado`.
+ */
+orderSchema.methods.canTransitionTo = function(nuevoEstado) {
+  return (TRANSICIONES[this.estado] || []).includes(nuevoEstado);
+};
+
+/**
+ * Indica si pasar a `nuevoEstado` debe devolver el stock de las líneas.
+ */
+orderSchema.methods.restocksOn = function(nuevoEstado) {
+  return ['cancelado', 'reembolsado'].includes(nuevoEstado) && ESTADOS_SIN_ENVIAR.includes(this.estado);
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Registro de un cambio de precio: del producto (variante null) o del precio propio de una variante.
+const priceHistorySchema = new Schema({
+  producto: { type: Schema.Types.ObjectId, ref: 'Producto', required: true },
+  variante: { type: Schema.Types.ObjectId, default: null },
+  sku: { type: String, default: null },
+  // null cuando el precio se fija por primera vez (creación o importación); también null si la variante no tenía precio propio.
+  precioAnterior: { type: Number, default: null },
+  // null si la variante deja de tener precio propio y vuelve a usar el del producto.
+  precioNuevo: { type: Number, default: null },
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  origen: {
+    type: String,
+    required: true,
+    enum: ['manual', 'importacion', 'masivo']
+  }
+}, { timestamps: true });
+
+priceHistorySchema.index({ producto: 1, createdAt: -1 });
+
+/**
+ * Registra uno o varios cambios de precio. Se omiten los que no cambian el precio.
+ */
+priceHistorySchema.statics.record = async function(changes) {
+  const list = (Array.isArray(changes) ? changes : [changes]).filter(c => c.precioAnterior !== c.precioNuevo);
+  if (list.length === 0) return [];
+  return this.insertMany(list);
+};
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
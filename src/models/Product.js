@@ -1,16 +1,143 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { ean13CheckDigit, isValidEan13 } = require('../utils/barcodes');
+const { applySearchFields, invalidateSearchVocabulary } = require('../utils/productSearch');
+
+// Variante vendible de un producto: una combinación de talla y color con su propio SKU, stock y precio opcional.
+const variantSchema = new Schema({
+  idTalla: { type: Schema.Types.ObjectId, ref: 'Talla', default: null },
+  idColor: { type: Schema.Types.ObjectId, ref: 'Color', default: null },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    // Si no se indica, se genera a partir del _id de la variante.
+    default: function() { return `SKU-${String(this._id).slice(-8).toUpperCase()}`; }
+  },
+  // Código EAN-13 de la variante (opcional). Con 12 dígitos se completa el dígito verificador.
+  // Sin EAN el campo no se guarda (ni siquiera como null).
+  ean: {
+    type: String,
+    trim: true,
+    set: (value) => {
+      if (value === '' || value == null) return undefined;
+      const codigo = String(value).trim();
+      return /^\d{12}$/.test(codigo) ? codigo + ean13CheckDigit(codigo) : codigo;
+    },
+    validate: {
+      validator: (value) => value == null || isValidEan13(value),
+      message: (props) => `"${props.value}" no es un EAN-13 válido (13 dígitos con el dígito verificador correcto).`
+    }
+  },
+  stock: { type: Number, required: true, default: 0, min: 0 },
+  // Precio propio de la variante. Si es null se usa el PrecioVenta del producto.
+  precio: { type: Number, min: 0, default: null }
+});
 
 const productSchema = new Schema({
   NombreProducto: { type: String, required: true },
   PrecioVenta: { type: Number, required: true, min: 0 },
   imagen: { type: String },
+  // Stock total del producto: suma del stock de sus variantes (se recalcula al guardar).
   stock: { type: Number, required: true, default: 0 },
   idMarca: { type: Schema.Types.ObjectId, ref: 'Marca', required: true },
   idModelo: { type: Schema.Types.ObjectId, ref: 'Modelo' },
-  idColor: { type: Schema.Types.ObjectId, ref: 'Color' },
-  idTalla: { type: Schema.Types.ObjectId, ref: 'Talla' }
+  variantes: {
+    type: [variantSchema],
+    validate: [variantes => variantes.length > 0, 'El producto debe tener al menos una variante']
+  },
+  // Umbral de reposición: con stock total igual o menor se avisa a los administradores.
+  // Si es null se usa el umbral global (LOW_STOCK_THRESHOLD).
+  stockMinimo: { type: Number, min: 0, default: null },
+  // Indica que ya se envió la alerta de stock bajo; se reinicia cuando el stock vuelve a superar el umbral.
+  alertaStockBajo: { type: Boolean, default: false },
+  // Campos de búsqueda (ver utils/productSearch.js): nombres de marca, modelo y colores, y las palabras
+  // del producto sin tildes ni mayúsculas. Se recalculan al guardar.
+  textoBusqueda: { type: String, default: '', select: false },
+  palabrasBusqueda: { type: [String], default: [], select: false }
 }, { timestamps: true });
 
+// El SKU es único en todo el catálogo.
+productSchema.index({ 'variantes.sku': 1 }, { unique: true, partialFilterExpression: { 'variantes.sku': { $exists: true } } });
+// El EAN también es único, pero se comprueba al validar (ver abajo) y no con un índice único: en un índice
+// sobre un arreglo, las variantes sin EAN cuentan como null y chocarían entre productos.
+productSchema.index({ 'variantes.ean': 1 });
+productSchema.index({ 'variantes.idColor': 1 });
+productSchema.index({ 'variantes.idTalla': 1 });
+// Búsqueda por texto en español (plurales y tildes incluidos); el nombre pesa más que marca, modelo y colores.
+productSchema.index(
+  { NombreProducto: 'text', textoBusqueda: 'text' },
+  { name: 'busqueda_productos', weights: { NombreProducto: 10, textoBusqueda: 3 }, default_language: 'spanish' }
+);
+// Autocompletado por prefijo y vocabulario para tolerar errores de tipeo.
+productSchema.index({ palabrasBusqueda: 1 });
+
+// Antes de validar: recalcula el stock total y comprueba que no se repitan SKU, EAN ni combinaciones talla/color.
+productSchema.pre('validate', function(next) {
+  this.stock = this.variantes.reduce((sum, variante) => sum + (variante.stock || 0), 0);
+
+  const skus = new Set();
+  const eans = new Set();
+  const combinaciones = new Set();
+  const errores = [];
+  for (const variante of this.variantes) {
+    const combinacion = `${variante.idTalla?._id ?? variante.idTalla ?? ''}|${variante.idColor?._id ?? variante.idColor ?? ''}`;
+    if (variante.ean && eans.has(variante.ean)) errores.push(`El EAN ${variante.ean} está repetido en el producto.`);
+    if (skus.has(variante.sku)) errores.push(`El SKU ${variante.sku} está repetido en el producto.`);
+    if (combinaciones.has(combinacion)) errores.push('Hay dos variantes con la misma talla y color.');
+    if (variante.ean) eans.add(variante.ean);
+    skus.add(variante.sku);
+    combinaciones.add(combinacion);
+  }
+  if (errores.length > 0) {
+    this.invalidate('variantes', [...new Set(errores)].join(' '));
+  }
+  next();
+});
+
+// Antes de validar: comprueba que los EAN no estén asignados a variantes de otros productos.
+productSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('variantes')) return;
+  const eans = [...new Set(this.variantes.map(v => v.ean).filter(Boolean))];
+  if (eans.length === 0) return;
+  const otro = await this.constructor.findOne({ _id: { $ne: this._id }, 'variantes.ean': { $in: eans } }).select('variantes.ean variantes.sku');
+  const duena = otro?.variantes.find(v => eans.includes(v.ean));
+  if (duena) {
+    this.invalidate('variantes', `El EAN ${duena.ean} ya está asignado a la variante ${duena.sku}.`);
+  }
+});
+
+// Antes de guardar: recalcula los campos de búsqueda si cambió el nombre, la marca, el modelo o las variantes.
+productSchema.pre('save', async function() {
+  if (this.isNew || this.isModified(['NombreProducto', 'idMarca', 'idModelo', 'variantes'])) {
+    await applySearchFields(this);
+    this.$locals.palabrasBusquedaCambiaron = this.isNew || this.isModified('palabrasBusqueda');
+  }
+});
+
+// Después de guardar: si cambiaron las palabras de búsqueda, el vocabulario en memoria se vuelve a leer.
+productSchema.post('save', function() {
+  if (this.$locals.palabrasBusquedaCambiaron) {
+    this.$locals.palabrasBusquedaCambiaron = false;
+    invalidateSearchVocabulary();
+  }
+});
+
+/**
+ * Devuelve el precio de venta de una variante: su precio propio o, si no tiene, el del producto.
+ */
+productSchema.methods.variantPrice = function(variante) {
+  return variante && variante.precio != null ? variante.precio : this.PrecioVenta;
+};
+
+/**
+ * Busca una variante por su _id. Si no se indica y el producto tiene una sola variante, devuelve esa.
+ */
+productSchema.methods.findVariant = function(varianteId) {
+  if (!varianteId) {
+    return this.variantes.length === 1 ? this.variantes[0] : null;
+  }
+  return this.variantes.id(varianteId);
+};
 
-module.exports = mongoose.model('Producto', productSchema);
\ No newline at end of file
+module.exports = mongoose.model('Producto', productSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Refresh token de una sesión. Solo se guarda el hash SHA-256 del token, nunca el token en claro.
+// Cada uso lo rota: el token usado queda revocado y se emite uno nuevo de la misma familia.
+const refreshTokenSchema = new Schema({
+  usuario: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Todos los tokens que nacen de un mismo inicio de sesión comparten familia.
+  // Si se reutiliza un token ya rotado, se revoca la familia completa.
+  familia: { type: String, required: true },
+  expiraEn: { type: Date, required: true },
+  revocadoEn: { type: Date, default: null },
+  userAgent: { type: String },
+  ip: { type: String }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ usuario: 1 });
+refreshTokenSchema.index({ familia: 1 });
+// Elimina automáticamente los tokens expirados.
+refreshTokenSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
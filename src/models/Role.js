@@ -7,7 +7,9 @@ const roleSchema = new Schema({
     required: true,
     unique: true,
     enum: ['admin', 'cliente'] 
-  }
+  },
+  // Permisos que otorga el rol (ver config/permissions.js).
+  permisos: [{ type: String }]
 });
 
 module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
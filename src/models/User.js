@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); 
 const { Schema } = mongoose;
 
+// Máximo de direcciones que puede guardar un usuario.
+const MAX_DIRECCIONES = 10;
 
 const addressSchema = new Schema({
   alias: { type: String, default: 'Casa' },
@@ -10,7 +12,7 @@ const addressSchema = new Schema({
   distrito: { type: String, required: true },
   codigoPostal: { type: String },
   esPrincipal: { type: Boolean, default: false }
-}, { _id: false }); 
+}); // Cada dirección tiene su propio _id, para referenciarla de forma estable (ej: al crear un pedido).
 
 const userSchema = new Schema({
   nombre: {
@@ -36,10 +38,50 @@ const userSchema = new Schema({
     ref: 'Role', 
     required: true
   },
-  direcciones: [addressSchema] 
+  direcciones: [addressSchema],
+  // Versión de las sesiones: al incrementarla, todos los access tokens emitidos antes dejan de ser válidos.
+  tokenVersion: { type: Number, default: 0 },
+  // Las cuentas desactivadas no pueden iniciar sesión; se conservan para no perder sus pedidos.
+  activo: { type: Boolean, default: true },
+  desactivadoEn: { type: Date, default: null },
+  // Los clientes que se registran solos empiezan sin verificar; ver PERMISOS_REQUIEREN_VERIFICACION.
+  emailVerificado: { type: Boolean, default: false },
+  // Nuevo email solicitado por el usuario; reemplaza a `email` cuando lo confirma.
+  emailPendiente: { type: String, lowercase: true, trim: true, default: null },
+  verificacionToken: { type: String, select: false },
+  verificacionExpira: { type: Date, select: false },
+  // Verificación en dos pasos (TOTP). El secreto pendiente se guarda durante el enrolamiento, hasta confirmar un código.
+  totpActivo: { type: Boolean, default: false },
+  totpSecreto: { type: String, select: false },
+  totpSecretoPendiente: { type: String, select: false },
+  // Último paso de tiempo aceptado: un mismo código no puede usarse dos veces.
+  totpUltimoPaso: { type: Number, default: -1, select: false },
+  // Hashes SHA-256 de los códigos de recuperación que aún no se usaron.
+  codigosRecuperacion: { type: [String], select: false },
+  // Restablecimiento de contraseña: solo se guarda el hash del token, y se borra al usarlo.
+  resetPasswordToken: { type: String, select: false },
+  resetPasswordExpira: { type: Date, select: false }
 }, {
   timestamps: true
 });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ verificacionToken: 1 }, { sparse: true });
+
+// Mantiene la libreta de direcciones consistente: como máximo MAX_DIRECCIONES y siempre exactamente una principal.
+userSchema.pre('validate', function(next) {
+  if (this.direcciones.length > MAX_DIRECCIONES) {
+    this.invalidate('direcciones', `No puedes guardar más de ${MAX_DIRECCIONES} direcciones`);
+  }
+  const principales = this.direcciones.filter(d => d.esPrincipal);
+  if (this.direcciones.length > 0 && principales.length === 0) {
+    // Si se eliminó o desmarcó la principal, la primera pasa a serlo.
+    this.direcciones[0].esPrincipal = true;
+  } else if (principales.length > 1) {
+    this.invalidate('direcciones', 'Solo puede haber una dirección principal');
+  }
+  next();
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
     return next();
@@ -56,4 +98,6 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.MAX_DIRECCIONES = MAX_DIRECCIONES;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,9 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const invitationController = require('../controllers/invitationController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { protect, authorize, protectTwoFactorEnrollment } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
 
 router.post('/login', authController.loginUser);
-router.post('/register-admin', protect, authController.registerAdmin);
+router.post('/refresh', authController.refreshSession);
+router.post('/logout', authController.logoutUser);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', protect, authController.resendVerification);
 router.post('/register-client', authController.registerClient);
+
+// Verificación en dos pasos (TOTP).
+router.post('/2fa/verify', authController.verifyTwoFactorLogin);
+router.post('/2fa/setup', protectTwoFactorEnrollment, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorEnrollment, twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', protect, twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, twoFactorController.regenerateRecoveryCodes);
+
+// Invitaciones de administradores (reemplazan a 'register-admin').
+router.post('/invitations', protect, authorize(PERMISOS.ADMINS_CREAR), invitationController.createInvitation);
+router.get('/invitations', protect, authorize(PERMISOS.ADMINS_CREAR), invitationController.getInvitations);
+router.delete('/invitations/:id', protect, authorize(PERMISOS.ADMINS_CREAR), invitationController.revokeInvitation);
+router.post('/invitations/:id/resend', protect, authorize(PERMISOS.ADMINS_CREAR), invitationController.resendInvitation);
+router.post('/invitations/accept', invitationController.acceptInvitation);
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { optionalProtect } = require('../middleware/authMiddleware');
+
+// El carrito funciona con o sin sesión: los anónimos se identifican con la cabecera 'X-Cart-Id'.
+router.get('/', optionalProtect, cartController.getCart);
+router.post('/items', optionalProtect, cartController.addItem);
+router.put('/items/:itemId', optionalProtect, cartController.updateItem);
+router.delete('/items/:itemId', optionalProtect, cartController.removeItem);
+router.delete('/', optionalProtect, cartController.clearCart);
+module.exports = router;
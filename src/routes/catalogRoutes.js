@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
 const genericController = require('../controllers/genericController');
 
 // Importa todos tus modelos de catálogo
@@ -12,9 +13,9 @@ const Talla = require('../models/Talla');
 
 const createCrudRoutes = (resource, Model) => {
   router.get(`/${resource}`, genericController.getAll(Model));
-  router.post(`/${resource}`, protect, genericController.createOne(Model));
-  router.put(`/${resource}/:id`, protect, genericController.updateOne(Model));
-  router.delete(`/${resource}/:id`, protect, genericController.deleteOne(Model));
+  router.post(`/${resource}`, protect, authorize(PERMISOS.CATALOGOS_ESCRIBIR), genericController.createOne(Model));
+  router.put(`/${resource}/:id`, protect, authorize(PERMISOS.CATALOGOS_ESCRIBIR), genericController.updateOne(Model));
+  router.delete(`/${resource}/:id`, protect, authorize(PERMISOS.CATALOGOS_ESCRIBIR), genericController.deleteOne(Model));
 };
 // Crea las 4 rutas CRUD automáticamente
 createCrudRoutes('marcas', Marca);
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
+
+router.post('/', protect, authorize(PERMISOS.PEDIDOS_CREAR), orderController.createOrder);
+router.get('/mine', protect, orderController.getMyOrders);
+router.get('/', protect, authorize(PERMISOS.PEDIDOS_GESTIONAR), orderController.getAllOrders);
+router.get('/:id', protect, orderController.getOrderById);
+router.patch('/:id/status', protect, orderController.updateOrderStatus);
+module.exports = router;
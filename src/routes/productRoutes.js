@@ -2,33 +2,43 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
-const { protect } = require('../middleware/authMiddleware');
+const inventoryController = require('../controllers/inventoryController');
+const importJobController = require('../controllers/importJobController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { PERMISOS } = require('../config/permissions');
 const upload = require('../middleware/uploadMiddleware');
 const multer = require('multer');
+const path = require('path');
 
+// Extensiones de la carga masiva; el navegador no siempre envía un mimetype fiable para CSV o NDJSON.
+const EXTENSIONES_CARGA = ['.xlsx', '.xls', '.csv', '.json', '.ndjson', '.jsonl'];
 
 const memoryStorage = multer.memoryStorage();
 const uploadExcel = multer({
   storage: memoryStorage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || file.mimetype === 'application/vnd.ms-excel') {
+    if (EXTENSIONES_CARGA.includes(path.extname(file.originalname).toLowerCase()) || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || file.mimetype === 'application/vnd.ms-excel') {
       cb(null, true);
     } else {
-      cb(new Error('Solo se permiten archivos Excel (.xlsx, .xls)'), false);
+      cb(new Error('Solo se permiten archivos Excel (.xlsx, .xls), CSV (.csv) o JSON (.json, .ndjson)'), false);
     }
   }
 });
 
 router.get('/', productController.getAllProducts);
+router.get('/suggest', productController.suggestProducts);
+router.get('/low-stock', protect, authorize(PERMISOS.INVENTARIO_GESTIONAR), inventoryController.getLowStockReport);
 router.post(
   '/', 
   protect, 
+  authorize(PERMISOS.PRODUCTOS_ESCRIBIR),
   upload.single('imagen'), 
   productController.createProduct 
 );
 router.put(
   '/:id',
   protect,
+  authorize(PERMISOS.PRODUCTOS_ESCRIBIR),
   upload.single('imagen'), 
   productController.updateProduct 
 );
@@ -36,14 +46,35 @@ router.put(
 router.delete(
   '/:id', 
   protect,
+  authorize(PERMISOS.PRODUCTOS_ESCRIBIR),
   productController.deleteProduct 
 );
-router.get('/export', protect, productController.exportProducts);
+router.get('/export', protect, authorize(PERMISOS.PRODUCTOS_EXPORTAR), productController.exportProducts);
+router.get('/catalog.pdf', protect, authorize(PERMISOS.PRODUCTOS_EXPORTAR), productController.getCatalogPdf);
+router.get('/labels.pdf', protect, authorize(PERMISOS.PRODUCTOS_EXPORTAR), productController.getLabelsPdf);
+router.patch('/bulk-price', protect, authorize(PERMISOS.PRODUCTOS_ESCRIBIR), productController.bulkUpdatePrices);
 router.post(
   '/upload',
   protect,
+  authorize(PERMISOS.PRODUCTOS_ESCRIBIR),
   uploadExcel.single('excelFile'), 
   productController.uploadMassProducts
 );
-router.get('/:id/pdf', protect, productController.getProductPdf);
+router.post(
+  '/upload/preview',
+  protect,
+  authorize(PERMISOS.PRODUCTOS_ESCRIBIR),
+  uploadExcel.single('excelFile'),
+  productController.previewMassProducts
+);
+router.get('/import-template', protect, authorize(PERMISOS.PRODUCTOS_ESCRIBIR), productController.getImportTemplate);
+router.get('/import-jobs', protect, authorize(PERMISOS.PRODUCTOS_ESCRIBIR), importJobController.getImportJobs);
+router.get('/import-jobs/:id', protect, authorize(PERMISOS.PRODUCTOS_ESCRIBIR), importJobController.getImportJob);
+router.post('/import-jobs/:id/cancel', protect, authorize(PERMISOS.PRODUCTOS_ESCRIBIR), importJobController.cancelImportJob);
+router.get('/:id/pdf', protect, authorize(PERMISOS.PRODUCTOS_EXPORTAR), productController.getProductPdf);
+router.get('/:id/price-history', protect, authorize(PERMISOS.PRODUCTOS_EXPORTAR), productController.getPriceHistory);
+router.post('/:id/movements', protect, authorize(PERMISOS.INVENTARIO_GESTIONAR), inventoryController.createMovement);
+router.get('/:id/kardex', protect, authorize(PERMISOS.INVENTARIO_GESTIONAR), inventoryController.getKardex);
+router.get('/:id/kardex/export', protect, authorize(PERMISOS.INVENTARIO_GESTIONAR), inventoryController.exportKardex);
+router.post('/:id/kardex/reconcile', protect, authorize(PERMISOS.INVENTARIO_GESTIONAR), inventoryController.reconcileKardex);
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware'); // Protección
+const addressController = require('../controllers/addressController');
+const { protect, authorize } = require('../middleware/authMiddleware'); // Protección
+const { PERMISOS } = require('../config/permissions');
 
 
-router.get('/admins', protect, userController.getAdminUsers);
-router.put('/:id', protect, userController.updateUser);
-router.delete('/:id', protect, userController.deleteUser);
+// Perfil y libreta de direcciones del usuario autenticado.
+router.get('/me', protect, userController.getMe);
+router.put('/me', protect, userController.updateMe);
+router.get('/me/addresses', protect, addressController.getMyAddresses);
+router.post('/me/addresses', protect, addressController.createAddress);
+router.put('/me/addresses/:addressId', protect, addressController.updateAddress);
+router.delete('/me/addresses/:addressId', protect, addressController.deleteAddress);
+
+router.get('/', protect, authorize(PERMISOS.USUARIOS_LEER), userController.getUsers);
+router.get('/admins', protect, authorize(PERMISOS.USUARIOS_LEER), userController.getAdminUsers);
+router.put('/:id', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR), userController.updateUser);
+router.patch('/:id/role', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR, PERMISOS.ADMINS_CREAR), userController.changeUserRole);
+router.patch('/:id/deactivate', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR), userController.deactivateUser);
+router.patch('/:id/reactivate', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR), userController.reactivateUser);
+router.post('/:id/unlock', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR), userController.unlockUser);
+// Compatibilidad: DELETE ya no elimina al usuario, lo desactiva.
+router.delete('/:id', protect, authorize(PERMISOS.USUARIOS_ESCRIBIR), userController.deactivateUser);
 module.exports = router;
\ No newline at end of file
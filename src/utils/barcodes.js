@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Códigos de barras (Code128 y EAN-13) y códigos QR dibujados como vectores con PDFKit.
+ * Todo se genera localmente, sin servicios externos: los códigos de barras se codifican aquí
+ * y el QR usa la matriz que calcula la librería `qrcode`.
+ */
+
+const QRCode = require('qrcode');
+
+// Anchos de barras y espacios de cada símbolo Code128 (valores 0 a 106; 106 es el de parada).
+const PATRONES_CODE128 = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const INICIO_B = 104;
+const INICIO_C = 105;
+const PARADA = 106;
+
+// Codificación de los dígitos EAN-13: juego L (impar), G (par) y R (lado derecho).
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(p => p.replace(/./g, b => (b === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(p => p.split('').reverse().join(''));
+// El primer dígito no se dibuja: define qué juego (L o G) usa cada dígito de la mitad izquierda.
+const PARIDAD_EAN = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Módulos en blanco a cada lado del código para que los lectores lo detecten.
+const ZONA_SILENCIO = { code128: 10, ean13: 9 };
+
+/**
+ * Calcula el dígito verificador EAN-13 de los primeros 12 dígitos.
+ * @function ean13CheckDigit
+ * @param {string} digitos - Los 12 primeros dígitos.
+ * @returns {number}
+ */
+const ean13CheckDigit = (digitos) => {
+    const suma = digitos.slice(0, 12).split('')
+        .reduce((total, d, i) => total + Number(d) * (i % 2 === 0 ? 1 : 3), 0);
+    return (10 - (suma % 10)) % 10;
+};
+
+/**
+ * Indica si un texto es un EAN-13 válido: 13 dígitos con el dígito verificador correcto.
+ * @function isValidEan13
+ * @param {string} codigo - El código a revisar.
+ * @returns {boolean}
+ */
+const isValidEan13 = (codigo) => /^\d{13}$/.test(codigo) && ean13CheckDigit(codigo) === Number(codigo[12]);
+
+/**
+ * Convierte una lista de anchos (barra, espacio, barra...) en módulos: '1' barra, '0' espacio.
+ * @function widthsToModules
+ * @param {string} anchos - Anchos alternados empezando por una barra.
+ * @returns {string}
+ */
+const widthsToModules = (anchos) => anchos.split('')
+    .map((ancho, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(ancho)))
+    .join('');
+
+/**
+ * Codifica un texto en Code128. Usa el juego C (pares de dígitos, más compacto) si el texto es solo
+ * de dígitos y de longitud par; si no, el juego B (ASCII imprimible).
+ * @function encodeCode128
+ * @param {string} texto - El texto a codificar.
+ * @returns {string} Los módulos del código ('1' barra, '0' espacio).
+ * @throws {Error} Si el texto está vacío o tiene caracteres fuera del ASCII imprimible.
+ */
+const encodeCode128 = (texto) => {
+    if (!texto || !/^[\x20-\x7E]+$/.test(texto)) {
+        throw new Error(`"${texto}" no se puede codificar en Code128: solo admite caracteres ASCII imprimibles.`);
+    }
+    const juegoC = /^\d+$/.test(texto) && texto.length % 2 === 0;
+    const valores = juegoC
+        ? texto.match(/\d{2}/g).map(Number)
+        : texto.split('').map(c => c.charCodeAt(0) - 32);
+    const inicio = juegoC ? INICIO_C : INICIO_B;
+    const verificador = valores.reduce((suma, valor, i) => suma + valor * (i + 1), inicio) % 103;
+    return [inicio, ...valores, verificador, PARADA].map(v => widthsToModules(PATRONES_CODE128[v])).join('');
+};
+
+/**
+ * Codifica un EAN-13.
+ * @function encodeEan13
+ * @param {string} codigo - Los 13 dígitos, con el verificador.
+ * @returns {string} Los 95 módulos del código ('1' barra, '0' espacio).
+ * @throws {Error} Si el código no es un EAN-13 válido.
+ */
+const encodeEan13 = (codigo) => {
+    if (!isValidEan13(codigo)) {
+        throw new Error(`"${codigo}" no es un EAN-13 válido.`);
+    }
+    const paridad = PARIDAD_EAN[Number(codigo[0])];
+    const izquierda = codigo.slice(1, 7).split('')
+        .map((d, i) => (paridad[i] === 'L' ? EAN_L : EAN_G)[Number(d)]).join('');
+    const derecha = codigo.slice(7).split('').map(d => EAN_R[Number(d)]).join('');
+    return `101${izquierda}01010${derecha}101`;
+};
+
+/**
+ * Dibuja un código de barras con el texto legible debajo.
+ * En EAN-13 las barras de guarda (inicio, centro y fin) se prolongan sobre el texto, como en los códigos impresos.
+ * @function drawBarcode
+ * @param {PDFDocument} doc - El documento.
+ * @param {object} codigo
+ * @param {string} codigo.tipo - 'code128' o 'ean13'.
+ * @param {string} codigo.valor - El texto o los 13 dígitos a codificar.
+ * @param {number} x - Esquina superior izquierda del área disponible.
+ * @param {number} y - Esquina superior izquierda del área disponible.
+ * @param {number} ancho - Ancho disponible (incluye la zona de silencio).
+ * @param {number} alto - Alto total, incluido el texto.
+ * @throws {Error} Si el valor no se puede codificar en el tipo indicado.
+ */
+const drawBarcode = (doc, { tipo, valor }, x, y, ancho, alto) => {
+    const modulos = tipo === 'ean13' ? encodeEan13(valor) : encodeCode128(valor);
+    const silencio = ZONA_SILENCIO[tipo] ?? ZONA_SILENCIO.code128;
+    const anchoModulo = ancho / (modulos.length + silencio * 2);
+    const tamanoTexto = Math.min(Math.max(alto * 0.2, 5), 9);
+    const altoBarras = alto - tamanoTexto - 1;
+    const esGuarda = (i) => tipo === 'ean13' && (i < 3 || (i >= 45 && i < 50) || i >= 92);
+
+    // Agrupa los módulos consecutivos de barra en un solo rectángulo.
+    const inicioX = x + silencio * anchoModulo;
+    doc.save().fillColor('black');
+    let i = 0;
+    while (i < modulos.length) {
+        if (modulos[i] === '1') {
+            const desde = i;
+            while (i < modulos.length && modulos[i] === '1' && esGuarda(i) === esGuarda(desde)) i++;
+            const altoBarra = esGuarda(desde) ? alto - tamanoTexto / 2 : altoBarras;
+            doc.rect(inicioX + desde * anchoModulo, y, (i - desde) * anchoModulo, altoBarra);
+        } else {
+            i++;
+        }
+    }
+    doc.fill();
+    doc.font('Helvetica').fontSize(tamanoTexto)
+        .text(valor, x, y + altoBarras + 1, { width: ancho, align: 'center', lineBreak: false, characterSpacing: tipo === 'ean13' ? 1 : 0 });
+    doc.restore();
+};
+
+/**
+ * Dibuja un código QR cuadrado.
+ * @function drawQrCode
+ * @param {PDFDocument} doc - El documento.
+ * @param {string} texto - El contenido del QR (por ejemplo, una URL).
+ * @param {number} x - Esquina superior izquierda.
+ * @param {number} y - Esquina superior izquierda.
+ * @param {number} tamano - Lado del QR, sin margen adicional.
+ */
+const drawQrCode = (doc, texto, x, y, tamano) => {
+    const { modules } = QRCode.create(texto, { errorCorrectionLevel: 'M' });
+    const lado = tamano / modules.size;
+    doc.save().fillColor('black');
+    for (let fila = 0; fila < modules.size; fila++) {
+        // Une los módulos oscuros consecutivos de cada fila en un solo rectángulo.
+        let columna = 0;
+        while (columna < modules.size) {
+            if (modules.get(fila, columna)) {
+                const desde = columna;
+                while (columna < modules.size && modules.get(fila, columna)) columna++;
+                doc.rect(x + desde * lado, y + fila * lado, (columna - desde) * lado, lado);
+            } else {
+                columna++;
+            }
+        }
+    }
+    doc.fill();
+    doc.restore();
+};
+
+module.exports = { ean13CheckDigit, isValidEan13, encodeCode128, encodeEan13, drawBarcode, drawQrCode };
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Inicio de la verificación de email: al registrarse un cliente o al cambiar un usuario su email.
+ * El enlace vence a las `VERIFY_EMAIL_HOURS` horas (24 por defecto).
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+const { sendVerificationEmail } = require('../config/mailer');
+require('dotenv').config();
+
+const horasEnv = parseInt(process.env.VERIFY_EMAIL_HOURS, 10);
+const VERIFY_EMAIL_HOURS = isNaN(horasEnv) ? 24 : horasEnv;
+
+/**
+ * Genera un token de verificación nuevo, guarda su hash en el usuario (reemplazando el anterior) y envía el correo.
+ * Con `emailPendiente`, el correo va a esa dirección y el email del usuario solo cambia cuando la confirma.
+ * @async
+ * @function startEmailVerification
+ * @param {mongoose.Document} user - El usuario a verificar.
+ * @param {string} [emailPendiente] - Nuevo email a confirmar (cambio de email).
+ * @returns {Promise<void>}
+ */
+const startEmailVerification = async (user, emailPendiente) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const cambios = { verificacionToken: hashToken(token), verificacionExpira: new Date(Date.now() + VERIFY_EMAIL_HOURS * 60 * 60 * 1000) };
+    if (emailPendiente) {
+        cambios.emailPendiente = emailPendiente;
+    }
+    await User.updateOne({ _id: user._id }, { $set: cambios });
+    sendVerificationEmail({ nombre: user.nombre, email: emailPendiente || user.email }, token, VERIFY_EMAIL_HOURS);
+};
+
+module.exports = { VERIFY_EMAIL_HOURS, startEmailVerification };
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Procesamiento en segundo plano de las cargas masivas de productos.
+ * Cada carga crea un registro ImportJob y se encola; los trabajos se procesan de a uno, en el mismo proceso,
+ * para que dos archivos con los mismos SKU no compitan entre sí. El archivo se conserva solo en memoria:
+ * si el proceso que lo tenía se detiene, el trabajo se marca como fallido. Para distinguir esos trabajos de los que
+ * procesa otra instancia del servidor, cada proceso actualiza periódicamente `latidoEn` en los suyos.
+ * Entre lote y lote se guarda el progreso y se revisa si se pidió cancelar.
+ */
+
+const crypto = require('crypto');
+const ImportJob = require('../models/ImportJob');
+const { readImportFile, validateImport, applyImport } = require('./productImport');
+require('dotenv').config();
+
+// Productos que se guardan por lote antes de actualizar el progreso.
+const loteEnv = parseInt(process.env.IMPORT_BATCH_SIZE, 10);
+const TAMANO_LOTE = isNaN(loteEnv) || loteEnv < 1 ? 50 : loteEnv;
+
+// Filas con errores que se guardan en el trabajo; el resto solo se cuenta en `totalErrores`.
+const MAX_ERRORES_GUARDADOS = 500;
+
+const ESTADOS_ACTIVOS = ['pendiente', 'validando', 'importando'];
+
+// Segundos entre latidos. Un trabajo activo sin latido en 10 intervalos se considera interrumpido.
+const latidoEnv = parseInt(process.env.IMPORT_HEARTBEAT_SECONDS, 10);
+const LATIDO_SEGUNDOS = isNaN(latidoEnv) || latidoEnv < 1 ? 30 : latidoEnv;
+const LATIDOS_PARA_VENCER = 10;
+
+// Identifica a este proceso en los trabajos que encola.
+const INSTANCIA = crypto.randomUUID();
+
+// Cola de trabajos: cada uno empieza cuando termina el anterior.
+let cola = Promise.resolve();
+
+/**
+ * Lista compacta de las filas con problemas de un reporte, para guardar en el trabajo.
+ * @function collectRowErrors
+ * @param {Array<object>} filas - Las filas del reporte de `validateImport` (con `resultado` si ya se aplicó).
+ * @returns {Array<{fila: number, errores: Array<string>}>}
+ */
+const collectRowErrors = (filas) => filas
+    .filter(f => f.estado === 'error' || f.error)
+    .map(f => ({ fila: f.fila, errores: f.error ? [...f.errores, f.error] : f.errores }));
+
+/**
+ * Procesa un trabajo encolado: valida el archivo y aplica la carga por lotes.
+ * Nunca lanza errores: los fallos quedan registrados en el trabajo como estado 'fallido'.
+ * @async
+ * @function runImportJob
+ * @param {string} jobId - ID del trabajo.
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @returns {Promise<void>}
+ */
+const runImportJob = async (jobId, buffer) => {
+    try {
+        // Solo se inicia si sigue pendiente (pudo cancelarse mientras esperaba en la cola).
+        const job = await ImportJob.findOneAndUpdate(
+            { _id: jobId, estado: 'pendiente' },
+            { $set: { estado: 'validando', iniciadoEn: new Date() } },
+            { new: true }
+        );
+        if (!job) return;
+
+        const { headers, rows, primeraFila } = readImportFile(buffer, job.formato);
+        const reporte = await validateImport(headers, rows, { crearCatalogos: job.opciones.crearCatalogos, primeraFila });
+        if (reporte.resumen.total === 0) {
+            throw new Error('El archivo está vacío o solo contiene encabezados.');
+        }
+
+        const erroresValidacion = collectRowErrors(reporte.filas);
+        const validado = await ImportJob.findByIdAndUpdate(jobId, {
+            $set: {
+                estado: 'importando',
+                totalFilas: reporte.resumen.total,
+                procesadas: reporte.resumen.conErrores,
+                omitidos: reporte.resumen.conErrores,
+                errores: erroresValidacion.slice(0, MAX_ERRORES_GUARDADOS),
+                totalErrores: erroresValidacion.length
+            }
+        }, { new: true }).select('cancelacionSolicitada');
+        if (validado.cancelacionSolicitada) {
+            await ImportJob.updateOne({ _id: jobId }, { $set: { estado: 'cancelado', finalizadoEn: new Date() } });
+            return;
+        }
+
+        const resultado = await applyImport(reporte, {
+            userId: job.usuario,
+            tamanoLote: TAMANO_LOTE,
+            onLote: async (avance) => {
+                const actual = await ImportJob.findByIdAndUpdate(jobId, {
+                    $set: {
+                        latidoEn: new Date(),
+                        procesadas: avance.procesadas,
+                        creados: avance.creados,
+                        actualizados: avance.actualizados,
+                        omitidos: avance.omitidos,
+                        productosCreados: avance.productosCreados,
+                        productosActualizados: avance.productosActualizados
+                    }
+                }, { new: true }).select('cancelacionSolicitada');
+                // Cede el turno para que el servidor atienda otras solicitudes entre lotes.
+                await new Promise(resolve => setImmediate(resolve));
+                return !actual.cancelacionSolicitada;
+            }
+        });
+
+        const errores = collectRowErrors(reporte.filas);
+        const final = {
+            procesadas: resultado.procesadas,
+            creados: resultado.creados,
+            actualizados: resultado.actualizados,
+            omitidos: resultado.omitidos,
+            productosCreados: resultado.productosCreados,
+            productosActualizados: resultado.productosActualizados,
+            catalogosCreados: resultado.catalogosCreados.map(c => ({ tipo: c.tipo, id: c._id, nombre: c.nombre })),
+            errores: errores.slice(0, MAX_ERRORES_GUARDADOS),
+            totalErrores: errores.length,
+            finalizadoEn: new Date()
+        };
+        // Se completa solo si nadie pidió cancelar, ni siquiera durante el último lote.
+        const completado = !resultado.detenido && (await ImportJob.updateOne(
+            { _id: jobId, estado: 'importando', cancelacionSolicitada: false },
+            { $set: { ...final, estado: 'completado' } }
+        )).matchedCount > 0;
+        if (!completado) {
+            await ImportJob.updateOne({ _id: jobId, estado: 'importando' }, { $set: { ...final, estado: 'cancelado' } });
+        }
+    } catch (error) {
+        console.error(`Import Job ${jobId} Error:`, error);
+        try {
+            await ImportJob.updateOne({ _id: jobId }, {
+                $set: { estado: 'fallido', mensajeError: error.message, finalizadoEn: new Date() }
+            });
+        } catch (updateError) {
+            console.error(`No se pudo marcar como fallido el trabajo ${jobId}:`, updateError);
+        }
+    }
+};
+
+/**
+ * Crea un trabajo de importación y lo encola para procesarlo en segundo plano.
+ * @async
+ * @function startImportJob
+ * @param {object} datos
+ * @param {Buffer} datos.buffer - El contenido del archivo.
+ * @param {string} datos.archivo - El nombre original del archivo.
+ * @param {string} datos.formato - 'xlsx', 'csv' o 'json' (ver `detectImportFormat`).
+ * @param {object} datos.opciones - Opciones de la carga (`crearCatalogos`).
+ * @param {string} datos.userId - Usuario que sube el archivo.
+ * @returns {Promise<mongoose.Document>} El trabajo creado (estado 'pendiente').
+ */
+const startImportJob = async ({ buffer, archivo, formato, opciones, userId }) => {
+    const job = await ImportJob.create({
+        usuario: userId,
+        archivo: archivo || 'carga.xlsx',
+        formato,
+        opciones: { crearCatalogos: Boolean(opciones && opciones.crearCatalogos) },
+        instancia: INSTANCIA,
+        latidoEn: new Date()
+    });
+    cola = cola.then(() => runImportJob(job._id, buffer));
+    return job;
+};
+
+/**
+ * Marca como fallidos los trabajos activos cuyo proceso dejó de dar latidos (se detuvo o se reinició).
+ * Los trabajos de las demás instancias que siguen vivas no se tocan. El archivo ya no está en memoria,
+ * así que no se pueden retomar.
+ * @async
+ * @function markInterruptedImportJobs
+ * @returns {Promise<void>}
+ */
+const markInterruptedImportJobs = async () => {
+    try {
+        const limite = new Date(Date.now() - LATIDOS_PARA_VENCER * LATIDO_SEGUNDOS * 1000);
+        const result = await ImportJob.updateMany(
+            { estado: { $in: ESTADOS_ACTIVOS }, instancia: { $ne: INSTANCIA }, latidoEn: { $not: { $gte: limite } } },
+            { $set: { estado: 'fallido', mensajeError: 'El servidor se reinició antes de terminar la importación.', finalizadoEn: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`${result.modifiedCount} importación(es) interrumpidas marcadas como fallidas.`);
+        }
+    } catch (error) {
+        console.error('Error al marcar importaciones interrumpidas:', error);
+    }
+};
+
+/**
+ * Renueva el latido de los trabajos activos de este proceso y marca como fallidos los huérfanos.
+ * @async
+ * @function beatImportJobs
+ * @returns {Promise<void>}
+ */
+const beatImportJobs = async () => {
+    try {
+        await ImportJob.updateMany(
+            { instancia: INSTANCIA, estado: { $in: ESTADOS_ACTIVOS } },
+            { $set: { latidoEn: new Date() } }
+        );
+    } catch (error) {
+        console.error('Error al renovar el latido de las importaciones:', error);
+    }
+    await markInterruptedImportJobs();
+};
+
+/**
+ * Revisa al arrancar los trabajos interrumpidos y luego, cada `IMPORT_HEARTBEAT_SECONDS` (30 por defecto),
+ * da el latido de los trabajos de este proceso y vuelve a revisar. El temporizador no impide que el proceso termine.
+ * @function watchImportJobs
+ * @returns {void}
+ */
+const watchImportJobs = () => {
+    markInterruptedImportJobs();
+    setInterval(beatImportJobs, LATIDO_SEGUNDOS * 1000).unref();
+};
+
+module.exports = { ESTADOS_ACTIVOS, startImportJob, markInterruptedImportJobs, watchImportJobs };
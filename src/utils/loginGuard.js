@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Protección del inicio de sesión contra fuerza bruta.
+ * Cuenta los fallos por cuenta (email) y por IP; al llegar al máximo, bloquea esa clave durante
+ * `LOGIN_LOCK_MINUTES` minutos, duplicando la duración en cada bloqueo siguiente (hasta 24 horas).
+ * Límites configurables: `LOGIN_MAX_ATTEMPTS` (por cuenta, 5) y `LOGIN_MAX_ATTEMPTS_IP` (por IP, 20).
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+require('dotenv').config();
+
+const leerEntero = (valor, porDefecto) => {
+    const numero = parseInt(valor, 10);
+    return isNaN(numero) ? porDefecto : numero;
+};
+const MAX_INTENTOS_CUENTA = leerEntero(process.env.LOGIN_MAX_ATTEMPTS, 5);
+const MAX_INTENTOS_IP = leerEntero(process.env.LOGIN_MAX_ATTEMPTS_IP, 20);
+const MINUTOS_BLOQUEO = leerEntero(process.env.LOGIN_LOCK_MINUTES, 5);
+const MAX_MINUTOS_BLOQUEO = 24 * 60;
+
+/**
+ * Arma las claves de conteo de un intento de inicio de sesión.
+ * @function attemptKeys
+ * @param {string} email - El email enviado (se normaliza igual que en el modelo User).
+ * @param {string} ip - La IP de la solicitud (`req.ip`).
+ * @returns {{cuenta: string, ip: string}}
+ */
+const attemptKeys = (email, ip) => ({
+    cuenta: `email:${String(email || '').toLowerCase().trim()}`,
+    ip: `ip:${ip}`
+});
+
+/**
+ * Indica hasta cuándo está bloqueado el inicio de sesión para alguna de las claves.
+ * @async
+ * @function getLockExpiry
+ * @param {Array<string>} claves - Claves a revisar.
+ * @returns {Promise<Date|null>} La fecha de fin del bloqueo más largo vigente, o null si no hay bloqueo.
+ */
+const getLockExpiry = async (claves) => {
+    const bloqueados = await LoginAttempt.find({ clave: { $in: claves }, bloqueadoHasta: { $gt: new Date() } })
+        .sort({ bloqueadoHasta: -1 })
+        .limit(1);
+    return bloqueados.length > 0 ? bloqueados[0].bloqueadoHasta : null;
+};
+
+/**
+ * Registra un fallo para una clave y la bloquea si alcanzó el máximo de intentos.
+ * @async
+ * @function registerFailure
+ * @param {string} clave - Clave de la cuenta o de la IP.
+ * @param {number} maxIntentos - Fallos permitidos antes de bloquear.
+ * @returns {Promise<Date|null>} La fecha de fin del bloqueo si este fallo lo provocó, o null.
+ */
+const registerFailure = async (clave, maxIntentos) => {
+    const registro = await LoginAttempt.findOneAndUpdate(
+        { clave },
+        { $inc: { intentos: 1 } },
+        { upsert: true, new: true }
+    );
+    if (registro.intentos < maxIntentos) return null;
+
+    // Backoff exponencial: 5, 10, 20, 40... minutos, con un tope de 24 horas.
+    const minutos = Math.min(MINUTOS_BLOQUEO * 2 ** registro.bloqueos, MAX_MINUTOS_BLOQUEO);
+    const bloqueadoHasta = new Date(Date.now() + minutos * 60 * 1000);
+    // Condicionado al conteo leído: si dos fallos simultáneos llegan al máximo, solo uno aplica el bloqueo.
+    const bloqueo = await LoginAttempt.updateOne(
+        { _id: registro._id, intentos: registro.intentos },
+        { $set: { intentos: 0, bloqueadoHasta }, $inc: { bloqueos: 1 } }
+    );
+    return bloqueo.modifiedCount === 1 ? bloqueadoHasta : null;
+};
+
+/**
+ * Registra un inicio de sesión fallido en la cuenta y en la IP.
+ * @async
+ * @function recordFailedLogin
+ * @param {{cuenta: string, ip: string}} claves - Claves devueltas por `attemptKeys`.
+ * @returns {Promise<Date|null>} La fecha de fin del bloqueo de la cuenta si este fallo la bloqueó, o null.
+ */
+const recordFailedLogin = async (claves) => {
+    const [bloqueoCuenta] = await Promise.all([
+        registerFailure(claves.cuenta, MAX_INTENTOS_CUENTA),
+        registerFailure(claves.ip, MAX_INTENTOS_IP)
+    ]);
+    return bloqueoCuenta;
+};
+
+/**
+ * Borra los fallos y el bloqueo de una cuenta (después de un inicio de sesión correcto o por un administrador).
+ * Los fallos de la IP se conservan, para que una cuenta válida no sirva para reiniciar el conteo de otras.
+ * @async
+ * @function clearAccountFailures
+ * @param {string} email - Email de la cuenta.
+ * @returns {Promise<boolean>} true si la cuenta tenía fallos o un bloqueo registrado.
+ */
+const clearAccountFailures = async (email) => {
+    const result = await LoginAttempt.deleteOne({ clave: attemptKeys(email).cuenta });
+    return result.deletedCount > 0;
+};
+
+module.exports = { attemptKeys, getLockExpiry, recordFailedLogin, clearAccountFailures };
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Catálogo de productos en PDF para el equipo de ventas.
+ * Arma un documento de varias páginas: portada, índice por marca, los productos de cada marca en una grilla
+ * con su imagen y precio en soles, y números de página. Las imágenes se descargan antes de dibujar,
+ * varias a la vez pero con un límite (`CATALOG_IMAGE_CONCURRENCY`, 6 por defecto).
+ * El catálogo admite hasta `CATALOG_MAX_PRODUCTS` productos (500 por defecto).
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+
+// Descargas de imágenes simultáneas.
+const concurrenciaEnv = parseInt(process.env.CATALOG_IMAGE_CONCURRENCY, 10);
+const CONCURRENCIA_IMAGENES = isNaN(concurrenciaEnv) || concurrenciaEnv < 1 ? 6 : concurrenciaEnv;
+
+// Máximo de productos por catálogo: todas las imágenes se descargan y el PDF se arma en memoria.
+const maxProductosEnv = parseInt(process.env.CATALOG_MAX_PRODUCTS, 10);
+const MAX_PRODUCTOS_CATALOGO = isNaN(maxProductosEnv) || maxProductosEnv < 1 ? 500 : maxProductosEnv;
+
+// Tamaño de página A4 con márgenes de 40 pt; la grilla es de 3 × 3 productos por página.
+const MARGEN = 40;
+const COLUMNAS_GRILLA = 3;
+const FILAS_GRILLA = 3;
+const SEPARACION = 14;
+const ALTO_IMAGEN = 130;
+const ALTO_ENCABEZADO = 34;
+const ALTO_PIE = 24;
+const ENTRADAS_POR_PAGINA_INDICE = 30;
+const COLOR_PRINCIPAL = '#4F46E5';
+const SIN_MARCA = 'Sin marca';
+
+/**
+ * Pide a Cloudinary una versión reducida en JPG de la imagen: PDFKit solo admite JPG y PNG,
+ * y las imágenes originales pueden ser WebP o GIF y mucho más grandes de lo necesario.
+ * Las URLs que no son de Cloudinary se devuelven sin cambios.
+ * @function catalogImageUrl
+ * @param {string} url - URL de la imagen del producto.
+ * @returns {string}
+ */
+const catalogImageUrl = (url) => url.includes('/image/upload/')
+    ? url.replace('/image/upload/', '/image/upload/c_limit,w_400,h_400,f_jpg/')
+    : url;
+
+/**
+ * Descarga las imágenes de los productos con un número máximo de descargas simultáneas.
+ * Una imagen que no se puede descargar queda como `null` (el catálogo muestra un recuadro vacío).
+ * @async
+ * @function fetchImages
+ * @param {Array<string>} urls - URLs de las imágenes (se ignoran las vacías y las repetidas).
+ * @param {number} [concurrencia=CONCURRENCIA_IMAGENES] - Descargas simultáneas.
+ * @returns {Promise<Map<string, Buffer|null>>} Imagen descargada por URL original.
+ */
+const fetchImages = async (urls, concurrencia = CONCURRENCIA_IMAGENES) => {
+    const pendientes = [...new Set(urls.filter(Boolean))];
+    const imagenes = new Map();
+
+    // Cada trabajador toma la siguiente URL pendiente hasta que no quede ninguna.
+    const trabajador = async () => {
+        while (pendientes.length > 0) {
+            const url = pendientes.shift();
+            try {
+                const respuesta = await axios.get(catalogImageUrl(url), { responseType: 'arraybuffer', timeout: 15000 });
+                imagenes.set(url, Buffer.from(respuesta.data));
+            } catch (error) {
+                console.error(`Catálogo: no se pudo descargar la imagen ${url}:`, error.message);
+                imagenes.set(url, null);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrencia, pendientes.length) }, trabajador));
+    return imagenes;
+};
+
+/**
+ * Agrupa los productos por marca, en orden alfabético; los productos sin marca van al final.
+ * Dentro de cada marca se conserva el orden recibido (el de la consulta).
+ * @function groupByMarca
+ * @param {Array<mongoose.Document>} products - Productos con `idMarca` populada.
+ * @returns {Array<{marca: string, productos: Array<mongoose.Document>}>}
+ */
+const groupByMarca = (products) => {
+    const grupos = new Map();
+    for (const product of products) {
+        const marca = product.idMarca?.nombre || SIN_MARCA;
+        if (!grupos.has(marca)) grupos.set(marca, []);
+        grupos.get(marca).push(product);
+    }
+    return [...grupos.entries()]
+        .map(([marca, productos]) => ({ marca, productos }))
+        .sort((a, b) => {
+            if (a.marca === SIN_MARCA) return 1;
+            if (b.marca === SIN_MARCA) return -1;
+            return a.marca.localeCompare(b.marca, 'es');
+        });
+};
+
+/**
+ * Texto del precio de un producto: un solo precio, o el rango si sus variantes tienen precios distintos.
+ * @function priceLabel
+ * @param {mongoose.Document} product - El producto.
+ * @returns {string} Por ejemplo "S/ 120.00" o "S/ 99.90 - S/ 129.90".
+ */
+const priceLabel = (product) => {
+    const precios = product.variantes.length > 0
+        ? product.variantes.map(v => product.variantPrice(v))
+        : [product.PrecioVenta];
+    const minimo = Math.min(...precios);
+    const maximo = Math.max(...precios);
+    return minimo === maximo
+        ? `S/ ${minimo.toFixed(2)}`
+        : `S/ ${minimo.toFixed(2)} - S/ ${maximo.toFixed(2)}`;
+};
+
+/**
+ * Nombres distintos de un catálogo de las variantes (tallas o colores), en el orden en que aparecen.
+ * @function variantNames
+ * @param {mongoose.Document} product - Producto con tallas y colores populados.
+ * @param {string} campo - 'idTalla' o 'idColor'.
+ * @returns {string} Los nombres separados por comas, o '-' si no hay.
+ */
+const variantNames = (product, campo) => {
+    const nombres = [...new Set(product.variantes.map(v => v[campo]?.nombre).filter(Boolean))];
+    return nombres.length > 0 ? nombres.join(', ') : '-';
+};
+
+/**
+ * Dibuja la portada.
+ * @function drawCover
+ * @param {PDFDocument} doc - El documento.
+ * @param {object} datos
+ * @param {string} datos.titulo - Título del catálogo.
+ * @param {number} datos.totalProductos - Cantidad de productos incluidos.
+ * @param {number} datos.totalMarcas - Cantidad de marcas incluidas.
+ */
+const drawCover = (doc, { titulo, totalProductos, totalMarcas }) => {
+    const ancho = doc.page.width - MARGEN * 2;
+    doc.rect(0, 0, doc.page.width, 260).fill(COLOR_PRINCIPAL);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(32)
+        .text(titulo, MARGEN, 150, { width: ancho, align: 'center' });
+
+    const fecha = new Date().toLocaleDateString('es-PE', { day: 'numeric', month: 'long', year: 'numeric' });
+    doc.fillColor('black').font('Helvetica').fontSize(14)
+        .text(fecha, MARGEN, 320, { width: ancho, align: 'center' })
+        .moveDown(0.5)
+        .text(`${totalProductos} producto(s) · ${totalMarcas} marca(s)`, { width: ancho, align: 'center' });
+    doc.fillColor('grey').fontSize(10)
+        .text('Precios en soles (S/), sujetos a cambio sin previo aviso.', MARGEN, doc.page.height - 100, { width: ancho, align: 'center' });
+    doc.fillColor('black');
+};
+
+/**
+ * Dibuja el encabezado de la página de una marca.
+ * @function drawBrandHeader
+ * @param {PDFDocument} doc - El documento.
+ * @param {string} marca - Nombre de la marca.
+ * @param {string|null} destino - Nombre del destino al que enlaza el índice; null en las páginas de continuación.
+ */
+const drawBrandHeader = (doc, marca, destino) => {
+    const ancho = doc.page.width - MARGEN * 2;
+    const opciones = { width: ancho, lineBreak: false, ellipsis: true, ...(destino ? { destination: destino } : {}) };
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLOR_PRINCIPAL)
+        .text(destino ? marca : `${marca} (continuación)`, MARGEN, MARGEN, opciones);
+    doc.moveTo(MARGEN, MARGEN + 24).lineTo(MARGEN + ancho, MARGEN + 24).strokeColor(COLOR_PRINCIPAL).stroke();
+    doc.fillColor('black').strokeColor('black');
+};
+
+/**
+ * Dibuja la tarjeta de un producto en la grilla: imagen, nombre, modelo, precio, tallas y colores.
+ * @function drawProductCard
+ * @param {PDFDocument} doc - El documento.
+ * @param {mongoose.Document} product - El producto.
+ * @param {Buffer|null} imagen - La imagen descargada, o null.
+ * @param {number} x - Esquina superior izquierda de la tarjeta.
+ * @param {number} y - Esquina superior izquierda de la tarjeta.
+ * @param {number} ancho - Ancho de la tarjeta.
+ */
+const drawProductCard = (doc, product, imagen, x, y, ancho) => {
+    doc.rect(x, y, ancho, ALTO_IMAGEN).strokeColor('#DDDDDD').stroke().strokeColor('black');
+    let imagenDibujada = false;
+    if (imagen) {
+        try {
+            doc.image(imagen, x + 4, y + 4, { fit: [ancho - 8, ALTO_IMAGEN - 8], align: 'center', valign: 'center' });
+            imagenDibujada = true;
+        } catch (error) {
+            // Formato que PDFKit no admite: se deja el recuadro vacío.
+            console.error(`Catálogo: imagen no válida para ${product._id}:`, error.message);
+        }
+    }
+    if (!imagenDibujada) {
+        doc.font('Helvetica').fontSize(9).fillColor('grey')
+            .text('(Sin imagen)', x, y + ALTO_IMAGEN / 2 - 5, { width: ancho, align: 'center' });
+    }
+
+    const opciones = { width: ancho, lineBreak: false, ellipsis: true };
+    let textoY = y + ALTO_IMAGEN + 6;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('black')
+        .text(product.NombreProducto, x, textoY, { width: ancho, height: 24, ellipsis: true });
+    textoY += 26;
+    doc.font('Helvetica').fontSize(8).fillColor('grey').text(product.idModelo?.nombre || '', x, textoY, opciones);
+    textoY += 12;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLOR_PRINCIPAL).text(priceLabel(product), x, textoY, opciones);
+    textoY += 15;
+    doc.font('Helvetica').fontSize(8).fillColor('black')
+        .text(`Tallas: ${variantNames(product, 'idTalla')}`, x, textoY, opciones);
+    textoY += 11;
+    doc.text(`Colores: ${variantNames(product, 'idColor')}`, x, textoY, opciones);
+    if (product.stock === 0) {
+        textoY += 11;
+        doc.font('Helvetica-Bold').fillColor('red').text('Agotado', x, textoY, opciones);
+    }
+    doc.fillColor('black');
+};
+
+/**
+ * Dibuja los productos de una marca en la grilla, agregando páginas a medida que se llenan.
+ * La primera página de la marca queda como destino del índice y como marcador del PDF.
+ * @function drawBrandSection
+ * @param {PDFDocument} doc - El documento.
+ * @param {object} grupo - `{ marca, productos }` de `groupByMarca`.
+ * @param {Map<string, Buffer|null>} imagenes - Imágenes descargadas por URL.
+ * @param {string} destino - Nombre del destino de la marca.
+ */
+const drawBrandSection = (doc, { marca, productos }, imagenes, destino) => {
+    const anchoTarjeta = (doc.page.width - MARGEN * 2 - SEPARACION * (COLUMNAS_GRILLA - 1)) / COLUMNAS_GRILLA;
+    const altoDisponible = doc.page.height - MARGEN * 2 - ALTO_ENCABEZADO - ALTO_PIE;
+    const altoTarjeta = (altoDisponible - SEPARACION * (FILAS_GRILLA - 1)) / FILAS_GRILLA;
+    const porPagina = COLUMNAS_GRILLA * FILAS_GRILLA;
+
+    productos.forEach((product, i) => {
+        const posicion = i % porPagina;
+        if (posicion === 0) {
+            doc.addPage();
+            drawBrandHeader(doc, marca, i === 0 ? destino : null);
+            if (i === 0) doc.outline.addItem(marca);
+        }
+        const columna = posicion % COLUMNAS_GRILLA;
+        const fila = Math.floor(posicion / COLUMNAS_GRILLA);
+        const x = MARGEN + columna * (anchoTarjeta + SEPARACION);
+        const y = MARGEN + ALTO_ENCABEZADO + fila * (altoTarjeta + SEPARACION);
+        drawProductCard(doc, product, imagenes.get(product.imagen) || null, x, y, anchoTarjeta);
+    });
+};
+
+/**
+ * Escribe el índice en las páginas reservadas para él: cada marca con su página y un enlace a ella.
+ * @function drawTableOfContents
+ * @param {PDFDocument} doc - El documento (con `bufferPages`).
+ * @param {Array<{marca: string, pagina: number, destino: string, cantidad: number}>} entradas - Las marcas con su página (empezando en 1).
+ * @param {number} primeraPagina - Índice (desde 0) de la primera página reservada.
+ */
+const drawTableOfContents = (doc, entradas, primeraPagina) => {
+    const ancho = doc.page.width - MARGEN * 2;
+    entradas.forEach((entrada, i) => {
+        const posicion = i % ENTRADAS_POR_PAGINA_INDICE;
+        if (posicion === 0) {
+            doc.switchToPage(primeraPagina + Math.floor(i / ENTRADAS_POR_PAGINA_INDICE));
+            doc.font('Helvetica-Bold').fontSize(18).fillColor(COLOR_PRINCIPAL)
+                .text(i === 0 ? 'Índice' : 'Índice (continuación)', MARGEN, MARGEN, { width: ancho });
+            doc.fillColor('black');
+        }
+        const y = MARGEN + ALTO_ENCABEZADO + 6 + posicion * 20;
+        doc.font('Helvetica').fontSize(12)
+            .text(`${entrada.marca} (${entrada.cantidad})`, MARGEN, y, { width: ancho - 60, lineBreak: false, ellipsis: true, goTo: entrada.destino })
+            .text(String(entrada.pagina), MARGEN + ancho - 50, y, { width: 50, align: 'right', lineBreak: false, goTo: entrada.destino });
+    });
+};
+
+/**
+ * Escribe "Página X de Y" al pie de todas las páginas, salvo la portada.
+ * @function drawPageNumbers
+ * @param {PDFDocument} doc - El documento (con `bufferPages`).
+ */
+const drawPageNumbers = (doc) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start + 1; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Sin margen inferior: si no, escribir en el pie haría que PDFKit agregue una página.
+        const margenInferior = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(9).fillColor('grey')
+            .text(`Página ${i + 1} de ${count}`, MARGEN, doc.page.height - MARGEN + 10, { width: doc.page.width - MARGEN * 2, align: 'center', lineBreak: false });
+        doc.page.margins.bottom = margenInferior;
+    }
+    doc.fillColor('black');
+};
+
+/**
+ * Dibuja el catálogo completo. El documento debe crearse con `bufferPages: true`
+ * (el índice y los números de página se escriben al final, cuando ya se conoce la página de cada marca).
+ * No llama a `doc.end()`.
+ * @async
+ * @function buildCatalogPdf
+ * @param {PDFDocument} doc - Documento A4 con `bufferPages: true` y sin página inicial (`autoFirstPage: false`).
+ * @param {Array<mongoose.Document>} products - Productos con marca, modelo, tallas y colores populados.
+ * @param {object} [opciones]
+ * @param {string} [opciones.titulo='Catálogo de Productos'] - Título de la portada.
+ * @returns {Promise<void>}
+ */
+const buildCatalogPdf = async (doc, products, { titulo = 'Catálogo de Productos' } = {}) => {
+    const grupos = groupByMarca(products);
+    const imagenes = await fetchImages(products.map(p => p.imagen));
+
+    doc.addPage();
+    drawCover(doc, { titulo, totalProductos: products.length, totalMarcas: grupos.length });
+
+    // Reserva las páginas del índice; se escriben al final.
+    const primeraPaginaIndice = doc.bufferedPageRange().count;
+    const paginasIndice = Math.max(Math.ceil(grupos.length / ENTRADAS_POR_PAGINA_INDICE), 1);
+    for (let i = 0; i < paginasIndice; i++) doc.addPage();
+
+    const entradas = grupos.map((grupo, i) => {
+        const pagina = doc.bufferedPageRange().count + 1;
+        const destino = `marca-${i}`;
+        drawBrandSection(doc, grupo, imagenes, destino);
+        return { marca: grupo.marca, pagina, destino, cantidad: grupo.productos.length };
+    });
+
+    if (entradas.length === 0) {
+        doc.switchToPage(primeraPaginaIndice);
+        doc.font('Helvetica').fontSize(12).text('No hay productos que coincidan con los filtros.', MARGEN, MARGEN);
+    } else {
+        drawTableOfContents(doc, entradas, primeraPaginaIndice);
+    }
+    drawPageNumbers(doc);
+};
+
+module.exports = { MAX_PRODUCTOS_CATALOGO, fetchImages, buildCatalogPdf };
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Exportación de productos en Excel (.xlsx), CSV y NDJSON, con una fila por variante.
+ * Los archivos se escriben directamente en la respuesta a medida que se leen los productos de la base de datos
+ * (con un cursor), para no armar catálogos grandes en memoria. Si el cliente se desconecta, la lectura se corta.
+ * Las columnas por defecto usan los encabezados (y en NDJSON, las claves) que acepta la carga masiva, así que el archivo
+ * exportado se puede volver a importar. 'Precio (S/)' y 'Stock Mínimo' son solo informativas: la carga las ignora.
+ */
+
+const { once } = require('events');
+const exceljs = require('exceljs');
+
+// Columnas disponibles. `clave` se usa en `?columnas=` y como propiedad en NDJSON.
+const COLUMNAS_EXPORTACION = [
+    { clave: 'id', header: 'ID', width: 28, valor: (p) => String(p._id) },
+    { clave: 'nombre', header: 'Nombre', width: 40, valor: (p) => p.NombreProducto },
+    { clave: 'marca', header: 'Marca', width: 20, valor: (p) => p.idMarca?.nombre ?? null },
+    { clave: 'modelo', header: 'Modelo', width: 20, valor: (p) => p.idModelo?.nombre ?? null },
+    { clave: 'sku', header: 'SKU', width: 18, valor: (p, v) => v.sku },
+    { clave: 'ean', header: 'EAN', width: 16, valor: (p, v) => v.ean ?? null },
+    { clave: 'talla', header: 'Talla', width: 12, valor: (p, v) => v.idTalla?.nombre ?? null },
+    { clave: 'color', header: 'Color', width: 20, valor: (p, v) => v.idColor?.nombre ?? null },
+    // Precio de venta efectivo de la variante (su precio propio o el del producto); informativo, no se importa.
+    { clave: 'precio', header: 'Precio (S/)', width: 15, moneda: true, valor: (p, v) => p.variantPrice(v) },
+    { clave: 'precioVenta', header: 'Precio Venta', width: 15, moneda: true, valor: (p) => p.PrecioVenta },
+    { clave: 'precioVariante', header: 'Precio Variante', width: 15, moneda: true, valor: (p, v) => v.precio ?? null },
+    { clave: 'stock', header: 'Stock', width: 10, valor: (p, v) => v.stock },
+    { clave: 'stockMinimo', header: 'Stock Mínimo', width: 14, valor: (p) => p.stockMinimo ?? null }
+];
+
+// Columnas que se exportan si no se indica `columnas`: todas las que la carga masiva sabe leer.
+const COLUMNAS_POR_DEFECTO = ['id', 'nombre', 'marca', 'modelo', 'sku', 'ean', 'talla', 'color', 'precioVenta', 'precioVariante', 'stock'];
+
+const FORMATOS_EXPORTACION = {
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Lee las columnas pedidas (`?columnas=sku,nombre,stock`).
+ * @function parseExportColumns
+ * @param {string} [columnas] - Claves separadas por comas. Vacío: las columnas por defecto.
+ * @returns {{columnas: Array<object>, desconocidas: Array<string>}} Las columnas en el orden pedido y las claves que no existen.
+ */
+const parseExportColumns = (columnas) => {
+    const claves = columnas
+        ? [...new Set(String(columnas).split(',').map(c => c.trim()).filter(Boolean))]
+        : COLUMNAS_POR_DEFECTO;
+    const porClave = new Map(COLUMNAS_EXPORTACION.map(c => [c.clave.toLowerCase(), c]));
+    return {
+        columnas: claves.map(c => porClave.get(c.toLowerCase())).filter(Boolean),
+        desconocidas: claves.filter(c => !porClave.has(c.toLowerCase()))
+    };
+};
+
+/**
+ * Escribe en la respuesta respetando la contrapresión: si el buffer está lleno, espera a que se vacíe.
+ * @async
+ * @function writeChunk
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {string} chunk - El texto a escribir.
+ * @param {AbortSignal} signal - Se aborta si el cliente se desconecta; la escritura o la espera terminan con error.
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (res, chunk, signal) => {
+    signal.throwIfAborted();
+    if (!res.write(chunk)) {
+        await once(res, 'drain', { signal });
+    }
+};
+
+/**
+ * Formatea un valor como campo CSV: entre comillas si tiene separadores, comillas o saltos de línea.
+ * A los textos que empiezan con =, +, - o @ (salvo los que son solo un número, como "-5") se les antepone
+ * un apóstrofo para que Excel no los ejecute como fórmula; la carga masiva lo quita al leer el CSV.
+ * @function csvField
+ * @param {*} valor - El valor de la celda.
+ * @returns {string}
+ */
+const csvField = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@]/.test(texto) && !/^[+-]\d+([.,]\d+)?$/.test(texto)) {
+        texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Recorre el cursor de productos y llama a `onFila` con los valores de cada variante.
+ * @async
+ * @function forEachVariantRow
+ * @param {mongoose.Cursor} cursor - Cursor de productos con marca, modelo, color y talla populados.
+ * @param {Array<object>} columnas - Las columnas a exportar.
+ * @param {function} onFila - `async (valores) => void`; `valores` sigue el orden de `columnas`.
+ * @param {AbortSignal} signal - Si se aborta, el recorrido termina con error.
+ * @returns {Promise<void>}
+ */
+const forEachVariantRow = async (cursor, columnas, onFila, signal) => {
+    for await (const product of cursor) {
+        signal.throwIfAborted();
+        for (const variante of product.variantes) {
+            await onFila(columnas.map(c => c.valor(product, variante)));
+        }
+    }
+};
+
+/**
+ * Escribe los productos del cursor en la respuesta en el formato indicado.
+ * Las cabeceras HTTP (tipo y nombre de archivo) deben estar definidas antes de llamarla.
+ * Si el cliente se desconecta antes de terminar, deja de leer y termina con error. El cursor se cierra siempre.
+ * @async
+ * @function streamProducts
+ * @param {mongoose.Cursor} cursor - Cursor de productos con marca, modelo, color y talla populados.
+ * @param {Array<object>} columnas - Las columnas a exportar (de `parseExportColumns`).
+ * @param {string} formato - 'xlsx', 'csv' o 'ndjson'.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>}
+ */
+const streamProducts = async (cursor, columnas, formato, res) => {
+    const controlador = new AbortController();
+    const { signal } = controlador;
+    const alCerrar = () => {
+        if (!res.writableFinished) controlador.abort(new Error('El cliente cerró la conexión antes de terminar la exportación.'));
+    };
+    res.once('close', alCerrar);
+
+    try {
+        if (formato === 'csv') {
+            // El BOM hace que Excel abra el archivo como UTF-8 (tildes y ñ).
+            await writeChunk(res, '\uFEFF' + columnas.map(c => csvField(c.header)).join(',') + '\r\n', signal);
+            await forEachVariantRow(cursor, columnas, valores => writeChunk(res, valores.map(csvField).join(',') + '\r\n', signal), signal);
+            res.end();
+            return;
+        }
+
+        if (formato === 'ndjson') {
+            await forEachVariantRow(cursor, columnas, valores => writeChunk(res, JSON.stringify(
+                Object.fromEntries(columnas.map((c, i) => [c.clave, valores[i]]))
+            ) + '\n', signal), signal);
+            res.end();
+            return;
+        }
+
+        // Excel: cada fila se confirma (commit) y se escribe en la respuesta sin guardar el libro completo en memoria.
+        const workbook = new exceljs.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet('Productos');
+        worksheet.columns = columnas.map(c => ({
+            header: c.header,
+            key: c.clave,
+            width: c.width,
+            ...(c.moneda ? { style: { numFmt: '"S/"#,##0.00' } } : {})
+        }));
+        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        worksheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F46E5' } };
+        worksheet.getRow(1).commit();
+        await forEachVariantRow(cursor, columnas, async valores => {
+            worksheet.addRow(valores).commit();
+        }, signal);
+        worksheet.commit();
+        await workbook.commit();
+    } finally {
+        res.off('close', alCerrar);
+        // El recorrido cierra el cursor al terminar; si se cortó antes, se cierra aquí (un cursor ya cerrado no falla).
+        await cursor.close().catch(() => {});
+    }
+};
+
+module.exports = { COLUMNAS_EXPORTACION, FORMATOS_EXPORTACION, parseExportColumns, streamProducts };
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Construcción de los registros de kardex e historial de precios a partir de un cambio de producto.
+ * Los usan la edición manual, la creación y la carga masiva de productos.
+ */
+
+/**
+ * Compara las variantes de un producto antes y después de guardarlo y arma los movimientos de kardex
+ * de cada cambio de stock: 'entrada' para variantes nuevas y 'ajuste' para las editadas o eliminadas.
+ * @function buildStockMovements
+ * @param {Array<object>} before - Variantes antes del cambio (`_id`, `sku`, `stock`). Vacío al crear.
+ * @param {mongoose.Document} product - El producto ya guardado.
+ * @param {string} userId - Usuario que hizo el cambio (`req.userId`).
+ * @param {string} [motivo] - Motivo de los ajustes; por defecto 'Edición manual del producto'.
+ * @returns {Array<object>} Los movimientos a registrar (los que no cambian el stock se descartan al registrar).
+ */
+const buildStockMovements = (before, product, userId, motivo) => {
+    const beforeById = new Map(before.map(v => [String(v._id), v]));
+    const movements = product.variantes.map(variante => {
+        const previous = beforeById.get(String(variante._id));
+        beforeById.delete(String(variante._id));
+        return {
+            producto: product._id,
+            variante: variante._id,
+            sku: variante.sku,
+            tipo: previous ? 'ajuste' : 'entrada',
+            cantidad: variante.stock - (previous ? previous.stock : 0),
+            stockResultante: variante.stock,
+            motivo: previous ? (motivo || 'Edición manual del producto') : 'Stock inicial',
+            usuario: userId
+        };
+    });
+    // Las variantes que ya no están dan de baja todo su stock.
+    beforeById.forEach(variante => movements.push({
+        producto: product._id,
+        variante: variante._id,
+        sku: variante.sku,
+        tipo: 'ajuste',
+        cantidad: -variante.stock,
+        stockResultante: 0,
+        motivo: 'Variante eliminada',
+        usuario: userId
+    }));
+    return movements;
+};
+
+/**
+ * Compara los precios de un producto antes y después de un cambio y arma los registros del historial:
+ * uno para el precio base (`PrecioVenta`) y uno por cada variante cuyo precio propio cambió.
+ * @function buildPriceChanges
+ * @param {object|null} before - Precios antes del cambio (`PrecioVenta` y `variantes` con `_id` y `precio`), o null si el producto es nuevo.
+ * @param {mongoose.Document} product - El producto ya guardado.
+ * @param {string} userId - Usuario que hizo el cambio (`req.userId`).
+ * @param {string} origen - 'manual', 'importacion' o 'masivo'.
+ * @returns {Array<object>} Los registros a guardar (los que no cambian el precio se descartan al registrar).
+ */
+const buildPriceChanges = (before, product, userId, origen) => {
+    const beforeVariants = new Map((before ? before.variantes : []).map(v => [String(v._id), v]));
+    const changes = [{
+        producto: product._id,
+        precioAnterior: before ? before.PrecioVenta : null,
+        precioNuevo: product.PrecioVenta,
+        usuario: userId,
+        origen
+    }];
+    product.variantes.forEach(variante => {
+        const previous = beforeVariants.get(String(variante._id));
+        changes.push({
+            producto: product._id,
+            variante: variante._id,
+            sku: variante.sku,
+            precioAnterior: previous ? previous.precio : null,
+            precioNuevo: variante.precio,
+            usuario: userId,
+            origen
+        });
+    });
+    return changes;
+};
+
+module.exports = { buildStockMovements, buildPriceChanges };
@@ -0,0 +1,858 @@
+/**
+ * @fileoverview Lectura, validación y aplicación de archivos de carga masiva de productos (Excel, CSV, JSON o NDJSON).
+ * Cada fila del archivo es una variante; las filas con el mismo nombre, marca y modelo forman un producto.
+ * Las columnas de marca, modelo, color y talla aceptan el ID o el nombre (sin importar tildes ni mayúsculas).
+ * Una fila actualiza un producto existente si trae su 'Producto ID' o el SKU de una de sus variantes;
+ * si no, crea un producto nuevo.
+ * `validateImport` revisa todas las filas sin escribir nada y devuelve, por fila, su estado
+ * ('ok', 'advertencia' o 'error'), la acción prevista, los mensajes y el producto interpretado.
+ * `applyImport` aplica ese reporte por lotes: solo se procesan las filas sin errores.
+ */
+
+const exceljs = require('exceljs');
+const xlsx = require('xlsx');
+const path = require('path');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const PriceHistory = require('../models/PriceHistory');
+const Marca = require('../models/Marca');
+const Modelo = require('../models/Modelo');
+const Color = require('../models/Color');
+const Talla = require('../models/Talla');
+const { normalizeText } = require('./text');
+const { ean13CheckDigit, isValidEan13 } = require('./barcodes');
+const { buildStockMovements, buildPriceChanges } = require('./productHistory');
+const { checkLowStock } = require('./stockAlerts');
+
+// Encabezados aceptados en el archivo y el campo al que corresponden.
+// Se comparan sin tildes, mayúsculas, espacios ni guiones bajos, así que 'marca', 'Talla Id' o 'precioVenta' también sirven.
+// 'ID' y 'Nombre' son los encabezados de la exportación (ver utils/productExport.js).
+const COLUMNAS_IMPORTACION = {
+    'Producto ID': 'idProducto',
+    'ID Producto': 'idProducto',
+    'ID': 'idProducto',
+    'Nombre Producto': 'NombreProducto',
+    'Nombre': 'NombreProducto',
+    'Precio Venta': 'PrecioVenta',
+    'Marca ID': 'idMarca',
+    'Marca': 'idMarca',
+    'Modelo ID': 'idModelo',
+    'Modelo': 'idModelo',
+    'Color ID': 'idColor',
+    'Color': 'idColor',
+    'Talla ID': 'idTalla',
+    'Talla': 'idTalla',
+    'SKU': 'sku',
+    'EAN': 'ean',
+    'Stock': 'stock',
+    'Precio Variante': 'precio'
+};
+const columnKey = (header) => normalizeText(header).replace(/[\s_]+/g, '');
+const CAMPOS_POR_COLUMNA = new Map(Object.entries(COLUMNAS_IMPORTACION).map(([columna, campo]) => [columnKey(columna), campo]));
+
+// Formatos de archivo aceptados en la carga, por extensión.
+const FORMATOS_IMPORTACION = {
+    '.xlsx': 'xlsx',
+    '.xls': 'xlsx',
+    '.csv': 'csv',
+    '.json': 'json',
+    '.ndjson': 'json',
+    '.jsonl': 'json'
+};
+
+// Catálogos referenciados por cada campo.
+const CATALOGOS = {
+    idMarca: { modelo: Marca, tipo: 'Marca', nombre: 'La marca' },
+    idModelo: { modelo: Modelo, tipo: 'Modelo', nombre: 'El modelo' },
+    idColor: { modelo: Color, tipo: 'Color', nombre: 'El color' },
+    idTalla: { modelo: Talla, tipo: 'Talla', nombre: 'La talla' }
+};
+
+// Motivo de los movimientos de kardex generados por la carga.
+const MOTIVO_CARGA = 'Carga masiva desde Excel';
+
+const esObjectId = (valor) => /^[a-f\d]{24}$/i.test(valor);
+const celdaVacia = (valor) => valor === undefined || valor === null || String(valor).trim() === '';
+const isEmptyRow = (row) => !row || Array.from(row).every(celdaVacia);
+
+/**
+ * Detecta el formato de un archivo de carga por su extensión.
+ * @function detectImportFormat
+ * @param {string} nombreArchivo - El nombre original del archivo.
+ * @returns {string|null} 'xlsx', 'csv' o 'json', o null si la extensión no se acepta.
+ */
+const detectImportFormat = (nombreArchivo) => {
+    const extension = path.extname(String(nombreArchivo || '')).toLowerCase();
+    return FORMATOS_IMPORTACION[extension] || null;
+};
+
+/**
+ * Quita las filas vacías del final y separa los encabezados de los datos.
+ * @function splitHeaders
+ * @param {Array<Array<*>>} jsonData - Todas las filas, empezando por los encabezados.
+ * @returns {{headers: Array<string>, rows: Array<Array<*>>}}
+ */
+const splitHeaders = (jsonData) => {
+    while (jsonData.length > 0 && isEmptyRow(jsonData[jsonData.length - 1])) {
+        jsonData.pop();
+    }
+    if (jsonData.length === 0) {
+        return { headers: [], rows: [] };
+    }
+    return {
+        headers: jsonData[0].map(h => (h ?? '').toString().trim()),
+        rows: jsonData.slice(1)
+    };
+};
+
+/**
+ * Lee los registros de un archivo JSON (array de objetos) o NDJSON (un objeto por línea).
+ * Las propiedades de los objetos hacen de encabezados. En NDJSON se conservan las líneas vacías
+ * para que el número de fila del reporte coincida con el número de línea.
+ * @function readJsonRecords
+ * @param {string} texto - El contenido del archivo.
+ * @returns {{headers: Array<string>, rows: Array<Array<*>>, primeraFila: number}}
+ * @throws {SyntaxError} Si el JSON es inválido o algún registro no es un objeto.
+ */
+const readJsonRecords = (texto) => {
+    let registros;
+    if (texto.startsWith('[')) {
+        registros = JSON.parse(texto);
+    } else {
+        registros = texto.split(/\r?\n/).map((linea, index) => {
+            if (linea.trim() === '') return null;
+            try {
+                return JSON.parse(linea);
+            } catch (error) {
+                throw new SyntaxError(`Línea ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+    registros.forEach((registro, index) => {
+        if (registro !== null && (typeof registro !== 'object' || Array.isArray(registro))) {
+            throw new SyntaxError(`El registro ${index + 1} no es un objeto.`);
+        }
+    });
+
+    const headers = [...new Set(registros.flatMap(r => (r ? Object.keys(r) : [])))];
+    const rows = registros.map(r => (r
+        ? headers.map(h => (r[h] !== null && typeof r[h] === 'object' ? JSON.stringify(r[h]) : r[h]))
+        : []));
+    while (rows.length > 0 && isEmptyRow(rows[rows.length - 1])) {
+        rows.pop();
+    }
+    return { headers, rows, primeraFila: 1 };
+};
+
+/**
+ * Lee un archivo de carga: la primera hoja de un Excel, un CSV (UTF-8, separado por comas o punto y coma)
+ * o un JSON/NDJSON.
+ * Se conservan las filas vacías intermedias para que el número de fila del reporte coincida con el del archivo.
+ * @function readImportFile
+ * @param {Buffer} buffer - El contenido del archivo.
+ * @param {string} [formato='xlsx'] - 'xlsx', 'csv' o 'json' (ver `detectImportFormat`).
+ * @returns {{headers: Array<string>, rows: Array<Array<*>>, primeraFila: number}} Los encabezados, las filas de datos
+ * y el número de fila (o línea) de la primera fila de datos en el archivo.
+ * @throws {SyntaxError} Si un archivo JSON no es válido.
+ */
+const readImportFile = (buffer, formato = 'xlsx') => {
+    if (formato === 'json') {
+        return readJsonRecords(buffer.toString('utf8').replace(/^\uFEFF/, '').trim());
+    }
+    const workbook = formato === 'csv'
+        // raw: los valores se leen como texto (conserva ceros a la izquierda en SKU y tallas).
+        ? xlsx.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+        : xlsx.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    // header: 1 devuelve cada fila como array.
+    let jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: true });
+    if (formato === 'csv') {
+        // Quita el apóstrofo que la exportación CSV antepone a los textos que empiezan con =, +, - o @.
+        jsonData = jsonData.map(fila => fila.map(valor => (typeof valor === 'string' && /^'[=+\-@]/.test(valor) ? valor.slice(1) : valor)));
+    }
+    return { ...splitHeaders(jsonData), primeraFila: 2 };
+};
+
+/**
+ * Interpreta una fila y valida sus formatos (sin consultar la base de datos).
+ * Los campos obligatorios se revisan después, cuando se sabe si la fila crea o actualiza.
+ * @function parseRow
+ * @param {Array<string>} headers - Los encabezados del archivo.
+ * @param {Array<*>} row - Los valores de la fila.
+ * @returns {{datos: object, errores: Array<string>, advertencias: Array<string>}}
+ */
+const parseRow = (headers, row) => {
+    const datos = {};
+    const errores = [];
+    const advertencias = [];
+
+    headers.forEach((header, index) => {
+        const campo = CAMPOS_POR_COLUMNA.get(columnKey(header));
+        const valor = row[index];
+        if (!campo || celdaVacia(valor)) return;
+
+        if (['PrecioVenta', 'precio', 'stock'].includes(campo)) {
+            const numero = Number(String(valor).replace(',', '.').trim());
+            if (isNaN(numero)) {
+                errores.push(`"${header}" debe ser un número (se recibió "${valor}").`);
+            } else if (numero < 0) {
+                errores.push(`"${header}" no puede ser negativo.`);
+            } else if (campo === 'stock' && !Number.isInteger(numero)) {
+                errores.push(`"${header}" debe ser un número entero.`);
+            } else {
+                datos[campo] = numero;
+            }
+        } else {
+            datos[campo] = String(valor).trim();
+        }
+    });
+
+    if (datos.idProducto && !esObjectId(datos.idProducto)) {
+        errores.push(`"${datos.idProducto}" no es un ID de producto válido.`);
+        delete datos.idProducto;
+    }
+    if (datos.sku) {
+        datos.sku = datos.sku.toUpperCase();
+    }
+    if (datos.ean) {
+        // Con 12 dígitos se completa el dígito verificador, como en el modelo.
+        if (/^\d{12}$/.test(datos.ean)) datos.ean += ean13CheckDigit(datos.ean);
+        if (!isValidEan13(datos.ean)) {
+            errores.push(`"${datos.ean}" no es un EAN-13 válido (13 dígitos con el dígito verificador correcto).`);
+            delete datos.ean;
+        }
+    }
+
+    return { datos, errores, advertencias };
+};
+
+/**
+ * Valor de un campo de catálogo para comparar filas: el ID resuelto o, si la entrada se va a crear, su nombre normalizado.
+ * @function catalogKey
+ * @param {object} datos - Datos interpretados de la fila.
+ * @param {string} campo - 'idMarca', 'idModelo', 'idColor' o 'idTalla'.
+ * @returns {string}
+ */
+const catalogKey = (datos, campo) => {
+    if (datos[campo]) return String(datos[campo]);
+    const nuevo = datos.catalogosNuevos && datos.catalogosNuevos[campo];
+    return nuevo ? `nuevo:${normalizeText(nuevo)}` : '';
+};
+
+/**
+ * Clave que agrupa las filas de un mismo producto: el producto existente al que apuntan
+ * o, si es nuevo, su nombre, marca y modelo.
+ * @function productKey
+ * @param {object} datos - Datos interpretados de la fila.
+ * @returns {string}
+ */
+const productKey = (datos) => datos.idProducto
+    ? `id:${datos.idProducto}`
+    : `${normalizeText(datos.NombreProducto)}|${catalogKey(datos, 'idMarca')}|${catalogKey(datos, 'idModelo')}`;
+
+/**
+ * Carga un catálogo completo para resolver sus entradas por ID o por nombre.
+ * @async
+ * @function loadCatalog
+ * @param {mongoose.Model} modelo - Marca, Modelo, Color o Talla.
+ * @returns {Promise<{ids: Set<string>, porNombre: Map<string, string>}>}
+ */
+const loadCatalog = async (modelo) => {
+    const entradas = await modelo.find().select('nombre').sort({ createdAt: 1 });
+    const porNombre = new Map();
+    entradas.forEach(entrada => {
+        const clave = normalizeText(entrada.nombre);
+        if (!porNombre.has(clave)) porNombre.set(clave, String(entrada._id));
+    });
+    return { ids: new Set(entradas.map(e => String(e._id))), porNombre };
+};
+
+/**
+ * Valida todas las filas de un archivo de carga masiva sin escribir nada.
+ * Resuelve marcas, modelos, colores y tallas por ID o por nombre; decide si cada fila crea un producto,
+ * agrega una variante o actualiza una existente (por 'Producto ID' o SKU); y detecta SKUs, EAN o
+ * combinaciones talla/color repetidas en el archivo o EAN que ya usa otra variante.
+ * @async
+ * @function validateImport
+ * @param {Array<string>} headers - Los encabezados del archivo.
+ * @param {Array<Array<*>>} rows - Las filas de datos. Las filas vacías se omiten del reporte.
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.crearCatalogos=false] - Si es true, las marcas, modelos, colores y tallas
+ * que no existan se crearán al importar (advertencia); si no, la fila tiene un error.
+ * @param {number} [opciones.primeraFila=2] - Número de fila de `rows[0]` en el archivo (ver `readImportFile`).
+ * @returns {Promise<object>} `{ filas, resumen, columnasIgnoradas, primeraFila }`. Cada fila:
+ * `{ fila, estado, accion, errores, advertencias, producto }`, donde `fila` es el número de fila en el archivo
+ * y `accion` es 'crear' o 'actualizar' (null si la fila tiene errores).
+ */
+const validateImport = async (headers, rows, { crearCatalogos = false, primeraFila = 2 } = {}) => {
+    const filas = rows
+        .map((row, index) => ({ fila: index + primeraFila, row }))
+        .filter(({ row }) => !isEmptyRow(row))
+        .map(({ fila, row }) => ({ fila, ...parseRow(headers, row) }));
+
+    // Resuelve las entradas de catálogo por ID o por nombre.
+    const catalogos = {};
+    await Promise.all(Object.entries(CATALOGOS).map(async ([campo, { modelo }]) => {
+        catalogos[campo] = await loadCatalog(modelo);
+    }));
+    filas.forEach(({ datos, errores, advertencias }) => {
+        Object.entries(CATALOGOS).forEach(([campo, { nombre }]) => {
+            const valor = datos[campo];
+            if (!valor) return;
+            const { ids, porNombre } = catalogos[campo];
+            if (esObjectId(valor) && ids.has(valor.toLowerCase())) {
+                datos[campo] = valor.toLowerCase();
+            } else if (porNombre.has(normalizeText(valor))) {
+                datos[campo] = porNombre.get(normalizeText(valor));
+            } else if (esObjectId(valor)) {
+                errores.push(`${nombre} con ID ${valor} no existe.`);
+                delete datos[campo];
+            } else if (crearCatalogos) {
+                datos.catalogosNuevos = { ...datos.catalogosNuevos, [campo]: valor };
+                advertencias.push(`Se creará ${nombre.charAt(0).toLowerCase()}${nombre.slice(1)} "${valor}".`);
+                delete datos[campo];
+            } else {
+                errores.push(`${nombre} "${valor}" no existe en el catálogo.`);
+                delete datos[campo];
+            }
+        });
+    });
+
+    // Productos existentes referenciados por ID o por SKU.
+    const idsProducto = [...new Set(filas.map(f => f.datos.idProducto).filter(Boolean))];
+    const skus = [...new Set(filas.map(f => f.datos.sku).filter(Boolean))];
+    const existentes = await Product.find({ $or: [{ _id: { $in: idsProducto } }, { 'variantes.sku': { $in: skus } }] })
+        .select('NombreProducto idMarca idModelo variantes');
+    const productosPorId = new Map(existentes.map(p => [String(p._id), p]));
+    const productoPorSku = new Map();
+    existentes.forEach(p => p.variantes.forEach(v => productoPorSku.set(v.sku, String(p._id))));
+
+    filas.forEach(({ datos, errores }) => {
+        const duenoSku = datos.sku ? productoPorSku.get(datos.sku) : undefined;
+        if (datos.idProducto && !productosPorId.has(datos.idProducto.toLowerCase())) {
+            errores.push(`El producto con ID ${datos.idProducto} no existe.`);
+            delete datos.idProducto;
+        } else if (datos.idProducto) {
+            datos.idProducto = datos.idProducto.toLowerCase();
+            if (duenoSku && duenoSku !== datos.idProducto) {
+                errores.push(`El SKU ${datos.sku} pertenece a otro producto.`);
+            }
+        } else if (duenoSku) {
+            datos.idProducto = duenoSku;
+        }
+    });
+
+    // Las filas sin ID ni SKU conocido se suman al producto existente de otras filas con el mismo nombre, marca y modelo.
+    const destinosPorNombre = new Map();
+    filas.forEach(({ datos }) => {
+        if (!datos.idProducto || !datos.NombreProducto) return;
+        const clave = productKey({ ...datos, idProducto: null });
+        destinosPorNombre.set(clave, (destinosPorNombre.get(clave) || new Set()).add(datos.idProducto));
+    });
+    filas.forEach(({ datos, errores }) => {
+        if (datos.idProducto || !datos.NombreProducto) return;
+        const destinos = destinosPorNombre.get(productKey(datos));
+        if (destinos && destinos.size > 1) {
+            errores.push('Otras filas de este producto apuntan a productos distintos: indica el "Producto ID" o el SKU.');
+        } else if (destinos) {
+            datos.idProducto = [...destinos][0];
+        }
+    });
+
+    // Variantes que ya tienen los EAN del archivo.
+    const eans = [...new Set(filas.map(f => f.datos.ean).filter(Boolean))];
+    const variantePorEan = new Map();
+    if (eans.length > 0) {
+        const conEan = await Product.find({ 'variantes.ean': { $in: eans } }).select('variantes.ean variantes.sku');
+        conEan.forEach(p => p.variantes.forEach(v => v.ean && variantePorEan.set(v.ean, v)));
+    }
+
+    // Productos ya registrados con el mismo nombre, marca y modelo que se crearían de nuevo.
+    const marcas = [...new Set(filas.filter(f => !f.datos.idProducto).map(f => f.datos.idMarca).filter(Boolean))];
+    const productosMismoNombre = new Set();
+    if (marcas.length > 0) {
+        const productos = await Product.find({ idMarca: { $in: marcas } }).select('NombreProducto idMarca idModelo');
+        productos.forEach(p => productosMismoNombre.add(productKey({ NombreProducto: p.NombreProducto, idMarca: p.idMarca, idModelo: p.idModelo })));
+    }
+
+    const primeraFilaSku = new Map();
+    const primeraFilaEan = new Map();
+    const primeraFilaCombinacion = new Map();
+    filas.forEach(f => {
+        const { datos, errores, advertencias } = f;
+        const existente = datos.idProducto ? productosPorId.get(datos.idProducto) : null;
+
+        // Variante existente que actualiza la fila: por SKU o por la misma talla y color.
+        if (existente) {
+            const combinacion = `${catalogKey(datos, 'idTalla')}|${catalogKey(datos, 'idColor')}`;
+            const porSku = datos.sku ? existente.variantes.find(v => v.sku === datos.sku) : null;
+            const porCombinacion = existente.variantes.find(v => `${v.idTalla || ''}|${v.idColor || ''}` === combinacion);
+            if (porSku) {
+                datos.idVariante = String(porSku._id);
+            } else if (porCombinacion && !datos.sku) {
+                datos.idVariante = String(porCombinacion._id);
+            } else if (porCombinacion) {
+                errores.push(`El producto ya tiene esa talla y color con el SKU ${porCombinacion.sku}.`);
+            }
+        }
+
+        // Campos obligatorios al crear un producto o una variante.
+        if (!existente) {
+            if (!datos.NombreProducto) errores.push('Falta "Nombre Producto".');
+            if (datos.PrecioVenta === undefined && !errores.some(e => e.includes('Precio Venta'))) errores.push('Falta "Precio Venta".');
+            if (!catalogKey(datos, 'idMarca') && !errores.some(e => e.startsWith('La marca'))) errores.push('Falta "Marca".');
+        }
+        if (!datos.idVariante && datos.stock === undefined && !errores.some(e => e.includes('"Stock"'))) {
+            errores.push('Falta "Stock".');
+        }
+        if (!datos.idVariante && !datos.sku) {
+            advertencias.push('Sin SKU: se generará uno automáticamente.');
+        }
+        if (!datos.idVariante && datos.stock === 0) {
+            advertencias.push('La variante se creará sin stock.');
+        }
+
+        if (datos.sku) {
+            if (primeraFilaSku.has(datos.sku)) {
+                errores.push(`El SKU ${datos.sku} está repetido (fila ${primeraFilaSku.get(datos.sku)}).`);
+            } else {
+                primeraFilaSku.set(datos.sku, f.fila);
+            }
+        }
+        if (datos.ean) {
+            const duenoEan = variantePorEan.get(datos.ean);
+            if (primeraFilaEan.has(datos.ean)) {
+                errores.push(`El EAN ${datos.ean} está repetido (fila ${primeraFilaEan.get(datos.ean)}).`);
+            } else if (duenoEan && String(duenoEan._id) !== datos.idVariante) {
+                errores.push(`El EAN ${datos.ean} ya está asignado a la variante ${duenoEan.sku}.`);
+            } else {
+                primeraFilaEan.set(datos.ean, f.fila);
+            }
+        }
+
+        if (datos.idProducto || datos.NombreProducto) {
+            const combinacion = datos.idVariante
+                ? `variante:${datos.idVariante}`
+                : `${productKey(datos)}|${catalogKey(datos, 'idTalla')}|${catalogKey(datos, 'idColor')}`;
+            if (primeraFilaCombinacion.has(combinacion)) {
+                errores.push(`Esta variante del producto ya aparece en la fila ${primeraFilaCombinacion.get(combinacion)}.`);
+            } else {
+                primeraFilaCombinacion.set(combinacion, f.fila);
+            }
+        }
+        if (!datos.idProducto && datos.NombreProducto && productosMismoNombre.has(productKey(datos))) {
+            advertencias.push('Ya existe un producto con este nombre, marca y modelo: se creará otro (indica su "Producto ID" o un SKU para actualizarlo).');
+        }
+    });
+
+    const resultado = filas.map(({ fila, datos, errores, advertencias }) => ({
+        fila,
+        estado: errores.length > 0 ? 'error' : (advertencias.length > 0 ? 'advertencia' : 'ok'),
+        accion: errores.length > 0 ? null : (datos.idVariante ? 'actualizar' : 'crear'),
+        errores,
+        advertencias,
+        producto: datos
+    }));
+
+    return {
+        filas: resultado,
+        resumen: {
+            total: resultado.length,
+            validas: resultado.filter(f => f.estado !== 'error').length,
+            conAdvertencias: resultado.filter(f => f.estado === 'advertencia').length,
+            conErrores: resultado.filter(f => f.estado === 'error').length,
+            porCrear: resultado.filter(f => f.accion === 'crear').length,
+            porActualizar: resultado.filter(f => f.accion === 'actualizar').length
+        },
+        columnasIgnoradas: headers.filter(h => h && !CAMPOS_POR_COLUMNA.has(columnKey(h))),
+        primeraFila
+    };
+};
+
+/**
+ * Agrupa las filas válidas (variantes) de productos nuevos por nombre, marca y modelo para formar cada producto.
+ * El precio base es el de la primera fila del producto; si otra fila trae un precio distinto,
+ * se guarda como precio propio de la variante.
+ * @function groupRowsIntoProducts
+ * @param {Array<object>} datosFilas - Los datos interpretados de cada fila válida.
+ * @returns {Array<object>} Los productos listos para crear.
+ */
+const groupRowsIntoProducts = (datosFilas) => {
+    const productsByKey = new Map();
+    datosFilas.forEach(row => {
+        const key = productKey(row);
+        if (!productsByKey.has(key)) {
+            productsByKey.set(key, {
+                NombreProducto: row.NombreProducto,
+                PrecioVenta: row.PrecioVenta,
+                idMarca: row.idMarca,
+                idModelo: row.idModelo || null,
+                variantes: []
+            });
+        }
+        const product = productsByKey.get(key);
+        product.variantes.push({
+            idTalla: row.idTalla || null,
+            idColor: row.idColor || null,
+            ...(row.sku ? { sku: row.sku } : {}),
+            ...(row.ean ? { ean: row.ean } : {}),
+            stock: row.stock,
+            precio: row.precio ?? (row.PrecioVenta !== product.PrecioVenta ? row.PrecioVenta : null)
+        });
+    });
+    return [...productsByKey.values()];
+};
+
+/**
+ * Aplica las filas de un producto existente: actualiza los datos del producto con la primera fila que los trae,
+ * actualiza las variantes indicadas y agrega las nuevas.
+ * @function applyRowsToProduct
+ * @param {mongoose.Document} product - El producto a modificar (sin guardar).
+ * @param {Array<object>} datosFilas - Los datos de las filas del producto.
+ */
+const applyRowsToProduct = (product, datosFilas) => {
+    const conNombre = datosFilas.find(d => d.NombreProducto);
+    const conPrecio = datosFilas.find(d => d.PrecioVenta !== undefined);
+    const conMarca = datosFilas.find(d => d.idMarca);
+    const conModelo = datosFilas.find(d => d.idModelo);
+    if (conNombre) product.NombreProducto = conNombre.NombreProducto;
+    if (conPrecio) product.PrecioVenta = conPrecio.PrecioVenta;
+    if (conMarca) product.idMarca = conMarca.idMarca;
+    if (conModelo) product.idModelo = conModelo.idModelo;
+
+    datosFilas.forEach(row => {
+        // Un 'Precio Venta' distinto al del producto en otra fila es el precio propio de esa variante.
+        const precio = row.precio ?? (row.PrecioVenta !== undefined && row.PrecioVenta !== product.PrecioVenta ? row.PrecioVenta : undefined);
+        const variante = row.idVariante ? product.variantes.id(row.idVariante) : null;
+        if (variante) {
+            if (row.idTalla) variante.idTalla = row.idTalla;
+            if (row.idColor) variante.idColor = row.idColor;
+            if (row.ean) variante.ean = row.ean;
+            if (row.stock !== undefined) variante.stock = row.stock;
+            if (precio !== undefined) variante.precio = precio;
+        } else {
+            product.variantes.push({
+                idTalla: row.idTalla || null,
+                idColor: row.idColor || null,
+                ...(row.sku ? { sku: row.sku } : {}),
+                ...(row.ean ? { ean: row.ean } : {}),
+                stock: row.stock,
+                precio: precio ?? null
+            });
+        }
+    });
+};
+
+/**
+ * Crea las marcas, modelos, colores y tallas marcadas para crear en el reporte y completa sus IDs en las filas.
+ * Si otra solicitud creó la misma entrada mientras tanto, se usa esa.
+ * @async
+ * @function createMissingCatalogs
+ * @param {Array<object>} datosFilas - Los datos de las filas a importar.
+ * @returns {Promise<Array<object>>} Las entradas creadas: `{ tipo, _id, nombre }`.
+ */
+const createMissingCatalogs = async (datosFilas) => {
+    const creados = [];
+    for (const [campo, { modelo, tipo }] of Object.entries(CATALOGOS)) {
+        const pendientes = new Map();
+        datosFilas.forEach(datos => {
+            const nombre = datos.catalogosNuevos && datos.catalogosNuevos[campo];
+            if (nombre && !pendientes.has(normalizeText(nombre))) pendientes.set(normalizeText(nombre), nombre);
+        });
+        if (pendientes.size === 0) continue;
+
+        const { porNombre } = await loadCatalog(modelo);
+        for (const [clave, nombre] of pendientes) {
+            if (!porNombre.has(clave)) {
+                try {
+                    const entrada = await modelo.create({ nombre });
+                    porNombre.set(clave, String(entrada._id));
+                    creados.push({ tipo, _id: entrada._id, nombre: entrada.nombre });
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                    const entrada = await modelo.findOne({ nombre });
+                    porNombre.set(clave, String(entrada._id));
+                }
+            }
+        }
+        datosFilas.forEach(datos => {
+            const nombre = datos.catalogosNuevos && datos.catalogosNuevos[campo];
+            if (nombre) datos[campo] = porNombre.get(normalizeText(nombre));
+        });
+    }
+    datosFilas.forEach(datos => { delete datos.catalogosNuevos; });
+    return creados;
+};
+
+/**
+ * Guarda los productos de un lote de grupos de filas y registra su kardex e historial de precios.
+ * Cada producto se guarda por separado; si uno falla, sus filas se omiten y el resto continúa.
+ * Un producto existente solo se guarda si el stock de sus variantes no cambió desde que se leyó (p. ej., por un pedido);
+ * si cambió, sus filas se omiten para no pisar la venta ni descuadrar el kardex.
+ * @async
+ * @function saveGroups
+ * @param {Array<Array<object>>} grupos - Las filas del reporte agrupadas por producto destino.
+ * @param {string} userId - Usuario que hace la carga.
+ * @param {object} resumen - Contadores a actualizar.
+ * @returns {Promise<void>}
+ */
+const saveGroups = async (grupos, userId, resumen) => {
+    const movimientos = [];
+    const cambiosPrecio = [];
+    const productIds = [];
+
+    for (const filasGrupo of grupos) {
+        const datosFilas = filasGrupo.map(f => f.producto);
+        const idProducto = datosFilas[0].idProducto;
+        try {
+            let product;
+            let before = null;
+            if (idProducto) {
+                product = await Product.findById(idProducto);
+                if (!product) throw new Error('El producto ya no existe.');
+                before = { PrecioVenta: product.PrecioVenta, variantes: product.variantes.map(v => ({ _id: v._id, sku: v.sku, stock: v.stock, precio: v.precio })) };
+                applyRowsToProduct(product, datosFilas);
+                if (before.variantes.length > 0) {
+                    product.$where = {
+                        $and: before.variantes.map(v => ({ variantes: { $elemMatch: { _id: v._id, stock: v.stock } } }))
+                    };
+                }
+            } else {
+                product = new Product(groupRowsIntoProducts(datosFilas)[0]);
+            }
+            await product.save();
+
+            movimientos.push(...buildStockMovements(before ? before.variantes : [], product, userId).map(m => ({ ...m, motivo: MOTIVO_CARGA })));
+            cambiosPrecio.push(...buildPriceChanges(before, product, userId, 'importacion'));
+            productIds.push(product._id);
+            resumen[idProducto ? 'productosActualizados' : 'productosCreados'] += 1;
+            filasGrupo.forEach(f => {
+                f.resultado = f.accion === 'actualizar' ? 'actualizado' : 'creado';
+                f.idProducto = product._id;
+                resumen[f.accion === 'actualizar' ? 'actualizados' : 'creados'] += 1;
+            });
+        } catch (error) {
+            // Errores que la validación previa no puede anticipar (p. ej., un SKU creado mientras tanto).
+            let mensaje = error.message;
+            if (error.code === 11000) {
+                mensaje = 'Uno de los SKU ya está en uso por otro producto.';
+            } else if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+                // El filtro de stock de `$where` no coincidió: otra operación cambió el stock (o borró el producto) mientras tanto.
+                mensaje = 'El stock del producto cambió mientras se importaba. Vuelve a importar estas filas.';
+            }
+            console.warn(`Carga masiva: no se pudo guardar el producto de las filas ${filasGrupo.map(f => f.fila).join(', ')}:`, mensaje);
+            filasGrupo.forEach(f => {
+                f.resultado = 'omitido';
+                f.error = mensaje;
+            });
+            resumen.omitidos += filasGrupo.length;
+        }
+    }
+
+    await InventoryMovement.record(movimientos);
+    await PriceHistory.record(cambiosPrecio);
+    checkLowStock(productIds);
+};
+
+/**
+ * Aplica un reporte de `validateImport`: crea las entradas de catálogo pendientes, crea los productos nuevos
+ * y actualiza los existentes, en lotes de `tamanoLote` productos.
+ * Cada fila del reporte recibe `resultado` ('creado', 'actualizado' u 'omitido'), `idProducto` y, si falló, `error`.
+ * Después de cada lote se llama a `onLote(resumen)`; si devuelve `false`, la carga se detiene
+ * (los lotes ya guardados se conservan y las filas restantes quedan omitidas).
+ * @async
+ * @function applyImport
+ * @param {object} reporte - El resultado de `validateImport`.
+ * @param {object} opciones
+ * @param {string} opciones.userId - Usuario que hace la carga (`req.userId`).
+ * @param {number} [opciones.tamanoLote=50] - Productos por lote.
+ * @param {function} [opciones.onLote] - `async (resumen) => boolean|void`, llamada después de cada lote.
+ * @returns {Promise<object>} `{ creados, actualizados, omitidos, procesadas, productosCreados, productosActualizados, catalogosCreados, detenido }`.
+ */
+const applyImport = async (reporte, { userId, tamanoLote = 50, onLote } = {}) => {
+    const validas = reporte.filas.filter(f => f.estado !== 'error');
+    reporte.filas.filter(f => f.estado === 'error').forEach(f => { f.resultado = 'omitido'; });
+
+    const catalogosCreados = await createMissingCatalogs(validas.map(f => f.producto));
+
+    // Agrupa las filas por producto destino (existente o nuevo).
+    const grupos = new Map();
+    validas.forEach(f => {
+        const clave = productKey(f.producto);
+        if (!grupos.has(clave)) grupos.set(clave, []);
+        grupos.get(clave).push(f);
+    });
+    const listaGrupos = [...grupos.values()];
+
+    const omitidasPorError = reporte.filas.length - validas.length;
+    const resumen = {
+        creados: 0,
+        actualizados: 0,
+        omitidos: omitidasPorError,
+        procesadas: omitidasPorError,
+        productosCreados: 0,
+        productosActualizados: 0,
+        catalogosCreados,
+        detenido: false
+    };
+
+    for (let inicio = 0; inicio < listaGrupos.length; inicio += tamanoLote) {
+        const lote = listaGrupos.slice(inicio, inicio + tamanoLote);
+        await saveGroups(lote, userId, resumen);
+        resumen.procesadas += lote.reduce((total, filasGrupo) => total + filasGrupo.length, 0);
+
+        const continuar = onLote ? await onLote(resumen) : true;
+        if (continuar === false && inicio + tamanoLote < listaGrupos.length) {
+            listaGrupos.slice(inicio + tamanoLote).flat().forEach(f => {
+                f.resultado = 'omitido';
+                f.error = 'La importación se detuvo antes de procesar esta fila.';
+                resumen.omitidos += 1;
+            });
+            resumen.detenido = true;
+            break;
+        }
+    }
+
+    return resumen;
+};
+
+/**
+ * Arma una copia del archivo importado con tres columnas añadidas: Estado, Errores y Advertencias.
+ * Las filas con errores se resaltan en rojo y las que tienen advertencias, en amarillo.
+ * @function buildReportWorkbook
+ * @param {Array<string>} headers - Los encabezados originales.
+ * @param {Array<Array<*>>} rows - Las filas originales.
+ * @param {object} reporte - El resultado de `validateImport`.
+ * @returns {exceljs.Workbook}
+ */
+const buildReportWorkbook = (headers, rows, reporte) => {
+    const workbook = new exceljs.Workbook();
+    const worksheet = workbook.addWorksheet('Validación');
+    worksheet.addRow([...headers, 'Estado', 'Errores', 'Advertencias']);
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    worksheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F46E5' } };
+
+    const colores = { error: 'FFFDE2E2', advertencia: 'FFFEF3C7' };
+    const resultadosPorFila = new Map(reporte.filas.map(f => [f.fila, f]));
+    rows.forEach((row, index) => {
+        const valores = headers.map((_, i) => (row && row[i]) ?? null);
+        const resultado = resultadosPorFila.get(index + reporte.primeraFila);
+        if (!resultado) {
+            worksheet.addRow(valores); // Fila vacía: se copia tal cual.
+            return;
+        }
+        const fila = worksheet.addRow([...valores, resultado.estado, resultado.errores.join('\n'), resultado.advertencias.join('\n')]);
+        if (colores[resultado.estado]) {
+            fila.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: colores[resultado.estado] } };
+        }
+        fila.alignment = { vertical: 'top', wrapText: true };
+    });
+
+    worksheet.columns.forEach((column, i) => {
+        column.width = i >= headers.length ? 45 : 18;
+    });
+    return workbook;
+};
+
+// Columnas de la plantilla de carga, en orden. `lista` indica el catálogo cuyo desplegable usa la columna;
+// `texto`, que la columna tiene formato de texto (Excel no convierte los códigos en números ni quita ceros a la izquierda).
+const COLUMNAS_PLANTILLA = [
+    { header: 'Nombre Producto', width: 30, obligatoria: 'Al crear', descripcion: 'Nombre del producto. Las filas con el mismo nombre, marca y modelo son variantes del mismo producto.' },
+    { header: 'Precio Venta', width: 14, obligatoria: 'Al crear', descripcion: 'Precio base del producto (S/). Si otra fila del mismo producto trae un precio distinto, se usa como precio propio de esa variante.' },
+    { header: 'Marca', width: 20, obligatoria: 'Al crear', descripcion: 'Nombre de la marca (elígela de la lista). También se acepta su ID.', lista: 'idMarca' },
+    { header: 'Modelo', width: 20, obligatoria: 'No', descripcion: 'Nombre del modelo (elígelo de la lista). También se acepta su ID.', lista: 'idModelo' },
+    { header: 'Color', width: 16, obligatoria: 'No', descripcion: 'Color de la variante (elígelo de la lista). También se acepta su ID.', lista: 'idColor' },
+    { header: 'Talla', width: 12, obligatoria: 'No', descripcion: 'Talla de la variante (elígela de la lista). También se acepta su ID.', lista: 'idTalla' },
+    { header: 'SKU', width: 18, obligatoria: 'No', descripcion: 'Código único de la variante. Si ya existe, la fila actualiza esa variante; si se deja vacío, se genera uno.' },
+    { header: 'EAN', width: 16, texto: true, obligatoria: 'No', descripcion: 'Código de barras EAN-13 de la variante (13 dígitos; con 12 se calcula el dígito verificador). Vacío: la variante no tiene EAN o conserva el que tenía.' },
+    { header: 'Stock', width: 10, obligatoria: 'Al crear', descripcion: 'Unidades disponibles (número entero). Al actualizar, reemplaza el stock actual y queda en el kardex como ajuste.' },
+    { header: 'Precio Variante', width: 16, obligatoria: 'No', descripcion: 'Precio propio de la variante (S/). Vacío: se usa el precio base.' },
+    { header: 'Producto ID', width: 28, obligatoria: 'No', descripcion: 'ID de un producto existente para actualizarlo o agregarle variantes. Vacío: se busca por SKU o se crea un producto nuevo.' }
+];
+
+// Filas de la plantilla con desplegables y validación de números.
+const FILAS_PLANTILLA = 1000;
+
+/**
+ * Arma la plantilla de carga masiva: una hoja 'Productos' con los encabezados que espera la importación,
+ * desplegables con las marcas, modelos, colores y tallas actuales (tomados de una hoja oculta 'Listas')
+ * y validación de precios y stock, más una hoja 'Instrucciones' que describe cada columna.
+ * @async
+ * @function buildImportTemplate
+ * @returns {Promise<exceljs.Workbook>}
+ */
+const buildImportTemplate = async () => {
+    const workbook = new exceljs.Workbook();
+    const worksheet = workbook.addWorksheet('Productos', { views: [{ state: 'frozen', ySplit: 1 }] });
+    const instrucciones = workbook.addWorksheet('Instrucciones');
+    const listas = workbook.addWorksheet('Listas', { state: 'hidden' });
+
+    worksheet.columns = COLUMNAS_PLANTILLA.map(c => ({
+        header: c.header,
+        key: c.header,
+        width: c.width,
+        ...(c.texto ? { style: { numFmt: '@' } } : {})
+    }));
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    worksheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F46E5' } };
+
+    // Hoja oculta con una columna por catálogo, ordenada por nombre y sin repetidos.
+    const columnasLista = COLUMNAS_PLANTILLA.filter(c => c.lista);
+    for (const [index, columna] of columnasLista.entries()) {
+        const entradas = await CATALOGOS[columna.lista].modelo.find().select('nombre').sort({ nombre: 1 });
+        const nombresPorClave = new Map();
+        entradas.forEach(e => { if (!nombresPorClave.has(normalizeText(e.nombre))) nombresPorClave.set(normalizeText(e.nombre), e.nombre); });
+        const nombres = [...nombresPorClave.values()];
+        const letraLista = listas.getColumn(index + 1).letter;
+        listas.getCell(`${letraLista}1`).value = columna.header;
+        nombres.forEach((nombre, i) => { listas.getCell(`${letraLista}${i + 2}`).value = nombre; });
+        if (nombres.length === 0) continue;
+
+        const letra = worksheet.getColumn(columna.header).letter;
+        worksheet.dataValidations.add(`${letra}2:${letra}${FILAS_PLANTILLA + 1}`, {
+            type: 'list',
+            allowBlank: true,
+            formulae: [`Listas!$${letraLista}$2:$${letraLista}$${nombres.length + 1}`],
+            // Solo advierte: también se aceptan IDs y, con `crearCatalogos`, nombres nuevos.
+            showErrorMessage: true,
+            errorStyle: 'warning',
+            errorTitle: 'Valor no registrado',
+            error: `No está en la lista de "${columna.header}". Se aceptará solo si es un ID o si la carga crea los catálogos faltantes.`
+        });
+    }
+
+    [['Precio Venta', 'decimal'], ['Stock', 'whole'], ['Precio Variante', 'decimal']].forEach(([header, type]) => {
+        const letra = worksheet.getColumn(header).letter;
+        worksheet.dataValidations.add(`${letra}2:${letra}${FILAS_PLANTILLA + 1}`, {
+            type,
+            operator: 'greaterThanOrEqual',
+            allowBlank: true,
+            formulae: [0],
+            showErrorMessage: true,
+            errorTitle: `${header} inválido`,
+            error: type === 'whole' ? 'Ingresa un número entero mayor o igual a 0.' : 'Ingresa un número mayor o igual a 0.'
+        });
+    });
+
+    instrucciones.columns = [
+        { header: 'Columna', key: 'header', width: 18 },
+        { header: 'Obligatoria', key: 'obligatoria', width: 12 },
+        { header: 'Descripción', key: 'descripcion', width: 100 }
+    ];
+    instrucciones.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    instrucciones.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F46E5' } };
+    COLUMNAS_PLANTILLA.forEach(c => instrucciones.addRow(c));
+    instrucciones.addRow([]);
+    [
+        'Cada fila de la hoja "Productos" es una variante (talla y color) de un producto.',
+        'Marca, modelo, color y talla se comparan sin importar tildes ni mayúsculas.',
+        'Las filas con un SKU o "Producto ID" existente actualizan ese producto; las demás crean productos nuevos.',
+        'Para crear marcas, modelos, colores o tallas que no estén en la lista, activa la opción "crearCatalogos" al subir el archivo.',
+        'Antes de importar puedes validar el archivo con la vista previa: muestra los errores y advertencias de cada fila.'
+    ].forEach(nota => instrucciones.addRow(['', '', nota]));
+    instrucciones.getColumn('descripcion').alignment = { wrapText: true, vertical: 'top' };
+
+    return workbook;
+};
+
+module.exports = { COLUMNAS_IMPORTACION, COLUMNAS_PLANTILLA, buildImportTemplate, detectImportFormat, readImportFile, validateImport, applyImport, groupRowsIntoProducts, buildReportWorkbook };
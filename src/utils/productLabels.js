@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Hojas de etiquetas en PDF para las variantes de los productos (estantes y exhibición).
+ * Cada etiqueta lleva el nombre, la talla y el color, el precio en soles, un código de barras
+ * (Code128 del SKU o EAN-13) y un código QR con el enlace a la página del producto.
+ * Las hojas siguen formatos A4 de etiquetas adhesivas estándar (ver `FORMATOS_ETIQUETAS`).
+ */
+
+const { drawBarcode, drawQrCode } = require('./barcodes');
+require('dotenv').config();
+
+// Enlace de la página del producto en la tienda; `{id}` se reemplaza por el ID del producto.
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://frontend-qxupbs9cn-xaviers-projects-88fe9411.vercel.app').replace(/\/+$/, '');
+const PRODUCT_PAGE_URL = process.env.PRODUCT_PAGE_URL || `${FRONTEND_URL}/products/{id}`;
+
+const MM = 72 / 25.4;
+
+// Formatos A4 (medidas en mm): columnas × filas, tamaño de la etiqueta, margen superior e izquierdo
+// y distancia entre el inicio de una etiqueta y la siguiente (paso).
+const FORMATOS_ETIQUETAS = {
+    L7160: { descripcion: '21 por hoja (63,5 × 38,1 mm)', columnas: 3, filas: 7, ancho: 63.5, alto: 38.1, superior: 15.15, izquierdo: 7.25, pasoX: 66.04, pasoY: 38.1 },
+    L7159: { descripcion: '24 por hoja (63,5 × 33,9 mm)', columnas: 3, filas: 8, ancho: 63.5, alto: 33.9, superior: 12.9, izquierdo: 6.45, pasoX: 66.04, pasoY: 33.9 },
+    L7163: { descripcion: '14 por hoja (99,1 × 38,1 mm)', columnas: 2, filas: 7, ancho: 99.1, alto: 38.1, superior: 15.15, izquierdo: 4.65, pasoX: 101.6, pasoY: 38.1 },
+    L7165: { descripcion: '8 por hoja (99,1 × 67,7 mm)', columnas: 2, filas: 4, ancho: 99.1, alto: 67.7, superior: 13.1, izquierdo: 4.65, pasoX: 101.6, pasoY: 67.7 }
+};
+const FORMATO_POR_DEFECTO = 'L7160';
+
+const TIPOS_CODIGO = ['code128', 'ean13'];
+
+// Máximo de etiquetas por documento.
+const MAX_ETIQUETAS = 2000;
+
+/**
+ * Enlace a la página del producto en la tienda.
+ * @function productPageUrl
+ * @param {string} productId - ID del producto.
+ * @returns {string}
+ */
+const productPageUrl = (productId) => PRODUCT_PAGE_URL.replace('{id}', String(productId));
+
+/**
+ * Código de barras de una variante. Con 'ean13' se usa su EAN si lo tiene; si no, o con 'code128', el SKU.
+ * @function variantBarcode
+ * @param {object} variante - La variante.
+ * @param {string} [tipo='code128'] - 'code128' o 'ean13'.
+ * @returns {{tipo: string, valor: string}}
+ */
+const variantBarcode = (variante, tipo = 'code128') => (tipo === 'ean13' && variante.ean
+    ? { tipo: 'ean13', valor: variante.ean }
+    : { tipo: 'code128', valor: variante.sku });
+
+/**
+ * Arma la lista de etiquetas: una por variante (o `copias` por variante), en el orden de los productos.
+ * @function buildLabels
+ * @param {Array<mongoose.Document>} products - Productos con tallas y colores populados.
+ * @param {object} [opciones]
+ * @param {function} [opciones.incluirVariante] - `(variante) => boolean` para elegir qué variantes imprimir. Por defecto, todas.
+ * @param {number} [opciones.copias=1] - Etiquetas por variante.
+ * @returns {Array<object>} `{ nombre, detalle, precio, variante, url }` por etiqueta.
+ */
+const buildLabels = (products, { incluirVariante = () => true, copias = 1 } = {}) => {
+    const etiquetas = [];
+    products.forEach(product => {
+        product.variantes.filter(incluirVariante).forEach(variante => {
+            const etiqueta = {
+                nombre: product.NombreProducto,
+                detalle: [variante.idTalla?.nombre && `Talla ${variante.idTalla.nombre}`, variante.idColor?.nombre].filter(Boolean).join(' · '),
+                precio: product.variantPrice(variante),
+                variante,
+                url: productPageUrl(product._id)
+            };
+            for (let i = 0; i < copias; i++) etiquetas.push(etiqueta);
+        });
+    });
+    return etiquetas;
+};
+
+/**
+ * Dibuja una etiqueta: textos y QR arriba, código de barras a todo el ancho abajo.
+ * @function drawLabel
+ * @param {PDFDocument} doc - El documento.
+ * @param {object} etiqueta - Etiqueta de `buildLabels`.
+ * @param {number} x - Esquina superior izquierda de la etiqueta.
+ * @param {number} y - Esquina superior izquierda de la etiqueta.
+ * @param {number} ancho - Ancho de la etiqueta.
+ * @param {number} alto - Alto de la etiqueta.
+ * @param {object} opciones - `{ codigo, qr }` (ver `buildLabelSheet`).
+ */
+const drawLabel = (doc, etiqueta, x, y, ancho, alto, { codigo, qr }) => {
+    const relleno = Math.min(ancho, alto) * 0.06;
+    const anchoUtil = ancho - relleno * 2;
+    const altoCodigo = alto * 0.34;
+    const altoSuperior = alto - relleno * 2 - altoCodigo - 3;
+    const ladoQr = qr ? Math.min(altoSuperior, anchoUtil * 0.4) : 0;
+    const anchoTexto = anchoUtil - (qr ? ladoQr + 4 : 0);
+    const escala = alto / (38.1 * MM);
+
+    let textoY = y + relleno;
+    doc.font('Helvetica-Bold').fontSize(8 * escala).fillColor('black')
+        .text(etiqueta.nombre, x + relleno, textoY, { width: anchoTexto, height: 20 * escala, ellipsis: true });
+    textoY += 19 * escala;
+    if (etiqueta.detalle) {
+        doc.font('Helvetica').fontSize(7 * escala)
+            .text(etiqueta.detalle, x + relleno, textoY, { width: anchoTexto, lineBreak: false, ellipsis: true });
+    }
+    doc.font('Helvetica-Bold').fontSize(12 * escala)
+        .text(`S/ ${etiqueta.precio.toFixed(2)}`, x + relleno, y + relleno + altoSuperior - 12 * escala, { width: anchoTexto, lineBreak: false });
+
+    if (qr) {
+        drawQrCode(doc, etiqueta.url, x + ancho - relleno - ladoQr, y + relleno, ladoQr);
+    }
+    try {
+        drawBarcode(doc, variantBarcode(etiqueta.variante, codigo), x + relleno, y + alto - relleno - altoCodigo, anchoUtil, altoCodigo);
+    } catch (error) {
+        // SKU con caracteres que Code128 no admite (p. ej., tildes): se imprime solo el texto.
+        doc.font('Helvetica').fontSize(8 * escala)
+            .text(etiqueta.variante.sku, x + relleno, y + alto - relleno - altoCodigo / 2, { width: anchoUtil, align: 'center', lineBreak: false });
+    }
+};
+
+/**
+ * Dibuja las etiquetas en hojas A4 del formato indicado, agregando páginas a medida que se llenan.
+ * @function buildLabelSheet
+ * @param {PDFDocument} doc - Documento A4 sin página inicial (`autoFirstPage: false`) y sin márgenes.
+ * @param {Array<object>} etiquetas - Etiquetas de `buildLabels`.
+ * @param {object} [opciones]
+ * @param {string} [opciones.formato='L7160'] - Clave de `FORMATOS_ETIQUETAS`.
+ * @param {string} [opciones.codigo='code128'] - 'code128' (SKU) o 'ean13' (EAN si la variante lo tiene).
+ * @param {boolean} [opciones.qr=true] - Si se incluye el código QR.
+ * @param {number} [opciones.inicio=1] - Posición de la primera etiqueta en la primera hoja (para reutilizar hojas ya empezadas).
+ */
+const buildLabelSheet = (doc, etiquetas, { formato = FORMATO_POR_DEFECTO, codigo = 'code128', qr = true, inicio = 1 } = {}) => {
+    const hoja = FORMATOS_ETIQUETAS[formato];
+    const porHoja = hoja.columnas * hoja.filas;
+
+    etiquetas.forEach((etiqueta, i) => {
+        const posicion = (i + inicio - 1) % porHoja;
+        if (i === 0 || posicion === 0) doc.addPage();
+        const columna = posicion % hoja.columnas;
+        const fila = Math.floor(posicion / hoja.columnas);
+        const x = (hoja.izquierdo + columna * hoja.pasoX) * MM;
+        const y = (hoja.superior + fila * hoja.pasoY) * MM;
+        drawLabel(doc, etiqueta, x, y, hoja.ancho * MM, hoja.alto * MM, { codigo, qr });
+    });
+};
+
+module.exports = { FORMATOS_ETIQUETAS, TIPOS_CODIGO, MAX_ETIQUETAS, productPageUrl, variantBarcode, buildLabels, buildLabelSheet };
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Búsqueda de productos por texto.
+ * Cada producto guarda, desnormalizados, los nombres de su marca, modelo y colores (`textoBusqueda`) y la lista
+ * de palabras de esos nombres y del suyo, sin tildes ni mayúsculas (`palabrasBusqueda`).
+ * - El índice de texto de MongoDB (idioma español: plurales y variantes de una palabra coinciden, sin importar tildes)
+ *   sobre el nombre y `textoBusqueda` da la búsqueda con orden por relevancia.
+ * - `palabrasBusqueda` permite el autocompletado por prefijo y la tolerancia a errores de tipeo
+ *   (se agregan a la búsqueda las palabras del catálogo a una o dos letras de distancia). El vocabulario del catálogo
+ *   se guarda en memoria (ver `searchVocabulary`) y la tolerancia se aplica a pocas palabras por búsqueda.
+ * Los campos se recalculan al guardar el producto y al renombrar una marca, modelo o color.
+ */
+
+const mongoose = require('mongoose');
+const { normalizeText, escapeRegex } = require('./text');
+
+// Los modelos se obtienen al usarlos: Product y los catálogos requieren este módulo.
+const model = (nombre) => mongoose.model(nombre);
+
+// Segundos que se reutiliza el vocabulario en memoria. Los cambios de este proceso lo renuevan al momento;
+// el vencimiento cubre los hechos por otras instancias.
+const vocabularioEnv = parseInt(process.env.SEARCH_VOCABULARY_TTL_SECONDS, 10);
+const VOCABULARIO_TTL_SEGUNDOS = isNaN(vocabularioEnv) || vocabularioEnv < 0 ? 300 : vocabularioEnv;
+
+// Tolerancia a errores de tipeo: como máximo estas palabras por búsqueda, y solo las de hasta este largo.
+const MAX_PALABRAS_TOLERANCIA = 5;
+const MAX_LARGO_TOLERANCIA = 30;
+
+// Vocabulario en memoria: `{ palabras: Promise<Array<string>>, venceEn: number }`, o null si hay que leerlo.
+let vocabulario = null;
+
+/**
+ * Separa un texto en palabras sin tildes ni mayúsculas.
+ * @function searchWords
+ * @param {string} texto - El texto.
+ * @returns {Array<string>} Las palabras, sin repetir.
+ */
+const searchWords = (texto) => [...new Set(normalizeText(texto).split(/[^a-z0-9]+/).filter(Boolean))];
+
+/**
+ * Calcula los campos de búsqueda de un producto a partir de los nombres ya resueltos.
+ * @function buildSearchFields
+ * @param {object} nombres
+ * @param {string} nombres.NombreProducto - Nombre del producto.
+ * @param {string} [nombres.marca] - Nombre de la marca.
+ * @param {string} [nombres.modelo] - Nombre del modelo.
+ * @param {Array<string>} [nombres.colores] - Nombres de los colores de las variantes.
+ * @returns {{textoBusqueda: string, palabrasBusqueda: Array<string>}}
+ */
+const buildSearchFields = ({ NombreProducto, marca, modelo, colores = [] }) => {
+    const textoBusqueda = normalizeText([marca, modelo, ...new Set(colores)].filter(Boolean).join(' '));
+    return {
+        textoBusqueda,
+        palabrasBusqueda: searchWords(`${NombreProducto} ${textoBusqueda}`)
+    };
+};
+
+/**
+ * Nombre de una referencia a un catálogo: el del documento si ya está populado o, si no, lo busca.
+ * @async
+ * @function catalogNames
+ * @param {string} nombreModelo - 'Marca', 'Modelo' o 'Color'.
+ * @param {Array<*>} referencias - IDs o documentos populados.
+ * @returns {Promise<Array<string>>}
+ */
+const catalogNames = async (nombreModelo, referencias) => {
+    const presentes = referencias.filter(Boolean);
+    const nombres = presentes.filter(r => r.nombre !== undefined).map(r => r.nombre);
+    const ids = presentes.filter(r => r.nombre === undefined);
+    if (ids.length > 0) {
+        const documentos = await model(nombreModelo).find({ _id: { $in: ids } }).select('nombre');
+        nombres.push(...documentos.map(d => d.nombre));
+    }
+    return nombres;
+};
+
+/**
+ * Recalcula y asigna (sin guardar) los campos de búsqueda de un producto.
+ * @async
+ * @function applySearchFields
+ * @param {mongoose.Document} product - El producto.
+ * @returns {Promise<void>}
+ */
+const applySearchFields = async (product) => {
+    const [[marca], [modelo], colores] = await Promise.all([
+        catalogNames('Marca', [product.idMarca]),
+        catalogNames('Modelo', [product.idModelo]),
+        catalogNames('Color', product.variantes.map(v => v.idColor))
+    ]);
+    Object.assign(product, buildSearchFields({ NombreProducto: product.NombreProducto, marca, modelo, colores }));
+};
+
+/**
+ * Recalcula los campos de búsqueda de los productos que cumplen el filtro (por ejemplo, al renombrar una marca).
+ * Escribe directamente los campos, sin pasar por las validaciones ni el historial del producto.
+ * @async
+ * @function refreshProductSearch
+ * @param {object} filtro - Filtro de productos (vacío: todos).
+ * @returns {Promise<number>} Cantidad de productos actualizados.
+ */
+const refreshProductSearch = async (filtro) => {
+    const Product = model('Producto');
+    const cursor = Product.find(filtro)
+        .select('NombreProducto idMarca idModelo variantes.idColor')
+        .populate('idMarca', 'nombre')
+        .populate('idModelo', 'nombre')
+        .populate('variantes.idColor', 'nombre')
+        .cursor();
+
+    let operaciones = [];
+    let total = 0;
+    for await (const product of cursor) {
+        const campos = buildSearchFields({
+            NombreProducto: product.NombreProducto,
+            marca: product.idMarca?.nombre,
+            modelo: product.idModelo?.nombre,
+            colores: product.variantes.map(v => v.idColor?.nombre).filter(Boolean)
+        });
+        operaciones.push({ updateOne: { filter: { _id: product._id }, update: { $set: campos } } });
+        if (operaciones.length === 500) {
+            await Product.bulkWrite(operaciones);
+            total += operaciones.length;
+            operaciones = [];
+        }
+    }
+    if (operaciones.length > 0) {
+        await Product.bulkWrite(operaciones);
+        total += operaciones.length;
+    }
+    if (total > 0) invalidateSearchVocabulary();
+    return total;
+};
+
+/**
+ * Descarta el vocabulario en memoria para que la próxima búsqueda tolerante lo vuelva a leer.
+ * Se llama al guardar un producto con cambios en sus campos de búsqueda y al renombrar un catálogo.
+ * @function invalidateSearchVocabulary
+ */
+const invalidateSearchVocabulary = () => {
+    vocabulario = null;
+};
+
+/**
+ * Palabras de todos los productos (`palabrasBusqueda`), leídas de la base de datos como mucho una vez
+ * cada `SEARCH_VOCABULARY_TTL_SECONDS` (300 por defecto) mientras no cambie el catálogo.
+ * Las búsquedas simultáneas comparten la misma lectura.
+ * @async
+ * @function searchVocabulary
+ * @returns {Promise<Array<string>>}
+ */
+const searchVocabulary = () => {
+    if (!vocabulario || vocabulario.venceEn <= Date.now()) {
+        const palabras = model('Producto').distinct('palabrasBusqueda').exec();
+        const actual = { palabras, venceEn: Date.now() + VOCABULARIO_TTL_SEGUNDOS * 1000 };
+        vocabulario = actual;
+        // Si la lectura falla, no se guarda el error: la próxima búsqueda lo intenta de nuevo.
+        palabras.catch(() => {
+            if (vocabulario === actual) vocabulario = null;
+        });
+    }
+    return vocabulario.palabras;
+};
+
+/**
+ * Distancia de edición (Levenshtein) entre dos palabras, cortando en cuanto supera `maximo`.
+ * @function editDistance
+ * @param {string} a - Primera palabra.
+ * @param {string} b - Segunda palabra.
+ * @param {number} maximo - Distancia máxima de interés.
+ * @returns {number} La distancia, o `maximo + 1` si es mayor.
+ */
+const editDistance = (a, b, maximo) => {
+    if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+        for (let j = 1; j <= b.length; j++) {
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            minimoFila = Math.min(minimoFila, actual[j]);
+        }
+        if (minimoFila > maximo) return maximo + 1;
+        anterior = actual;
+    }
+    return anterior[b.length];
+};
+
+/**
+ * Errores de tipeo tolerados según el largo de la palabra: ninguno hasta 3 letras, uno hasta 6 y dos desde 7.
+ * @function allowedTypos
+ * @param {string} palabra - La palabra buscada.
+ * @returns {number}
+ */
+const allowedTypos = (palabra) => (palabra.length <= 3 ? 0 : (palabra.length <= 6 ? 1 : 2));
+
+/**
+ * Arma el texto para `$text.$search` a partir de lo que escribió el usuario.
+ * Con `tolerarErrores`, agrega las palabras del catálogo parecidas a cada palabra buscada
+ * (solo a las primeras `MAX_PALABRAS_TOLERANCIA` de hasta `MAX_LARGO_TOLERANCIA` letras).
+ * @async
+ * @function buildTextSearch
+ * @param {string} search - El texto buscado.
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.tolerarErrores=false] - Si se toleran errores de tipeo.
+ * @returns {Promise<string>} Las palabras separadas por espacios (vacío si el texto no tiene palabras).
+ */
+const buildTextSearch = async (search, { tolerarErrores = false } = {}) => {
+    const palabras = searchWords(search);
+    if (!tolerarErrores || palabras.length === 0) return palabras.join(' ');
+
+    const candidatas = palabras.filter(p => p.length <= MAX_LARGO_TOLERANCIA).slice(0, MAX_PALABRAS_TOLERANCIA);
+    const catalogo = await searchVocabulary();
+    const parecidas = candidatas.flatMap(palabra => {
+        const maximo = allowedTypos(palabra);
+        if (maximo === 0) return [];
+        return catalogo.filter(v => v !== palabra && editDistance(palabra, v, maximo) <= maximo);
+    });
+    return [...new Set([...palabras, ...parecidas])].join(' ');
+};
+
+/**
+ * Sugerencias para el autocompletado: productos cuyas palabras empiezan con cada palabra escrita
+ * ("zapa nik" encuentra "Zapatillas Nike"). Primero los que empiezan con el texto escrito, luego los que
+ * lo tienen en el nombre y al final los que coinciden por marca, modelo o color.
+ * @async
+ * @function findSuggestions
+ * @param {string} q - El texto escrito.
+ * @param {number} limite - Cantidad máxima de sugerencias.
+ * @returns {Promise<Array<object>>} `{ _id, NombreProducto, marca, imagen, PrecioVenta }` por producto.
+ */
+const findSuggestions = async (q, limite) => {
+    const palabras = searchWords(q);
+    if (palabras.length === 0) return [];
+
+    const candidatos = await model('Producto')
+        .find({ palabrasBusqueda: { $all: palabras.map(p => new RegExp(`^${escapeRegex(p)}`)) } })
+        .select('NombreProducto idMarca imagen PrecioVenta')
+        .populate('idMarca', 'nombre')
+        .limit(limite * 5);
+
+    const escrito = palabras.join(' ');
+    const prioridad = (product) => {
+        const nombre = searchWords(product.NombreProducto).join(' ');
+        if (nombre.startsWith(escrito)) return 0;
+        if (palabras.every(p => nombre.split(' ').some(n => n.startsWith(p)))) return 1;
+        return 2;
+    };
+    return candidatos
+        .map(product => ({ product, prioridad: prioridad(product) }))
+        .sort((a, b) => a.prioridad - b.prioridad
+            || a.product.NombreProducto.length - b.product.NombreProducto.length
+            || a.product.NombreProducto.localeCompare(b.product.NombreProducto, 'es'))
+        .slice(0, limite)
+        .map(({ product }) => ({
+            _id: product._id,
+            NombreProducto: product.NombreProducto,
+            marca: product.idMarca?.nombre ?? null,
+            imagen: product.imagen ?? null,
+            PrecioVenta: product.PrecioVenta
+        }));
+};
+
+module.exports = {
+    buildSearchFields,
+    applySearchFields,
+    refreshProductSearch,
+    invalidateSearchVocabulary,
+    buildTextSearch,
+    findSuggestions
+};
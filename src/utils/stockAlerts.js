@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Detección de productos con stock bajo y envío de alertas a los administradores.
+ * Cada producto tiene su propio umbral (`stockMinimo`) o usa el global `LOW_STOCK_THRESHOLD`.
+ * Una vez enviada la alerta de un producto, no se repite hasta que su stock vuelva a superar el umbral.
+ */
+
+const Product = require('../models/Product');
+const { sendLowStockEmail } = require('../config/mailer');
+require('dotenv').config();
+
+// Umbral global de reposición para los productos sin `stockMinimo` propio.
+const umbralEnv = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+const UMBRAL_STOCK_BAJO = isNaN(umbralEnv) ? 5 : umbralEnv;
+
+/**
+ * Filtro de MongoDB para los productos cuyo stock total está en o por debajo de su umbral.
+ * @function lowStockFilter
+ * @returns {object} El filtro con `$expr`.
+ */
+const lowStockFilter = () => ({
+    $expr: { $lte: ['$stock', { $ifNull: ['$stockMinimo', UMBRAL_STOCK_BAJO] }] }
+});
+
+/**
+ * Revisa el stock de los productos indicados después de un cambio (edición, importación, venta o ajuste).
+ * Los que cruzaron su umbral hacia abajo y aún no tenían alerta se marcan y se notifican en un solo correo;
+ * los que volvieron a superar el umbral quedan listos para una nueva alerta.
+ * Nunca lanza errores: está pensada para llamarse sin `await` después de responder.
+ * @async
+ * @function checkLowStock
+ * @param {Array<string|mongoose.Types.ObjectId>} productIds - IDs de los productos cuyo stock cambió.
+ * @returns {Promise<void>}
+ */
+const checkLowStock = async (productIds) => {
+    try {
+        if (!productIds || productIds.length === 0) return;
+        const products = await Product.find({ _id: { $in: productIds } })
+            .select('NombreProducto stock stockMinimo alertaStockBajo');
+
+        const toNotify = [];
+        for (const product of products) {
+            const umbral = product.stockMinimo ?? UMBRAL_STOCK_BAJO;
+            if (product.stock <= umbral && !product.alertaStockBajo) {
+                // Marca la alerta de forma condicionada: si dos cambios simultáneos cruzan el umbral, solo uno notifica.
+                // `$ne: true` incluye a los productos guardados antes de existir el campo.
+                const claimed = await Product.updateOne({ _id: product._id, alertaStockBajo: { $ne: true } }, { $set: { alertaStockBajo: true } });
+                if (claimed.modifiedCount === 1) {
+                    toNotify.push({ _id: product._id, NombreProducto: product.NombreProducto, stock: product.stock, umbral });
+                }
+            } else if (product.stock > umbral && product.alertaStockBajo) {
+                await Product.updateOne({ _id: product._id }, { $set: { alertaStockBajo: false } });
+            }
+        }
+
+        if (toNotify.length > 0) {
+            await sendLowStockEmail(toNotify);
+        }
+    } catch (error) {
+        console.error('Error al revisar el stock bajo:', error);
+    }
+};
+
+module.exports = { UMBRAL_STOCK_BAJO, lowStockFilter, checkLowStock };
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Utilidades de texto compartidas.
+ */
+
+/**
+ * Normaliza un texto para compararlo sin importar tildes, mayúsculas ni espacios repetidos.
+ * Ej: '  San Martín  de Porres' → 'san martin de porres'.
+ * @function normalizeText
+ * @param {string} value - El texto a normalizar.
+ * @returns {string} El texto normalizado (vacío si `value` es null o undefined).
+ */
+const normalizeText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Escapa los caracteres especiales de un texto para usarlo literalmente dentro de una expresión regular.
+ * @function escapeRegex
+ * @param {string} value - El texto a escapar.
+ * @returns {string} El texto escapado.
+ */
+const escapeRegex = (value) => String(value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escapa los caracteres especiales de HTML para insertar un texto en un correo o documento HTML.
+ * @function escapeHtml
+ * @param {*} value - El valor a escapar.
+ * @returns {string} El texto escapado (vacío si `value` es null o undefined).
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+module.exports = { normalizeText, escapeRegex, escapeHtml };
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Emisión y rotación de los tokens de sesión.
+ * El access token es un JWT de corta duración (`ACCESS_TOKEN_EXPIRES`, por defecto 15 minutos) que incluye
+ * la versión de sesiones del usuario (`tv`); al incrementar `tokenVersion` todos sus access tokens dejan de valer.
+ * El refresh token es un valor aleatorio guardado como hash en la colección RefreshToken (`REFRESH_TOKEN_DAYS`, por defecto 30 días).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { ROLES_REQUIEREN_2FA } = require('../config/permissions');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES = process.env.ACCESS_TOKEN_EXPIRES || '15m';
+const diasEnv = parseInt(process.env.REFRESH_TOKEN_DAYS, 10);
+const REFRESH_TOKEN_DAYS = isNaN(diasEnv) ? 30 : diasEnv;
+
+/**
+ * Calcula el hash con el que se guarda (y se busca) un refresh token.
+ * @function hashToken
+ * @param {string} token - El token en claro.
+ * @returns {string} El hash SHA-256 en hexadecimal.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Firma un access token para el usuario.
+ * @function signAccessToken
+ * @param {mongoose.Document} user - El usuario (con `tokenVersion`).
+ * @param {string} roleName - Nombre del rol ('admin', 'cliente').
+ * @returns {string} El JWT.
+ */
+const signAccessToken = (user, roleName) => jwt.sign(
+    { id: user._id, role: roleName, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES }
+);
+
+/**
+ * Firma un token de desafío de corta duración (5 minutos) para los pasos intermedios del inicio de sesión
+ * con verificación en dos pasos. `protect` no lo acepta como access token.
+ * @function signChallengeToken
+ * @param {mongoose.Document} user - El usuario que superó la contraseña.
+ * @param {string} tipo - '2fa' (falta el código) o '2fa-enrolamiento' (debe activar la verificación en dos pasos).
+ * @returns {string} El JWT.
+ */
+const signChallengeToken = (user, tipo) => jwt.sign(
+    { id: user._id, tipo, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+/**
+ * Verifica un token de desafío y su tipo.
+ * @function verifyChallengeToken
+ * @param {string} token - El token recibido.
+ * @param {string} tipo - Tipo esperado.
+ * @returns {object|null} El payload, o null si no es válido, expiró o es de otro tipo.
+ */
+const verifyChallengeToken = (token, tipo) => {
+    try {
+        const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+        return payload.tipo === tipo ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Indica si el usuario debe activar la verificación en dos pasos antes de recibir una sesión:
+ * su rol la exige (`ROLES_REQUIEREN_2FA`) y aún no la activó.
+ * @function requiresTwoFactorEnrollment
+ * @param {mongoose.Document} user - El usuario (con `totpActivo`).
+ * @param {string} roleName - Nombre de su rol.
+ * @returns {boolean}
+ */
+const requiresTwoFactorEnrollment = (user, roleName) => ROLES_REQUIEREN_2FA.includes(roleName) && !user.totpActivo;
+
+/**
+ * Respuesta para quien debe activar la verificación en dos pasos: solo el token de desafío
+ * para `POST /api/auth/2fa/setup` y `/2fa/enable`, sin sesión.
+ * @function enrollmentChallenge
+ * @param {mongoose.Document} user - El usuario.
+ * @returns {{requiereEnrolamiento2FA: boolean, challengeToken: string, message: string}}
+ */
+const enrollmentChallenge = (user) => ({
+    requiereEnrolamiento2FA: true,
+    challengeToken: signChallengeToken(user, '2fa-enrolamiento'),
+    message: 'Tu rol exige la verificación en dos pasos. Configúrala para continuar.'
+});
+
+/**
+ * Crea y guarda un refresh token nuevo.
+ * @async
+ * @function createRefreshToken
+ * @param {string|mongoose.Types.ObjectId} userId - ID del usuario.
+ * @param {string} familia - Familia de la sesión.
+ * @param {object} req - Solicitud de Express, para guardar el user-agent y la IP.
+ * @returns {Promise<string>} El refresh token en claro (solo se entrega una vez al cliente).
+ */
+const createRefreshToken = async (userId, familia, req) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        usuario: userId,
+        tokenHash: hashToken(token),
+        familia,
+        expiraEn: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req.headers['user-agent'],
+        ip: req.ip
+    });
+    return token;
+};
+
+/**
+ * Inicia una sesión nueva: emite un access token y un refresh token de una familia nueva.
+ * Si el rol del usuario exige la verificación en dos pasos y aún no la activó, no emite la sesión
+ * y devuelve el desafío de enrolamiento (ver `enrollmentChallenge`).
+ * @async
+ * @function issueSession
+ * @param {mongoose.Document} user - El usuario autenticado (con `totpActivo`).
+ * @param {string} roleName - Nombre de su rol.
+ * @param {object} req - Solicitud de Express.
+ * @returns {Promise<{token: string, refreshToken: string}|{requiereEnrolamiento2FA: boolean, challengeToken: string, message: string}>}
+ */
+const issueSession = async (user, roleName, req) => {
+    if (requiresTwoFactorEnrollment(user, roleName)) {
+        return enrollmentChallenge(user);
+    }
+    return {
+        token: signAccessToken(user, roleName),
+        refreshToken: await createRefreshToken(user._id, crypto.randomUUID(), req)
+    };
+};
+
+/**
+ * Rota un refresh token: lo revoca y emite un par de tokens nuevo en la misma familia.
+ * Si el token ya estaba revocado (posible robo y reutilización), revoca toda la familia.
+ * Si el rol del usuario exige la verificación en dos pasos y aún no la activó, cierra la sesión
+ * y devuelve solo el desafío de enrolamiento.
+ * @async
+ * @function rotateRefreshToken
+ * @param {string} token - El refresh token en claro enviado por el cliente.
+ * @param {object} req - Solicitud de Express.
+ * @returns {Promise<object|null>} `{ user, token, refreshToken }`, `{ user, ...enrollmentChallenge }`, o null si el token no es válido.
+ */
+const rotateRefreshToken = async (token, req) => {
+    // Revoca el token de forma condicionada: si dos solicitudes lo usan a la vez, solo una lo rota.
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), revocadoEn: null, expiraEn: { $gt: new Date() } },
+        { $set: { revocadoEn: new Date() } }
+    );
+
+    if (!stored) {
+        const reused = await RefreshToken.findOne({ tokenHash: hashToken(token), revocadoEn: { $ne: null } });
+        if (reused) {
+            await RefreshToken.updateMany({ familia: reused.familia, revocadoEn: null }, { $set: { revocadoEn: new Date() } });
+            console.warn(`Refresh token reutilizado; se revocó la sesión ${reused.familia} del usuario ${reused.usuario}.`);
+        }
+        return null;
+    }
+
+    const user = await User.findById(stored.usuario).populate('idRol');
+    if (!user || !user.idRol || user.activo === false) return null;
+
+    if (requiresTwoFactorEnrollment(user, user.idRol.nombre)) {
+        await RefreshToken.updateMany({ familia: stored.familia, revocadoEn: null }, { $set: { revocadoEn: new Date() } });
+        return { user, ...enrollmentChallenge(user) };
+    }
+
+    return {
+        user,
+        token: signAccessToken(user, user.idRol.nombre),
+        refreshToken: await createRefreshToken(user._id, stored.familia, req)
+    };
+};
+
+/**
+ * Revoca la sesión (familia) a la que pertenece un refresh token vigente.
+ * Un token ya rotado, revocado o vencido no cuenta: quien lo tenga no puede cerrar sesiones con él.
+ * @async
+ * @function revokeRefreshToken
+ * @param {string} token - El refresh token en claro.
+ * @returns {Promise<mongoose.Document|null>} El token encontrado, o null si no existe o ya no está vigente.
+ */
+const revokeRefreshToken = async (token) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)), revocadoEn: null, expiraEn: { $gt: new Date() } });
+    if (!stored) return null;
+    await RefreshToken.updateMany({ familia: stored.familia, revocadoEn: null }, { $set: { revocadoEn: new Date() } });
+    return stored;
+};
+
+/**
+ * Cierra todas las sesiones de un usuario: revoca sus refresh tokens e invalida sus access tokens
+ * incrementando `tokenVersion`. Usar al cambiar la contraseña, el rol o al desactivar la cuenta.
+ * @async
+ * @function revokeUserSessions
+ * @param {string|mongoose.Types.ObjectId} userId - ID del usuario.
+ * @returns {Promise<void>}
+ */
+const revokeUserSessions = async (userId) => {
+    await RefreshToken.updateMany({ usuario: userId, revocadoEn: null }, { $set: { revocadoEn: new Date() } });
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRES,
+    hashToken,
+    signAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    requiresTwoFactorEnrollment,
+    enrollmentChallenge,
+    issueSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions
+};
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Implementación de TOTP (RFC 6238) compatible con Google Authenticator, Authy, etc.:
+ * HMAC-SHA1, códigos de 6 dígitos y pasos de 30 segundos. También genera los códigos de recuperación.
+ */
+
+const crypto = require('crypto');
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PASO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+/**
+ * Codifica bytes en base32 (RFC 4648, sin relleno), el formato que esperan las apps de autenticación.
+ * @function base32Encode
+ * @param {Buffer} buffer - Los bytes a codificar.
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let resultado = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        resultado += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return resultado;
+};
+
+/**
+ * Decodifica un texto en base32 (ignora espacios, guiones y relleno).
+ * @function base32Decode
+ * @param {string} texto - El texto en base32.
+ * @returns {Buffer}
+ */
+const base32Decode = (texto) => {
+    const limpio = texto.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const caracter of limpio) {
+        const valor = ALFABETO_BASE32.indexOf(caracter);
+        if (valor === -1) throw new Error('Secreto base32 inválido');
+        bits += valor.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto aleatorio de 160 bits en base32.
+ * @function generateSecret
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula el código TOTP de un paso de tiempo.
+ * @function totpCode
+ * @param {string} secreto - El secreto en base32.
+ * @param {number} paso - Número de paso (segundos desde epoch / 30).
+ * @returns {string} El código de 6 dígitos.
+ */
+const totpCode = (secreto, paso) => {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(paso));
+    const hmac = crypto.createHmac('sha1', base32Decode(secreto)).update(contador).digest();
+    // Truncamiento dinámico (RFC 4226, sección 5.3).
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const numero = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITOS;
+    return String(numero).padStart(DIGITOS, '0');
+};
+
+/**
+ * Verifica un código TOTP aceptando un paso de desfase hacia atrás o adelante (relojes desincronizados).
+ * @function verifyTotp
+ * @param {string} secreto - El secreto en base32.
+ * @param {string} codigo - El código ingresado por el usuario.
+ * @param {number} [ultimoPaso] - Último paso ya usado; los pasos anteriores o iguales se rechazan (evita reutilizar un código).
+ * @returns {number|null} El paso que coincidió, o null si el código no es válido.
+ */
+const verifyTotp = (secreto, codigo, ultimoPaso = -1) => {
+    const limpio = String(codigo || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(limpio)) return null;
+    const pasoActual = Math.floor(Date.now() / 1000 / PASO_SEGUNDOS);
+    for (const paso of [pasoActual - 1, pasoActual, pasoActual + 1]) {
+        if (paso <= ultimoPaso) continue;
+        const esperado = totpCode(secreto, paso);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) return paso;
+    }
+    return null;
+};
+
+/**
+ * Arma la URI otpauth:// que las apps de autenticación leen desde el código QR.
+ * @function buildOtpauthUri
+ * @param {string} secreto - El secreto en base32.
+ * @param {string} cuenta - Nombre de la cuenta (el email del usuario).
+ * @param {string} [emisor='XaviStore'] - Nombre del servicio que muestra la app.
+ * @returns {string}
+ */
+const buildOtpauthUri = (secreto, cuenta, emisor = 'XaviStore') => {
+    const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+    const parametros = new URLSearchParams({ secret: secreto, issuer: emisor, algorithm: 'SHA1', digits: String(DIGITOS), period: String(PASO_SEGUNDOS) });
+    return `otpauth://totp/${etiqueta}?${parametros}`;
+};
+
+/**
+ * Genera códigos de recuperación de un solo uso con el formato 'xxxxx-xxxxx'.
+ * @function generateRecoveryCodes
+ * @param {number} [cantidad=10] - Cuántos códigos generar.
+ * @returns {Array<string>}
+ */
+const generateRecoveryCodes = (cantidad = 10) => Array.from({ length: cantidad }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+module.exports = { base32Encode, base32Decode, generateSecret, totpCode, verifyTotp, buildOtpauthUri, generateRecoveryCodes };
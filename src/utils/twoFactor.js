@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Comprobación del segundo factor de un usuario con la verificación en dos pasos activa:
+ * un código TOTP de su app de autenticación o uno de sus códigos de recuperación.
+ * Ambos se consumen de forma atómica, para que no puedan usarse dos veces.
+ */
+
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+const { verifyTotp } = require('./totp');
+
+/**
+ * Comprueba y consume un código TOTP o un código de recuperación.
+ * @async
+ * @function consumeSecondFactor
+ * @param {string|mongoose.Types.ObjectId} userId - ID del usuario.
+ * @param {object} datos - `codigo` (6 dígitos de la app) o `codigoRecuperacion`.
+ * @returns {Promise<'totp'|'recuperacion'|null>} El factor aceptado, o null si no es válido.
+ */
+const consumeSecondFactor = async (userId, { codigo, codigoRecuperacion }) => {
+    if (codigoRecuperacion) {
+        const hash = hashToken(String(codigoRecuperacion).trim().toLowerCase());
+        const result = await User.updateOne(
+            { _id: userId, totpActivo: true, codigosRecuperacion: hash },
+            { $pull: { codigosRecuperacion: hash } }
+        );
+        return result.modifiedCount === 1 ? 'recuperacion' : null;
+    }
+
+    const user = await User.findById(userId).select('+totpSecreto +totpUltimoPaso totpActivo');
+    if (!user || !user.totpActivo || !user.totpSecreto) return null;
+    const paso = verifyTotp(user.totpSecreto, codigo, user.totpUltimoPaso);
+    if (paso === null) return null;
+    // Registra el paso usado de forma condicionada: si el mismo código llega dos veces a la vez, solo uno pasa.
+    const result = await User.updateOne(
+        { _id: userId, totpUltimoPaso: user.totpUltimoPaso },
+        { $set: { totpUltimoPaso: paso } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+};
+
+/**
+ * Calcula los hashes con los que se guardan los códigos de recuperación.
+ * @function hashRecoveryCodes
+ * @param {Array<string>} codigos - Los códigos en claro.
+ * @returns {Array<string>}
+ */
+const hashRecoveryCodes = (codigos) => codigos.map(codigo => hashToken(codigo));
+
+module.exports = { consumeSecondFactor, hashRecoveryCodes };
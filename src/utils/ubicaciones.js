@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Validación de ciudades y distritos contra la tabla de ubicaciones de Perú (data/ubicacionesPeru.json).
+ * La tabla incluye las ciudades con reparto y sus distritos; para añadir cobertura basta con editar el JSON.
+ */
+
+const ubicaciones = require('../data/ubicacionesPeru.json');
+const { normalizeText } = require('./text');
+
+// Índice normalizado: 'lima' → { ciudad: 'Lima', distritos: Map('san isidro' → 'San Isidro', ...) }.
+const indice = new Map(Object.entries(ubicaciones).map(([ciudad, distritos]) => [
+    normalizeText(ciudad),
+    { ciudad, distritos: new Map(distritos.map(distrito => [normalizeText(distrito), distrito])) }
+]));
+
+/**
+ * Busca una ciudad y un distrito en la tabla, sin importar tildes ni mayúsculas.
+ * @function resolveLocation
+ * @param {string} ciudad - La ciudad escrita por el usuario.
+ * @param {string} distrito - El distrito escrito por el usuario.
+ * @returns {{ciudad: string, distrito: string}|{error: string}} Los nombres oficiales, o un mensaje de error.
+ */
+const resolveLocation = (ciudad, distrito) => {
+    const entrada = indice.get(normalizeText(ciudad));
+    if (!entrada) {
+        return { error: `La ciudad "${ciudad}" no está en la lista de ciudades con reparto.` };
+    }
+    const distritoOficial = entrada.distritos.get(normalizeText(distrito));
+    if (!distritoOficial) {
+        return { error: `El distrito "${distrito}" no pertenece a ${entrada.ciudad}.` };
+    }
+    return { ciudad: entrada.ciudad, distrito: distritoOficial };
+};
+
+module.exports = { ubicaciones, resolveLocation };